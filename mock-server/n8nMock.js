@@ -0,0 +1,368 @@
+// Backend en memoria que imita los webhooks de n8n (check-patient, get-availability, hold-slot, create-appointment,
+// los de Mis turnos: list-appointments, cancel-appointment y reschedule-appointment, la lista de espera:
+// join-waitlist y get-waitlist-offer, y los de recepción: admin-login y update-appointment-status).
+// Lo usan el servidor de desarrollo (server.js) y los tests de Jest a través de createMockFetch.
+
+const DEFAULT_PATIENTS = {
+  30123456: {
+    nombre: 'María González',
+    telefono: '3814123456',
+    obraSocial: 'Swiss Medical',
+    numeroAfiliado: '80012345678',
+    alergias: 'Penicilina',
+    antecedentes: 'Ninguno',
+    dependientes: [
+      {
+        id: 'fam-1',
+        dni: '55123456',
+        nombre: 'Tomás González',
+        fechaNacimiento: '2018-05-10',
+        obraSocial: 'Swiss Medical',
+        numeroAfiliado: '80012345679',
+        alergias: 'Ninguna',
+        antecedentes: 'Ninguno'
+      }
+    ]
+  }
+};
+
+const DAY_START = 9 * 60;
+const DAY_END = 19 * 60;
+const SLOT_STEP = 30;
+const WORK_DAYS = [1, 2, 3, 4];
+const ADMIN_PIN = '1234';
+const ADMIN_TOKEN = 'mock-admin-token';
+const ADMIN_STATUSES = ['confirmado', 'asistio', 'ausente'];
+const OFFER_MINUTES = 30;
+const HOLD_SECONDS = 5 * 60;
+
+const pad = (n) => String(n).padStart(2, '0');
+const toSlot = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+const toMinutes = (slot) => {
+  const [hh, mm] = slot.split(':').map(Number);
+  return hh * 60 + mm;
+};
+
+function json(status, body) {
+  return { status, body };
+}
+
+function createMockBackend({ patients = DEFAULT_PATIENTS, workDays = WORK_DAYS, adminPin = ADMIN_PIN } = {}) {
+  const appointments = [];
+  const waitlist = [];
+  const offers = {};
+  // Reservas temporales de hold-slot por token; get-availability no las descuenta, hold-slot y create-appointment sí
+  const holds = {};
+  let nextNumber = 1;
+  let nextHold = 1;
+  let nextDependent = 1;
+  // Familiares cargados al reservar, por dni del responsable; se suman a los de patients sin modificarlo
+  const newDependents = {};
+  // Última historia clínica enviada por dni; check-patient solo informa que existe, sin devolver las respuestas
+  const medicalHistories = {};
+  const withoutAnswers = ({ alergias, antecedentes, ...person }) => ({
+    ...person,
+    tieneHistoriaClinica: !!(medicalHistories[person.dni] || alergias || antecedentes)
+  });
+
+  function isWorkDay(fecha) {
+    const [y, m, d] = fecha.split('-').map(Number);
+    return workDays.includes(new Date(y, m - 1, d).getDay());
+  }
+
+  // Un turno ofrecido a la lista de espera queda apartado hasta que vence la oferta
+  function activeOffers(exceptToken) {
+    return Object.entries(offers)
+      .filter(([token, offer]) => token !== exceptToken && offer.expiresAt > Date.now())
+      .map(([, offer]) => offer);
+  }
+
+  function activeHolds(exceptHold) {
+    return Object.entries(holds)
+      .filter(([token, hold]) => token !== exceptHold && hold.expiresAt > Date.now())
+      .map(([, hold]) => hold);
+  }
+
+  function availableSlots(fecha, duration, { exceptOffer, exceptHold, exceptAppointment, withHolds = false } = {}) {
+    if (!isWorkDay(fecha)) return [];
+    const booked = [
+      ...appointments.filter(a => a.id !== exceptAppointment),
+      ...activeOffers(exceptOffer),
+      ...(withHolds ? activeHolds(exceptHold) : [])
+    ]
+      .filter(a => a.fecha === fecha)
+      .map(a => ({ start: toMinutes(a.hora), end: toMinutes(a.hora) + a.duracion }));
+    const slots = [];
+    for (let start = DAY_START; start + duration <= DAY_END; start += SLOT_STEP) {
+      const end = start + duration;
+      if (!booked.some(b => start < b.end && b.start < end)) slots.push(toSlot(start));
+    }
+    return slots;
+  }
+
+  const dependentsOf = (dni) => [...((patients[dni] && patients[dni].dependientes) || []), ...(newDependents[dni] || [])];
+
+  function checkPatient(query) {
+    const dni = query.get('dni');
+    const patient = patients[dni];
+    // De los familiares solo se devuelve cómo se llaman: el DNI, la fecha de nacimiento y la salud quedan acá
+    const dependientes = dependentsOf(dni).map(({ id, nombre }) => ({ id, nombre }));
+    if (!patient) return json(200, { found: false, dependientes });
+    return json(200, { found: true, patient: { ...withoutAnswers({ ...patient, dni }), dependientes } });
+  }
+
+  function getAvailability(query) {
+    const duration = Number(query.get('duration')) || 30;
+    if (query.get('from') && query.get('to')) {
+      const days = [];
+      const [y, m, d] = query.get('from').split('-').map(Number);
+      for (let cursor = new Date(y, m - 1, d); ; cursor.setDate(cursor.getDate() + 1)) {
+        const fecha = `${cursor.getFullYear()}-${pad(cursor.getMonth() + 1)}-${pad(cursor.getDate())}`;
+        if (fecha > query.get('to')) break;
+        days.push({ fecha, availableSlots: availableSlots(fecha, duration) });
+      }
+      return json(200, { days });
+    }
+    if (!query.get('fecha')) return json(400, { message: 'Falta la fecha' });
+    return json(200, { availableSlots: availableSlots(query.get('fecha'), duration) });
+  }
+
+  function holdSlot(body) {
+    if (!body || !body.fecha || !body.hora) return json(400, { message: 'Faltan fecha u hora' });
+    if (body.replaceToken) delete holds[body.replaceToken];
+    const duracion = Number(body.duracion) || 30;
+    // hold-slot no recibe el token de la lista de espera: el turno ofrecido se reconoce por el dni
+    const ownOffer = Object.keys(offers).find(token => offers[token].dni === body.dni);
+    if (!availableSlots(body.fecha, duracion, { exceptOffer: ownOffer, withHolds: true }).includes(body.hora)) {
+      return json(409, { code: 'SLOT_TAKEN', message: 'El horario elegido ya no está disponible' });
+    }
+    const token = `hold-${nextHold++}`;
+    holds[token] = { fecha: body.fecha, hora: body.hora, duracion, expiresAt: Date.now() + HOLD_SECONDS * 1000 };
+    return json(200, { holdToken: token, ttlSeconds: HOLD_SECONDS });
+  }
+
+  function createAppointment(body, isAdmin) {
+    const missing = ['dni', 'nombre', 'telefono', 'tipoTurno', 'fechaHora'].filter(field => !body || !body[field]);
+    if (missing.length > 0) return json(400, { message: `Faltan datos: ${missing.join(', ')}` });
+    if (!body.consentimiento || !body.consentimiento.aceptado || !body.consentimiento.version) {
+      return json(400, { message: 'Falta el consentimiento para el tratamiento de datos de salud' });
+    }
+
+    // Un reintento de la bandeja de salida con la misma clave recibe la confirmación original, sin duplicar el turno
+    const previous = body.idempotencyKey && appointments.find(a => a.idempotencyKey === body.idempotencyKey);
+    if (previous) {
+      return json(200, { success: true, appointmentId: previous.id, confirmationCode: previous.confirmationCode });
+    }
+    // Un familiar conocido se identifica por su id; el DNI y la fecha de nacimiento tienen que coincidir
+    if (body.dependienteId) {
+      const dependent = body.responsable && dependentsOf(body.responsable.dni).find(d => d.id === body.dependienteId);
+      if (!dependent || dependent.dni !== body.dni || dependent.fechaNacimiento !== body.fechaNacimiento) {
+        return json(422, { code: 'DEPENDENT_MISMATCH', message: 'El DNI o la fecha de nacimiento no coinciden con los del familiar registrado' });
+      }
+    }
+
+    const fecha = body.fechaHora.slice(0, 10);
+    const hora = body.fechaHora.slice(11, 16);
+    const duracion = Number(body.duracion) || 30;
+    // Los sobreturnos de recepción pueden caer fuera de la grilla, pero no pisar otro turno
+    const start = toMinutes(hora);
+    const free = body.walkIn && isAdmin
+      ? !appointments.some(a => a.fecha === fecha && start < toMinutes(a.hora) + a.duracion && toMinutes(a.hora) < start + duracion)
+      : availableSlots(fecha, duracion, { exceptOffer: body.waitlistToken, exceptHold: body.holdToken, withHolds: true }).includes(hora);
+    if (!free) {
+      return json(409, { code: 'SLOT_TAKEN', message: 'El horario elegido ya no está disponible' });
+    }
+    if (body.waitlistToken) delete offers[body.waitlistToken];
+    if (body.holdToken) delete holds[body.holdToken];
+
+    const number = nextNumber++;
+    const appointment = {
+      id: `mock-${number}`,
+      confirmationCode: `MK${String(number).padStart(4, '0')}`,
+      estado: 'confirmado',
+      fecha,
+      hora,
+      duracion,
+      ...body
+    };
+    appointments.push(appointment);
+    if (body.historiaClinica) medicalHistories[body.dni] = body.historiaClinica;
+    if (body.responsable && body.responsable.dni && body.isNewPatient) {
+      const { dni, nombre, fechaNacimiento, obraSocial, numeroAfiliado, alergias, antecedentes } = body;
+      newDependents[body.responsable.dni] = [
+        ...(newDependents[body.responsable.dni] || []),
+        { id: `fam-new-${nextDependent++}`, dni, nombre, fechaNacimiento, obraSocial, numeroAfiliado, alergias, antecedentes }
+      ];
+    }
+    return json(200, { success: true, appointmentId: appointment.id, confirmationCode: appointment.confirmationCode });
+  }
+
+  // El paciente solo puede tocar sus turnos y los de sus familiares a cargo
+  function findOwnAppointment(body) {
+    return appointments.find(a => body && a.id === body.id && (a.dni === body.dni || a.responsable?.dni === body.dni));
+  }
+
+  function cancelAppointment(body) {
+    const appointment = findOwnAppointment(body);
+    if (!appointment) return json(404, { message: 'Turno inexistente' });
+    appointments.splice(appointments.indexOf(appointment), 1);
+    return json(200, { success: true });
+  }
+
+  function rescheduleAppointment(body) {
+    const appointment = findOwnAppointment(body);
+    if (!appointment) return json(404, { message: 'Turno inexistente' });
+    if (!body.fechaHora) return json(400, { message: 'Falta la nueva fecha' });
+    const fecha = body.fechaHora.slice(0, 10);
+    const hora = body.fechaHora.slice(11, 16);
+    const duracion = Number(body.duracion) || appointment.duracion;
+    const options = { exceptAppointment: appointment.id, exceptHold: body.holdToken, withHolds: true };
+    if (!availableSlots(fecha, duracion, options).includes(hora)) {
+      return json(409, { code: 'SLOT_TAKEN', message: 'El horario elegido ya no está disponible' });
+    }
+    if (body.holdToken) delete holds[body.holdToken];
+    Object.assign(appointment, { fecha, hora, duracion, fechaHora: body.fechaHora });
+    return json(200, { success: true, appointmentId: appointment.id });
+  }
+
+  function joinWaitlist(body) {
+    const missing = ['dni', 'telefono', 'tipoTurno', 'desde', 'hasta'].filter(field => !body || !body[field]);
+    if (missing.length > 0) return json(400, { message: `Faltan datos: ${missing.join(', ')}` });
+    if (body.desde > body.hasta) return json(400, { message: 'El rango de fechas es inválido' });
+    const entry = { id: `wl-${waitlist.length + 1}`, ...body };
+    waitlist.push(entry);
+    return json(200, { success: true, waitlistId: entry.id });
+  }
+
+  // Lo que haría el flujo de n8n al liberarse un turno: aparta el horario y genera el token del enlace de WhatsApp
+  function offerWaitlistSlot(entryId, { fecha, hora, profesionalId = '', minutes = OFFER_MINUTES }) {
+    const entry = waitlist.find(e => e.id === entryId);
+    if (!entry) throw new Error(`Inscripción inexistente: ${entryId}`);
+    const token = `offer-${Object.keys(offers).length + 1}`;
+    offers[token] = {
+      dni: entry.dni,
+      nombre: entry.nombre,
+      telefono: entry.telefono,
+      tipoTurno: entry.tipoTurno,
+      duracion: Number(entry.duracion) || 30,
+      profesionalId: profesionalId || entry.profesionalId || '',
+      fecha,
+      hora,
+      expiresAt: Date.now() + minutes * 60 * 1000
+    };
+    return token;
+  }
+
+  function getWaitlistOffer(query) {
+    const offer = offers[query.get('token')];
+    if (!offer) return json(404, { message: 'Oferta inexistente' });
+    if (offer.expiresAt <= Date.now()) return json(410, { code: 'OFFER_EXPIRED', message: 'La oferta venció' });
+    return json(200, { offer: { ...offer, expiresAt: new Date(offer.expiresAt).toISOString() } });
+  }
+
+  function adminLogin(body) {
+    const valid = body && ((body.pin && String(body.pin) === adminPin) || body.token === ADMIN_TOKEN);
+    if (!valid) return json(401, { message: 'PIN incorrecto' });
+    return json(200, { token: ADMIN_TOKEN, name: 'Recepción (mock)' });
+  }
+
+  function listAppointments(query, isAdmin) {
+    const toItem = a => ({
+      id: a.id,
+      fechaHora: a.fechaHora,
+      duracion: a.duracion,
+      tipoTurno: a.tipoTurno,
+      tipoTurnoNombre: a.tipoTurnoNombre,
+      profesionalId: a.profesionalId,
+      estado: a.estado,
+      walkIn: !!a.walkIn,
+      ...(isAdmin ? { dni: a.dni, nombre: a.nombre, telefono: a.telefono } : {})
+    });
+    if (query.get('from') && query.get('to')) {
+      if (!isAdmin) return json(401, { message: 'Acceso restringido a recepción' });
+      const items = appointments.filter(a => query.get('from') <= a.fecha && a.fecha <= query.get('to'));
+      return json(200, { appointments: items.map(toItem) });
+    }
+    // El responsable ve también los turnos de sus familiares a cargo
+    const dni = query.get('dni');
+    return json(200, { appointments: appointments.filter(a => a.dni === dni || a.responsable?.dni === dni).map(toItem) });
+  }
+
+  function updateAppointmentStatus(body, isAdmin) {
+    if (!isAdmin) return json(401, { message: 'Acceso restringido a recepción' });
+    const appointment = appointments.find(a => body && a.id === body.id);
+    if (!appointment) return json(404, { message: 'Turno inexistente' });
+    if (!ADMIN_STATUSES.includes(body.estado)) return json(400, { message: 'Estado inválido' });
+    appointment.estado = body.estado;
+    return json(200, { success: true });
+  }
+
+  function handle({ method = 'GET', url, body, headers = {} }) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const authorization = headers.authorization || headers.Authorization || '';
+    const isAdmin = authorization === `Bearer ${ADMIN_TOKEN}`;
+    const route = `${method.toUpperCase()} ${pathname.replace(/\/+$/, '')}`;
+    switch (route) {
+      case 'GET /webhook/check-patient':
+        return checkPatient(searchParams);
+      case 'GET /webhook/get-availability':
+        return getAvailability(searchParams);
+      case 'POST /webhook/hold-slot':
+        return holdSlot(body);
+      case 'POST /webhook/create-appointment':
+        return createAppointment(body, isAdmin);
+      case 'POST /webhook/cancel-appointment':
+        return cancelAppointment(body);
+      case 'POST /webhook/reschedule-appointment':
+        return rescheduleAppointment(body);
+      case 'POST /webhook/join-waitlist':
+        return joinWaitlist(body);
+      case 'GET /webhook/get-waitlist-offer':
+        return getWaitlistOffer(searchParams);
+      case 'POST /webhook/admin-login':
+        return adminLogin(body);
+      case 'GET /webhook/list-appointments':
+        return listAppointments(searchParams, isAdmin);
+      case 'POST /webhook/update-appointment-status':
+        return updateAppointmentStatus(body, isAdmin);
+      default:
+        return json(404, { message: `Webhook no implementado en el mock: ${route}` });
+    }
+  }
+
+  return { appointments, waitlist, offerWaitlistSlot, handle };
+}
+
+// fetch compatible con la app: sirve para inyectar el backend en Jest (global.fetch = createMockFetch(backend))
+function createMockFetch(backend, { delayMs = 0 } = {}) {
+  return (url, options = {}) =>
+    new Promise((resolve, reject) => {
+      const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+      if (options.signal && options.signal.aborted) {
+        reject(abortError());
+        return;
+      }
+      const id = setTimeout(() => {
+        let body;
+        try {
+          body = options.body ? JSON.parse(options.body) : undefined;
+        } catch (_) {
+          body = undefined;
+        }
+        const result = backend.handle({ method: options.method, url: String(url), body, headers: options.headers });
+        resolve({
+          ok: result.status >= 200 && result.status < 300,
+          status: result.status,
+          json: async () => result.body
+        });
+      }, delayMs);
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => {
+          clearTimeout(id);
+          reject(abortError());
+        });
+      }
+    });
+}
+
+module.exports = { createMockBackend, createMockFetch };
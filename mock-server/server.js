@@ -0,0 +1,44 @@
+// Servidor local que responde como los webhooks de n8n.
+// Uso: npm run mock, y en .env.development.local: REACT_APP_N8N_BASE_URL=http://localhost:5678 (pisa el n8nBaseUrl de clinic.json)
+// Recepción (/admin) acepta el PIN de MOCK_ADMIN_PIN, por defecto 1234.
+// El consultorio de ejemplo /c/sonrisas (mock-server/tenants/sonrisas, servido por src/setupProxy.js en `npm start`)
+// ya apunta a este servidor en su clinic.json
+const http = require('http');
+const { createMockBackend } = require('./n8nMock');
+
+const PORT = Number(process.env.MOCK_PORT) || 5678;
+const backend = createMockBackend({ adminPin: process.env.MOCK_ADMIN_PIN || undefined });
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    let body;
+    try {
+      body = raw ? JSON.parse(raw) : undefined;
+    } catch (_) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: 'JSON inválido' }));
+      return;
+    }
+    const result = backend.handle({ method: req.method, url: req.url, body, headers: req.headers });
+    console.log(`${req.method} ${req.url} -> ${result.status}`);
+    res.writeHead(result.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result.body));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock de n8n escuchando en http://localhost:${PORT}`);
+});
@@ -0,0 +1,81 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { ArrowLeft } from 'lucide-react';
+import AdminAgenda from './components/AdminAgenda';
+import AdminLogin from './components/AdminLogin';
+import BookingForm from './components/BookingForm';
+import ConfigStatus from './components/ConfigStatus';
+import useClinicConfig from './hooks/useClinicConfig';
+import { clearAdminSession, loadAdminSession, saveAdminSession } from './utils/adminSession';
+import './App.css';
+
+function AdminApp({ tenant }) {
+  const { config, configError, retry } = useClinicConfig(tenant.slug);
+  const [session, setSession] = useState(() => loadAdminSession());
+  const [view, setView] = useState('agenda');
+
+  // Los sobreturnos usan el mismo formulario sin la anticipación mínima; igual se descartan horarios ya pasados
+  const walkInSchedule = useMemo(() => config && { ...config.schedule, minLeadHours: 0 }, [config]);
+  const clinicName = config && config.clinic.name;
+
+  useEffect(() => {
+    if (clinicName) document.title = `Recepción - ${clinicName}`;
+  }, [clinicName]);
+
+  // Estables: AdminLogin y la agenda los usan en sus efectos
+  const handleLogin = useCallback((newSession) => {
+    saveAdminSession(newSession);
+    setSession(newSession);
+  }, []);
+
+  const logout = useCallback(() => {
+    clearAdminSession();
+    setSession(null);
+    setView('agenda');
+  }, []);
+
+  if (!config) return <ConfigStatus error={configError} onRetry={retry} />;
+  if (!session) return <AdminLogin onLogin={handleLogin} />;
+
+  if (view === 'walkIn') {
+    return (
+      <div className="App">
+        <div className="bg-white border-b border-gray-200 p-3">
+          <button
+            type="button"
+            onClick={() => setView('agenda')}
+            className="text-teal-700 hover:text-teal-800 font-medium flex items-center gap-2"
+          >
+            <ArrowLeft size={18} />
+            Volver a la agenda
+          </button>
+        </div>
+        <BookingForm
+          schedule={walkInSchedule}
+          professionals={config.professionals}
+          catalog={config.appointmentTypes}
+          clinic={config.clinic}
+          obrasSociales={config.obrasSociales}
+          staffSession={session}
+          onUnauthorized={logout}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="App">
+      <AdminAgenda
+        session={session}
+        schedule={config.schedule}
+        professionals={config.professionals}
+        appointmentTypes={config.appointmentTypes.types}
+        timeZone={config.clinic.timezone}
+        onNewWalkIn={() => setView('walkIn')}
+        onUnauthorized={logout}
+        onLogout={logout}
+      />
+    </div>
+  );
+}
+
+export default AdminApp;
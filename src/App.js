@@ -1,13 +1,40 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import BookingForm from './components/BookingForm';
+import ConfigStatus from './components/ConfigStatus';
+import useClinicConfig from './hooks/useClinicConfig';
+import useI18n from './hooks/useI18n';
+import useOutbox from './hooks/useOutbox';
+import useWaitlistOffer from './hooks/useWaitlistOffer';
 import './App.css';
 
-function App() {
+// Todo lo propio de cada consultorio (n8n, nombre, logo, colores, catálogo, agenda, obras sociales) sale de su configuración
+function App({ tenant }) {
+  const { t } = useI18n();
+  const { config, configError, retry } = useClinicConfig(tenant.slug);
+  const { offer, offerError, loadingOffer } = useWaitlistOffer(!!config);
+  const outbox = useOutbox(!!config);
+  const clinicName = config && config.clinic.name;
+
+  useEffect(() => {
+    if (clinicName) document.title = `${t('booking.title')} - ${clinicName}`;
+  }, [clinicName, t]);
+
+  if (!config || loadingOffer) return <ConfigStatus error={configError} onRetry={retry} />;
+
   return (
     <div className="App">
-      <BookingForm />
+      <BookingForm
+        schedule={config.schedule}
+        professionals={config.professionals}
+        catalog={config.appointmentTypes}
+        clinic={config.clinic}
+        obrasSociales={config.obrasSociales}
+        waitlistOffer={offer}
+        waitlistOfferError={offerError}
+        outbox={outbox}
+      />
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
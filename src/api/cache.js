@@ -0,0 +1,29 @@
+export function createTtlCache(ttlMs) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return value;
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    // Borra las claves que cumplen la condición, p. ej. todas las de una fecha
+    deleteWhere(predicate) {
+      Array.from(entries.keys()).filter(predicate).forEach(key => entries.delete(key));
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+}
@@ -0,0 +1,67 @@
+export class ApiError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.cause = cause;
+  }
+}
+
+// El servidor no respondió dentro del plazo de fetchWithTimeout
+export class TimeoutError extends ApiError {
+  constructor(message = 'El servidor tardó demasiado en responder. Intentá nuevamente.', options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+  }
+}
+
+// No hubo respuesta: sin conexión, DNS, CORS, etc.
+export class NetworkError extends ApiError {
+  constructor(message = 'No pudimos conectarnos. Revisá tu conexión e intentá nuevamente.', options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+// La solicitud se abortó porque cambiaron los datos que la originaron
+export class CancelledError extends ApiError {
+  constructor(message = 'Solicitud cancelada', options) {
+    super(message, options);
+    this.name = 'CancelledError';
+  }
+}
+
+// El servidor respondió con un status distinto de 2xx; serverMessage queda vacío si n8n no mandó un texto propio
+export class HttpError extends ApiError {
+  constructor(message, { status, code = '', serverMessage = '', ...options } = {}) {
+    super(message, options);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.serverMessage = serverMessage;
+  }
+}
+
+// La respuesta llegó pero no tiene la forma esperada
+export class ValidationError extends ApiError {
+  constructor(message = 'Recibimos una respuesta inválida del servidor.', { details, ...options } = {}) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+export function isCancelled(err) {
+  return err instanceof CancelledError;
+}
+
+// La solicitud no llegó a tener respuesta: reintentarla más tarde puede funcionar
+export function isConnectionError(err) {
+  return err instanceof NetworkError || err instanceof TimeoutError;
+}
+
+// Texto para recepción, que no usa los catálogos de i18n: los errores sin respuesta ya traen un mensaje para mostrar
+// y de n8n solo se muestra el texto propio que mande
+export function describeError(err, fallback) {
+  if (err instanceof HttpError) return err.serverMessage || fallback;
+  return err instanceof ApiError ? err.message : fallback;
+}
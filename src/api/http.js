@@ -0,0 +1,97 @@
+import { CancelledError, HttpError, NetworkError, TimeoutError, ValidationError } from './errors';
+
+const RETRY_BASE_DELAY_MS = 300;
+
+export async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
+  const { signal: externalSignal, ...fetchOptions } = options;
+  const controller = new AbortController();
+  let timedOut = false;
+  const id = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (externalSignal) {
+    if (externalSignal.aborted) controller.abort();
+    else externalSignal.addEventListener('abort', onAbort);
+  }
+
+  try {
+    const res = await fetch(url, { ...fetchOptions, signal: controller.signal });
+    return res;
+  } catch (err) {
+    if (timedOut) throw new TimeoutError(undefined, { cause: err });
+    if (externalSignal && externalSignal.aborted) throw new CancelledError(undefined, { cause: err });
+    throw new NetworkError(undefined, { cause: err });
+  } finally {
+    clearTimeout(id);
+    if (externalSignal) externalSignal.removeEventListener('abort', onAbort);
+  }
+}
+
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new ValidationError(undefined, { cause: err });
+  }
+}
+
+async function ensureOk(response, fallbackMessage) {
+  if (response.ok) return;
+  let serverMessage = '';
+  let code = '';
+  try {
+    const errorData = await response.json();
+    serverMessage = errorData.message || '';
+    code = errorData.code || '';
+  } catch (_) {}
+  throw new HttpError(serverMessage || fallbackMessage, { status: response.status, code, serverMessage });
+}
+
+function isRetryable(err) {
+  if (err instanceof TimeoutError || err instanceof NetworkError) return true;
+  return err instanceof HttpError && (err.status >= 500 || err.status === 429);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+    const id = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(id);
+        reject(new CancelledError());
+      }, { once: true });
+    }
+  });
+}
+
+// Solo para GET: son idempotentes, así que reintentar ante fallas transitorias no tiene efectos secundarios
+export async function getJson(url, { signal, timeoutMs = 10000, retries = 2, fallbackMessage, fetchOptions = {} } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetchWithTimeout(url, { ...fetchOptions, signal }, timeoutMs);
+      await ensureOk(response, fallbackMessage);
+      return await readJson(response);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * RETRY_BASE_DELAY_MS;
+      await wait(delay, signal);
+    }
+  }
+}
+
+export async function postJson(url, body, { signal, timeoutMs = 15000, fallbackMessage, headers = {} } = {}) {
+  const response = await fetchWithTimeout(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  }, timeoutMs);
+  await ensureOk(response, fallbackMessage);
+  return readJson(response);
+}
@@ -0,0 +1,262 @@
+import { createTtlCache } from './cache';
+import { HttpError } from './errors';
+import { getJson, postJson } from './http';
+import {
+  parseAdminSession,
+  parseAgenda,
+  parseAppointmentConfirmation,
+  parseAppointments,
+  parseAvailabilityRange,
+  parseAvailableSlots,
+  parsePatientLookup,
+  parseSlotHold,
+  parseWaitlistEntry,
+  parseWaitlistOffer
+} from './schemas';
+
+// Solo para desarrollo (p. ej. con mock-server): si está definida, todos los consultorios usan ese n8n
+const N8N_BASE_URL_OVERRIDE = process.env.REACT_APP_N8N_BASE_URL || '';
+
+function buildEndpoints(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, '');
+  return {
+    CHECK_PATIENT: `${base}/webhook/check-patient`,
+    CREATE_APPOINTMENT: `${base}/webhook/create-appointment`,
+    GET_AVAILABILITY: `${base}/webhook/get-availability`,
+    LIST_APPOINTMENTS: `${base}/webhook/list-appointments`,
+    CANCEL_APPOINTMENT: `${base}/webhook/cancel-appointment`,
+    RESCHEDULE_APPOINTMENT: `${base}/webhook/reschedule-appointment`,
+    GET_SCHEDULE: `${base}/webhook/get-schedule`,
+    GET_PROFESSIONALS: `${base}/webhook/get-professionals`,
+    HOLD_SLOT: `${base}/webhook/hold-slot`,
+    GET_APPOINTMENT_TYPES: `${base}/webhook/get-appointment-types`,
+    ADMIN_LOGIN: `${base}/webhook/admin-login`,
+    UPDATE_APPOINTMENT_STATUS: `${base}/webhook/update-appointment-status`,
+    JOIN_WAITLIST: `${base}/webhook/join-waitlist`,
+    GET_WAITLIST_OFFER: `${base}/webhook/get-waitlist-offer`
+  };
+}
+
+// Cada consultorio tiene su propio n8n: setN8nBaseUrl lo cambia al cargar su clinic.json
+export const N8N_ENDPOINTS = buildEndpoints(N8N_BASE_URL_OVERRIDE);
+
+// Códigos con los que n8n indica que el horario ya no está disponible para este paciente
+const SLOT_LOST_CODES = ['SLOT_TAKEN', 'HOLD_EXPIRED'];
+
+const PATIENT_CACHE_TTL_MS = 2 * 60 * 1000;
+const AVAILABILITY_CACHE_TTL_MS = 30 * 1000;
+const AVAILABILITY_RANGE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const patientCache = createTtlCache(PATIENT_CACHE_TTL_MS);
+const availabilityCache = createTtlCache(AVAILABILITY_CACHE_TTL_MS);
+// Promesas por (rango, duración, profesional): cambiar de tipo de turno y volver no repite la consulta del mes
+const availabilityRangeCache = createTtlCache(AVAILABILITY_RANGE_CACHE_TTL_MS);
+
+// 'webhook' lee la configuración desde n8n; por defecto se usan los JSON de public/, editables sin recompilar
+const CONFIG_SOURCE = process.env.REACT_APP_CONFIG_SOURCE || 'file';
+
+export function isSlotLostError(err) {
+  return err instanceof HttpError && (err.status === 409 || err.status === 410 || SLOT_LOST_CODES.includes(err.code));
+}
+
+// Sesión de recepción vencida o token revocado: hay que volver a pedir el PIN
+export function isUnauthorizedError(err) {
+  return err instanceof HttpError && (err.status === 401 || err.status === 403);
+}
+
+const authHeaders = (token) => (token ? { Authorization: `Bearer ${token}` } : {});
+
+function professionalParam(profesionalId) {
+  return profesionalId ? `&profesional=${encodeURIComponent(profesionalId)}` : '';
+}
+
+export function invalidateAvailability(fecha) {
+  if (!fecha) {
+    availabilityCache.clear();
+    availabilityRangeCache.clear();
+    return;
+  }
+  availabilityCache.deleteWhere(key => key.startsWith(`${fecha}|`));
+  availabilityRangeCache.deleteWhere(key => {
+    const [from, to] = key.split('|');
+    return from <= fecha && fecha <= to;
+  });
+}
+
+export async function lookupPatient(dni, { signal } = {}) {
+  const cached = patientCache.get(dni);
+  if (cached) return cached;
+  const data = await getJson(`${N8N_ENDPOINTS.CHECK_PATIENT}?dni=${encodeURIComponent(dni)}`, {
+    signal,
+    fallbackMessage: 'Error al consultar paciente'
+  });
+  return patientCache.set(dni, parsePatientLookup(data));
+}
+
+// fresh: true saltea la caché, p. ej. al recargar porque el horario elegido se ocupó
+export async function fetchAvailableSlots(fecha, duration, profesionalId, { signal, fresh = false } = {}) {
+  const key = `${fecha}|${duration}|${profesionalId || ''}`;
+  const cached = fresh ? undefined : availabilityCache.get(key);
+  if (cached) return cached;
+  const data = await getJson(
+    `${N8N_ENDPOINTS.GET_AVAILABILITY}?fecha=${fecha}&duration=${duration}${professionalParam(profesionalId)}`,
+    { signal, fallbackMessage: 'Error al consultar disponibilidad' }
+  );
+  return availabilityCache.set(key, parseAvailableSlots(data));
+}
+
+export function fetchAvailabilityRange(from, to, duration, profesionalId) {
+  const key = `${from}|${to}|${duration}|${profesionalId || ''}`;
+  const cached = availabilityRangeCache.get(key);
+  if (cached) return cached;
+  const request = getJson(
+    `${N8N_ENDPOINTS.GET_AVAILABILITY}?from=${from}&to=${to}&duration=${duration}${professionalParam(profesionalId)}`,
+    { fallbackMessage: 'Error al consultar disponibilidad' }
+  ).then(parseAvailabilityRange);
+  request.catch(() => availabilityRangeCache.delete(key));
+  return availabilityRangeCache.set(key, request);
+}
+
+// Sin profesionales se consulta la agenda única; si una profesional falla se usan las demás
+export async function fetchSlotsByProfessional(fecha, duration, profesionalIds, { signal, fresh } = {}) {
+  const ids = profesionalIds.length > 0 ? profesionalIds : [null];
+  const results = await Promise.allSettled(ids.map(id => fetchAvailableSlots(fecha, duration, id, { signal, fresh })));
+  if (results.every(r => r.status === 'rejected')) throw results[0].reason;
+  return results.map((r, i) => ({ profesionalId: ids[i], slots: r.status === 'fulfilled' ? r.value : [] }));
+}
+
+// n8n al que hay que hablarle según el clinic.json; vacío si el consultorio no tiene uno configurado
+export function resolveN8nBaseUrl(clinicBaseUrl) {
+  return N8N_BASE_URL_OVERRIDE || clinicBaseUrl || '';
+}
+
+export function setN8nBaseUrl(baseUrl) {
+  Object.assign(N8N_ENDPOINTS, buildEndpoints(baseUrl));
+  // Lo que quedó en caché es de otro n8n
+  patientCache.clear();
+  invalidateAvailability();
+}
+
+// Los archivos de cada consultorio están en public/tenants/<slug>/, con los mismos nombres que los de public/
+function configFileUrl(fileName, tenantSlug) {
+  const dir = tenantSlug ? `/tenants/${encodeURIComponent(tenantSlug)}` : '';
+  return `${process.env.PUBLIC_URL || ''}${dir}/${fileName}`;
+}
+
+function fetchConfig(webhookUrl, fileName, fallbackMessage, tenantSlug) {
+  const url = CONFIG_SOURCE === 'webhook' ? webhookUrl : configFileUrl(fileName, tenantSlug);
+  return getJson(url, { fallbackMessage, fetchOptions: { cache: 'no-cache' } });
+}
+
+export function fetchSchedule(tenantSlug) {
+  return fetchConfig(N8N_ENDPOINTS.GET_SCHEDULE, 'schedule.json', 'Error al cargar la agenda del consultorio', tenantSlug);
+}
+
+export function fetchProfessionals(tenantSlug) {
+  return fetchConfig(N8N_ENDPOINTS.GET_PROFESSIONALS, 'professionals.json', 'Error al cargar las profesionales', tenantSlug);
+}
+
+export function fetchAppointmentTypes(tenantSlug) {
+  return fetchConfig(
+    N8N_ENDPOINTS.GET_APPOINTMENT_TYPES,
+    'appointment_types.json',
+    'Error al cargar los tratamientos',
+    tenantSlug
+  );
+}
+
+// El clinic.json de un consultorio se lee siempre como archivo: es el que dice a qué n8n hay que hablarle
+export function fetchClinic(tenantSlug) {
+  return getJson(configFileUrl('clinic.json', tenantSlug), {
+    fallbackMessage: 'Error al cargar los datos del consultorio',
+    fetchOptions: { cache: 'no-cache' }
+  });
+}
+
+export async function holdSlot(payload) {
+  const data = await postJson(N8N_ENDPOINTS.HOLD_SLOT, payload, {
+    timeoutMs: 10000,
+    fallbackMessage: 'No pudimos reservar el horario'
+  });
+  return parseSlotHold(data, payload);
+}
+
+// token solo lo envía recepción: n8n lo usa para aceptar sobreturnos sin la anticipación mínima
+export async function createAppointment(payload, { token } = {}) {
+  try {
+    const data = await postJson(N8N_ENDPOINTS.CREATE_APPOINTMENT, payload, {
+      fallbackMessage: 'Error al crear el turno',
+      headers: authHeaders(token)
+    });
+    return parseAppointmentConfirmation(data);
+  } finally {
+    // Haya salido bien o no, la agenda de ese día cambió o está desactualizada
+    invalidateAvailability(String(payload.fechaHora || '').slice(0, 10));
+    patientCache.delete(payload.dni);
+    // Un familiar nuevo pasa a figurar entre los dependientes del responsable
+    if (payload.responsable) patientCache.delete(payload.responsable.dni);
+  }
+}
+
+export async function listAppointments(dni, { signal } = {}) {
+  const data = await getJson(`${N8N_ENDPOINTS.LIST_APPOINTMENTS}?dni=${encodeURIComponent(dni)}`, {
+    signal,
+    fallbackMessage: 'Error al consultar tus turnos'
+  });
+  return parseAppointments(data);
+}
+
+export async function cancelAppointment(id, dni) {
+  const result = await postJson(N8N_ENDPOINTS.CANCEL_APPOINTMENT, { id, dni }, { fallbackMessage: 'Error al cancelar el turno' });
+  invalidateAvailability();
+  return result;
+}
+
+export async function rescheduleAppointment(id, dni, payload) {
+  const result = await postJson(
+    N8N_ENDPOINTS.RESCHEDULE_APPOINTMENT,
+    { id, dni, ...payload },
+    { fallbackMessage: 'Error al reprogramar el turno' }
+  );
+  invalidateAvailability();
+  return result;
+}
+
+export async function adminLogin(credentials) {
+  const data = await postJson(N8N_ENDPOINTS.ADMIN_LOGIN, credentials, {
+    timeoutMs: 10000,
+    fallbackMessage: 'No pudimos validar el acceso'
+  });
+  return parseAdminSession(data);
+}
+
+export async function fetchAgenda(from, to, token, { signal } = {}) {
+  const data = await getJson(`${N8N_ENDPOINTS.LIST_APPOINTMENTS}?from=${from}&to=${to}`, {
+    signal,
+    fallbackMessage: 'Error al cargar la agenda',
+    fetchOptions: { headers: authHeaders(token) }
+  });
+  return parseAgenda(data);
+}
+
+export function updateAppointmentStatus(id, estado, token) {
+  return postJson(N8N_ENDPOINTS.UPDATE_APPOINTMENT_STATUS, { id, estado }, {
+    fallbackMessage: 'Error al actualizar el turno',
+    headers: authHeaders(token)
+  });
+}
+
+export async function joinWaitlist(payload) {
+  const data = await postJson(N8N_ENDPOINTS.JOIN_WAITLIST, payload, {
+    fallbackMessage: 'No pudimos anotarte en la lista de espera'
+  });
+  return parseWaitlistEntry(data);
+}
+
+// El token llega en el enlace que n8n manda por WhatsApp cuando se libera un turno
+export async function fetchWaitlistOffer(token) {
+  const data = await getJson(`${N8N_ENDPOINTS.GET_WAITLIST_OFFER}?token=${encodeURIComponent(token)}`, {
+    fallbackMessage: 'No pudimos consultar el turno ofrecido'
+  });
+  return parseWaitlistOffer(data, token);
+}
@@ -0,0 +1,287 @@
+import { ValidationError } from './errors';
+
+/**
+ * @typedef {Object} Patient
+ * @property {string} nombre
+ * @property {string} telefono
+ * @property {string} obraSocial  Texto tal como lo tiene n8n; el formulario lo mapea a la lista de obras sociales
+ * @property {string} numeroAfiliado
+ * @property {boolean} hasMedicalHistory  Si respondió el cuestionario en una visita anterior; las respuestas no se devuelven
+ */
+
+/**
+ * @typedef {Object} Dependent  Menor o familiar que se atiende a cargo del paciente que completa el formulario
+ * @property {string} id  Identificador de n8n; el responsable vuelve a ingresar el DNI y la fecha de nacimiento
+ * @property {string} nombre
+ */
+
+/**
+ * @typedef {Object} PatientLookup
+ * @property {boolean} found
+ * @property {Patient|null} patient
+ * @property {Dependent[]} dependents  Familiares a cargo del DNI consultado
+ */
+
+/**
+ * @typedef {Object} Appointment
+ * @property {string} id
+ * @property {string} fechaHora  ISO 8601 con offset
+ * @property {string} tipoTurno
+ * @property {string} tipoTurnoNombre
+ * @property {string} profesionalId
+ * @property {number|null} duracion
+ */
+
+/**
+ * @typedef {'confirmado'|'asistio'|'ausente'} AppointmentStatus
+ */
+
+/**
+ * @typedef {Object} AgendaEntry
+ * @property {string} id
+ * @property {string} fechaHora  ISO 8601 con offset
+ * @property {number} duracion  Minutos; 30 si n8n no la informa
+ * @property {string} tipoTurno
+ * @property {string} tipoTurnoNombre
+ * @property {string} profesionalId
+ * @property {{dni: string, nombre: string, telefono: string}} paciente
+ * @property {AppointmentStatus} estado
+ * @property {boolean} walkIn  Cargado en recepción sin respetar la anticipación mínima
+ */
+
+/**
+ * @typedef {Object} AdminSession
+ * @property {string} token
+ * @property {number} expiresAt  Epoch en milisegundos
+ * @property {string} name
+ */
+
+/**
+ * @typedef {Object} WaitlistOffer  Turno liberado que n8n ofrece por WhatsApp a alguien de la lista de espera
+ * @property {string} token
+ * @property {string} dni
+ * @property {string} nombre
+ * @property {string} telefono
+ * @property {string} tipoTurno
+ * @property {string} profesionalId
+ * @property {string} fecha  YYYY-MM-DD
+ * @property {string} hora  HH:MM
+ * @property {number|null} expiresAt  Epoch en milisegundos
+ */
+
+/**
+ * @typedef {Object} AppointmentConfirmation
+ * @property {string} id
+ * @property {string} confirmationCode  Código que el paciente puede mencionar al consultorio
+ */
+
+/**
+ * @typedef {Object} SlotHold
+ * @property {string} token
+ * @property {number} expiresAt  Epoch en milisegundos
+ * @property {string} slot
+ * @property {string} fecha
+ */
+
+const SLOT_PATTERN = /^\d{2}:\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_HOLD_SECONDS = 300;
+const DEFAULT_ADMIN_SESSION_HOURS = 12;
+const APPOINTMENT_STATUSES = ['confirmado', 'asistio', 'ausente'];
+
+function ensureObject(data, context) {
+  if (!data || typeof data !== 'object') {
+    throw new ValidationError(undefined, { details: `${context}: se esperaba un objeto` });
+  }
+  return data;
+}
+
+function objectOrNull(...values) {
+  return values.find(v => v && typeof v === 'object' && !Array.isArray(v)) || null;
+}
+
+function text(...values) {
+  const value = values.find(v => v !== undefined && v !== null && v !== '');
+  return value === undefined ? '' : String(value);
+}
+
+function parseSlotList(value, context) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new ValidationError(undefined, { details: `${context}: availableSlots debe ser una lista` });
+  }
+  return value.filter(slot => typeof slot === 'string' && SLOT_PATTERN.test(slot));
+}
+
+// Con solo un DNI cualquiera vería la historia clínica de otro: se informa si existe, nunca qué dice.
+// Un n8n que todavía devuelve las respuestas cuenta como "tiene historia", pero se descartan acá
+function hasMedicalHistory(person) {
+  const flag = [person.tieneHistoriaClinica, person.hasMedicalHistory].find(v => typeof v === 'boolean');
+  if (flag !== undefined) return flag;
+  return !!(
+    objectOrNull(person.historiaClinica, person.medicalHistory) ||
+    text(person.alergias, person.allergies) ||
+    text(person.antecedentes, person.background)
+  );
+}
+
+// Cualquiera puede consultar un DNI: de los familiares solo se toman el id y el nombre, aunque n8n mande más
+/** @returns {Dependent[]} */
+function parseDependents(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(d => d && typeof d === 'object')
+    .map(d => ({ id: text(d.id, d.dependienteId), nombre: text(d.nombre, d.name) }))
+    .filter(d => d.id && d.nombre);
+}
+
+/** @returns {PatientLookup} */
+export function parsePatientLookup(data) {
+  ensureObject(data, 'check-patient');
+  // Quien solo reservó para sus familiares no figura como paciente, pero sí tiene familiares a cargo
+  if (!data.found || !data.patient) {
+    return { found: false, patient: null, dependents: parseDependents(data.dependientes || data.dependents) };
+  }
+  const p = ensureObject(data.patient, 'check-patient.patient');
+  return {
+    found: true,
+    dependents: parseDependents(p.dependientes || p.dependents || data.dependientes || data.dependents),
+    patient: {
+      nombre: text(p.nombre, p.name),
+      telefono: text(p.telefono, p.phone),
+      obraSocial: text(p.obraSocial, p.insurance),
+      numeroAfiliado: text(p.numeroAfiliado, p.affiliateNumber),
+      hasMedicalHistory: hasMedicalHistory(p)
+    }
+  };
+}
+
+/** @returns {string[]} */
+export function parseAvailableSlots(data) {
+  ensureObject(data, 'get-availability');
+  return parseSlotList(data.availableSlots, 'get-availability');
+}
+
+/** @returns {Object<string, string[]>} */
+export function parseAvailabilityRange(data) {
+  const days = Array.isArray(data) ? data : ensureObject(data, 'get-availability').days || [];
+  if (!Array.isArray(days)) {
+    throw new ValidationError(undefined, { details: 'get-availability: days debe ser una lista' });
+  }
+  return days.reduce((acc, day) => {
+    const fecha = day && text(day.fecha, day.date);
+    if (DATE_PATTERN.test(fecha)) acc[fecha] = parseSlotList(day.availableSlots || day.slots, 'get-availability');
+    return acc;
+  }, {});
+}
+
+function appointmentItems(data) {
+  const items = Array.isArray(data) ? data : ensureObject(data, 'list-appointments').appointments || [];
+  if (!Array.isArray(items)) {
+    throw new ValidationError(undefined, { details: 'list-appointments: appointments debe ser una lista' });
+  }
+  return items.filter(a => a && typeof a === 'object');
+}
+
+function mapAppointment(a) {
+  return {
+    id: text(a.id, a.eventId, a.appointmentId),
+    fechaHora: text(a.fechaHora, a.start, a.dateTime),
+    tipoTurno: text(a.tipoTurno, a.type),
+    tipoTurnoNombre: text(a.tipoTurnoNombre, a.typeName),
+    profesionalId: text(a.profesionalId, a.professionalId),
+    duracion: Number(a.duracion || a.duration) || null
+  };
+}
+
+const hasValidDate = (a) => a.id && a.fechaHora && !Number.isNaN(new Date(a.fechaHora).getTime());
+const byFechaHora = (a, b) => new Date(a.fechaHora) - new Date(b.fechaHora);
+
+/** @returns {Appointment[]} */
+export function parseAppointments(data, now = new Date()) {
+  return appointmentItems(data)
+    .map(mapAppointment)
+    .filter(a => hasValidDate(a) && new Date(a.fechaHora) > now)
+    .sort(byFechaHora);
+}
+
+/** @returns {AgendaEntry[]} */
+export function parseAgenda(data) {
+  return appointmentItems(data)
+    .map(a => {
+      const estado = text(a.estado, a.status).toLowerCase();
+      return {
+        ...mapAppointment(a),
+        duracion: Number(a.duracion || a.duration) || 30,
+        paciente: {
+          dni: text(a.dni, a.paciente && a.paciente.dni),
+          nombre: text(a.nombre, a.paciente && a.paciente.nombre, a.patientName),
+          telefono: text(a.telefono, a.paciente && a.paciente.telefono, a.phone)
+        },
+        estado: APPOINTMENT_STATUSES.includes(estado) ? estado : 'confirmado',
+        walkIn: !!a.walkIn
+      };
+    })
+    .filter(hasValidDate)
+    .sort(byFechaHora);
+}
+
+/** @returns {AdminSession} */
+export function parseAdminSession(data) {
+  ensureObject(data, 'admin-login');
+  const token = text(data.token, data.accessToken);
+  if (!token) throw new ValidationError(undefined, { details: 'admin-login: falta token' });
+  // Sin vencimiento, o con uno que no se puede leer, la sesión dura lo de siempre en vez de perderse al recargar
+  const parsedExpiry = data.expiresAt ? new Date(data.expiresAt).getTime() : NaN;
+  const expiresAt = Number.isFinite(parsedExpiry) ? parsedExpiry : Date.now() + DEFAULT_ADMIN_SESSION_HOURS * 60 * 60 * 1000;
+  return { token, expiresAt, name: text(data.name, data.nombre) };
+}
+
+/** @returns {AppointmentConfirmation} */
+export function parseAppointmentConfirmation(data) {
+  const d = data && typeof data === 'object' ? data : {};
+  return {
+    id: text(d.appointmentId, d.id, d.eventId),
+    confirmationCode: text(d.confirmationCode, d.codigoConfirmacion, d.codigo).toUpperCase()
+  };
+}
+
+/** @returns {string} id de la inscripción */
+export function parseWaitlistEntry(data) {
+  const d = data && typeof data === 'object' ? data : {};
+  return text(d.waitlistId, d.id);
+}
+
+/** @returns {WaitlistOffer} */
+export function parseWaitlistOffer(data, token) {
+  const d = ensureObject(data, 'get-waitlist-offer');
+  const offer = d.offer && typeof d.offer === 'object' ? d.offer : d;
+  const fecha = text(offer.fecha, offer.date);
+  const hora = text(offer.hora, offer.slot);
+  const tipoTurno = text(offer.tipoTurno, offer.type);
+  if (!DATE_PATTERN.test(fecha) || !SLOT_PATTERN.test(hora) || !tipoTurno) {
+    throw new ValidationError(undefined, { details: 'get-waitlist-offer: faltan fecha, hora o tipoTurno' });
+  }
+  return {
+    token,
+    dni: text(offer.dni),
+    nombre: text(offer.nombre, offer.name),
+    telefono: text(offer.telefono, offer.phone),
+    tipoTurno,
+    profesionalId: text(offer.profesionalId, offer.professionalId),
+    fecha,
+    hora,
+    expiresAt: offer.expiresAt ? new Date(offer.expiresAt).getTime() : null
+  };
+}
+
+/** @returns {SlotHold} */
+export function parseSlotHold(data, request) {
+  ensureObject(data, 'hold-slot');
+  const token = text(data.holdToken, data.token);
+  if (!token) throw new ValidationError(undefined, { details: 'hold-slot: falta holdToken' });
+  const expiresAt = data.expiresAt
+    ? new Date(data.expiresAt).getTime()
+    : Date.now() + (Number(data.ttlSeconds) || DEFAULT_HOLD_SECONDS) * 1000;
+  return { token, expiresAt, slot: request.hora, fecha: request.fecha };
+}
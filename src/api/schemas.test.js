@@ -0,0 +1,62 @@
+import { parseAdminSession, parsePatientLookup } from './schemas';
+
+const NOW = new Date('2026-10-19T12:00:00Z').getTime();
+const TWELVE_HOURS = 12 * 60 * 60 * 1000;
+
+describe('parseAdminSession', () => {
+  beforeEach(() => jest.spyOn(Date, 'now').mockReturnValue(NOW));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('uses the expiry n8n sends', () => {
+    expect(parseAdminSession({ token: 'abc', expiresAt: '2026-10-19T20:00:00Z', nombre: 'Recepción' })).toEqual({
+      token: 'abc',
+      expiresAt: new Date('2026-10-19T20:00:00Z').getTime(),
+      name: 'Recepción'
+    });
+  });
+
+  test('lasts 12 hours when the expiry is missing or cannot be read', () => {
+    expect(parseAdminSession({ token: 'abc' }).expiresAt).toBe(NOW + TWELVE_HOURS);
+    expect(parseAdminSession({ token: 'abc', expiresAt: 'mañana' }).expiresAt).toBe(NOW + TWELVE_HOURS);
+  });
+
+  test('rejects a response without token', () => {
+    expect(() => parseAdminSession({ expiresAt: '2026-10-19T20:00:00Z' })).toThrow();
+  });
+});
+
+describe('parsePatientLookup', () => {
+  const ANSWERS = { alergias: ['latex'], sinCondiciones: true, sinMedicacion: true, anticoagulantes: 'si', embarazo: 'si' };
+
+  test('only says whether there are previous answers, never what they are', () => {
+    const { patient } = parsePatientLookup({
+      found: true,
+      patient: {
+        nombre: 'María González',
+        alergias: 'Penicilina',
+        historiaClinica: ANSWERS
+      }
+    });
+    expect(patient.hasMedicalHistory).toBe(true);
+    expect(JSON.stringify(patient)).not.toMatch(/Penicilina|latex|anticoagulantes/);
+  });
+
+  test('lists dependents by id and name only', () => {
+    const { dependents } = parsePatientLookup({
+      found: false,
+      dependientes: [
+        { id: 'fam-1', dni: '55123456', nombre: 'Tomás González', fechaNacimiento: '2018-05-10', historiaClinica: ANSWERS },
+        { dni: '55999888', nombre: 'Sin id' }
+      ]
+    });
+    expect(dependents).toEqual([{ id: 'fam-1', nombre: 'Tomás González' }]);
+  });
+
+  test('takes the flag n8n sends', () => {
+    const withFlag = parsePatientLookup({ found: true, patient: { nombre: 'Ana', tieneHistoriaClinica: true } });
+    expect(withFlag.patient.hasMedicalHistory).toBe(true);
+    const without = parsePatientLookup({ found: true, patient: { nombre: 'Ana', hasMedicalHistory: false, alergias: 'Ninguna' } });
+    expect(without.patient.hasMedicalHistory).toBe(false);
+    expect(parsePatientLookup({ found: true, patient: { nombre: 'Ana' } }).patient.hasMedicalHistory).toBe(false);
+  });
+});
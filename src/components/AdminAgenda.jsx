@@ -0,0 +1,327 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, ChevronLeft, ChevronRight, Loader, LogOut, Phone, Plus, RefreshCw } from 'lucide-react';
+import { fetchAgenda, isUnauthorizedError, updateAppointmentStatus } from '../api/n8n';
+import { describeError, isCancelled } from '../api/errors';
+import useLatestRequest from '../hooks/useLatestRequest';
+import { DEFAULT_TIMEZONE, addDays, dateValueInZone, formatDateLabel, parseDateValue } from '../utils/dates';
+import { findAppointmentType } from '../utils/appointmentTypes';
+import { findProfessional } from '../utils/professionals';
+import { STATUS_LABELS, countByStatus, entriesForDay, entryTimes, groupByStartTime, weekRange } from '../utils/agenda';
+
+// Alto de cada bloque proporcional a la duración del turno
+const PX_PER_MINUTE = 1.6;
+
+const STATUS_STYLES = {
+  confirmado: 'border-l-teal-500 bg-white',
+  asistio: 'border-l-green-500 bg-green-50',
+  ausente: 'border-l-red-400 bg-red-50'
+};
+
+export default function AdminAgenda({
+  session,
+  schedule,
+  professionals,
+  appointmentTypes,
+  timeZone = DEFAULT_TIMEZONE,
+  onNewWalkIn,
+  onUnauthorized,
+  onLogout
+}) {
+  const [view, setView] = useState('day');
+  const [fecha, setFecha] = useState(() => dateValueInZone(new Date(), timeZone));
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [updatingId, setUpdatingId] = useState('');
+  const { start: startAgenda, isLatest: isLatestAgenda } = useLatestRequest();
+
+  const week = weekRange(fecha);
+  const range = view === 'day' ? { from: fecha, to: fecha } : { from: week.from, to: week.to };
+  const { token } = session;
+
+  const loadAgenda = useCallback(async () => {
+    const signal = startAgenda();
+    setLoading(true);
+    setError('');
+    try {
+      const result = await fetchAgenda(range.from, range.to, token, { signal });
+      if (isLatestAgenda(signal)) setEntries(result);
+    } catch (err) {
+      if (isCancelled(err) || !isLatestAgenda(signal)) return;
+      if (isUnauthorizedError(err)) {
+        onUnauthorized();
+        return;
+      }
+      console.error('Error loading agenda:', err);
+      setError(describeError(err, 'Error al cargar la agenda.'));
+    } finally {
+      if (isLatestAgenda(signal)) setLoading(false);
+    }
+  }, [range.from, range.to, token, startAgenda, isLatestAgenda, onUnauthorized]);
+
+  useEffect(() => {
+    loadAgenda();
+  }, [loadAgenda]);
+
+  // Se actualiza en pantalla antes de confirmar con n8n y se revierte si falla
+  const setStatus = async (entry, estado) => {
+    const next = entry.estado === estado ? 'confirmado' : estado;
+    setUpdatingId(entry.id);
+    setError('');
+    setEntries(prev => prev.map(e => (e.id === entry.id ? { ...e, estado: next } : e)));
+    try {
+      await updateAppointmentStatus(entry.id, next, token);
+    } catch (err) {
+      setEntries(prev => prev.map(e => (e.id === entry.id ? { ...e, estado: entry.estado } : e)));
+      if (isUnauthorizedError(err)) {
+        onUnauthorized();
+        return;
+      }
+      console.error('Error updating appointment status:', err);
+      setError(describeError(err, 'Error al actualizar el turno.'));
+    } finally {
+      setUpdatingId('');
+    }
+  };
+
+  const move = (delta) => setFecha(addDays(fecha, view === 'day' ? delta : delta * 7));
+
+  const typeName = (entry) => findAppointmentType(appointmentTypes, entry.tipoTurno)?.name || entry.tipoTurnoNombre;
+  const professionalName = (entry) => findProfessional(professionals, entry.profesionalId)?.name;
+
+  const dayEntries = entriesForDay(entries, fecha, timeZone);
+  const counts = countByStatus(view === 'day' ? dayEntries : entries);
+  // En la semana se muestran los días de atención y cualquier otro que tenga turnos cargados
+  const weekDays = week.days.filter(
+    day => schedule.workDays.includes(parseDateValue(day).getDay()) || entriesForDay(entries, day, timeZone).length > 0
+  );
+  const title = view === 'day'
+    ? formatDateLabel(parseDateValue(fecha))
+    : `Semana del ${parseDateValue(week.from).toLocaleDateString('es-AR', { day: 'numeric', month: 'long' })}`;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-gradient-to-r from-teal-600 to-blue-600 text-white p-4">
+        <div className="max-w-5xl mx-auto flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h1 className="text-2xl font-bold">Agenda del consultorio</h1>
+            {session.name && <p className="text-teal-100 text-sm">{session.name}</p>}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={onNewWalkIn}
+              className="bg-white text-teal-700 py-2 px-4 rounded-lg font-medium hover:bg-teal-50 transition-colors flex items-center gap-2"
+            >
+              <Plus size={18} />
+              Sobreturno
+            </button>
+            <button
+              type="button"
+              onClick={onLogout}
+              className="border border-white/60 py-2 px-3 rounded-lg hover:bg-white/10 transition-colors flex items-center gap-2"
+            >
+              <LogOut size={18} />
+              Salir
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto p-4 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => move(-1)}
+              className="p-2 rounded-lg text-gray-600 hover:bg-gray-200"
+              aria-label={view === 'day' ? 'Día anterior' : 'Semana anterior'}
+            >
+              <ChevronLeft size={20} />
+            </button>
+            <h2 className="font-semibold text-gray-900 capitalize min-w-[14rem] text-center" aria-live="polite">{title}</h2>
+            <button
+              type="button"
+              onClick={() => move(1)}
+              className="p-2 rounded-lg text-gray-600 hover:bg-gray-200"
+              aria-label={view === 'day' ? 'Día siguiente' : 'Semana siguiente'}
+            >
+              <ChevronRight size={20} />
+            </button>
+            <button
+              type="button"
+              onClick={() => setFecha(dateValueInZone(new Date(), timeZone))}
+              className="py-1 px-3 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-white"
+            >
+              Hoy
+            </button>
+            <label htmlFor="agenda-fecha" className="sr-only">Ir a la fecha</label>
+            <input
+              id="agenda-fecha"
+              type="date"
+              value={fecha}
+              onChange={(e) => e.target.value && setFecha(e.target.value)}
+              className="py-1 px-2 text-sm border border-gray-300 rounded-lg"
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Vista">
+              {[['day', 'Día'], ['week', 'Semana']].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setView(value)}
+                  aria-pressed={view === value}
+                  className={`py-1 px-3 text-sm ${view === value ? 'bg-teal-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={loadAgenda}
+              disabled={loading}
+              className="p-2 rounded-lg text-gray-600 hover:bg-gray-200 disabled:opacity-50"
+              aria-label="Actualizar agenda"
+            >
+              <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+            </button>
+          </div>
+        </div>
+
+        <p className="text-sm text-gray-600">
+          {counts.confirmado + counts.asistio + counts.ausente} turnos · {counts.asistio} asistieron · {counts.ausente} no vinieron ·{' '}
+          {counts.confirmado} pendientes
+        </p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center gap-2" role="alert">
+            <AlertCircle size={20} />
+            {error}
+          </div>
+        )}
+
+        {loading && entries.length === 0 ? (
+          <div className="flex items-center gap-2 p-3 text-gray-600">
+            <Loader className="w-5 h-5 animate-spin" />
+            Cargando agenda...
+          </div>
+        ) : view === 'day' ? (
+          dayEntries.length === 0 ? (
+            <p className="text-gray-500 text-sm p-3 bg-white rounded-lg">No hay turnos para este día.</p>
+          ) : (
+            <ol className="space-y-3">
+              {groupByStartTime(dayEntries, timeZone).map(group => (
+                <li key={group.hora} className="flex gap-3">
+                  <span className="w-14 shrink-0 text-sm font-medium text-gray-700 pt-2">{group.hora}</span>
+                  <ul className="flex-1 grid gap-2 md:grid-cols-2">
+                    {group.entries.map(entry => {
+                      const { hora, fin } = entryTimes(entry, timeZone);
+                      return (
+                        <li
+                          key={entry.id}
+                          className={`border border-gray-200 border-l-4 rounded-lg p-3 ${STATUS_STYLES[entry.estado]}`}
+                          style={{ minHeight: `${entry.duracion * PX_PER_MINUTE}px` }}
+                        >
+                          <div className="flex items-start justify-between gap-2">
+                            <div>
+                              <p className="font-medium text-gray-900">
+                                {entry.paciente.nombre || 'Paciente sin nombre'}
+                                {entry.walkIn && (
+                                  <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-amber-100 text-amber-800">Sobreturno</span>
+                                )}
+                              </p>
+                              <p className="text-sm text-gray-600">
+                                {hora}–{fin} · {entry.duracion} min · {typeName(entry)}
+                              </p>
+                              {professionalName(entry) && <p className="text-sm text-gray-600">{professionalName(entry)}</p>}
+                              <p className="text-sm text-gray-600 flex flex-wrap gap-x-3">
+                                {entry.paciente.dni && <span>DNI {entry.paciente.dni}</span>}
+                                {entry.paciente.telefono && (
+                                  <a href={`tel:${entry.paciente.telefono}`} className="text-teal-700 hover:underline inline-flex items-center gap-1">
+                                    <Phone size={12} />
+                                    {entry.paciente.telefono}
+                                  </a>
+                                )}
+                              </p>
+                            </div>
+                            <span className="text-xs text-gray-500 whitespace-nowrap">{STATUS_LABELS[entry.estado]}</span>
+                          </div>
+                          <div className="flex gap-2 mt-2">
+                            {['asistio', 'ausente'].map(estado => (
+                              <button
+                                key={estado}
+                                type="button"
+                                onClick={() => setStatus(entry, estado)}
+                                disabled={updatingId === entry.id}
+                                aria-pressed={entry.estado === estado}
+                                aria-label={`${STATUS_LABELS[estado]}: ${entry.paciente.nombre} a las ${hora}`}
+                                className={`py-1 px-3 text-sm rounded-lg border transition-colors disabled:opacity-50 ${
+                                  entry.estado === estado
+                                    ? estado === 'asistio'
+                                      ? 'bg-green-600 text-white border-green-600'
+                                      : 'bg-red-500 text-white border-red-500'
+                                    : 'bg-white text-gray-700 border-gray-300 hover:border-teal-500'
+                                }`}
+                              >
+                                {STATUS_LABELS[estado]}
+                              </button>
+                            ))}
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </li>
+              ))}
+            </ol>
+          )
+        ) : (
+          <div className="grid gap-3 md:grid-cols-3 lg:grid-cols-4">
+            {weekDays.map(day => {
+              const items = entriesForDay(entries, day, timeZone);
+              return (
+                <section key={day} className="bg-white rounded-lg border border-gray-200 p-3" aria-labelledby={`agenda-day-${day}`}>
+                  <h3 id={`agenda-day-${day}`}>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setFecha(day);
+                        setView('day');
+                      }}
+                      className="font-medium text-teal-700 hover:underline capitalize"
+                    >
+                      {parseDateValue(day).toLocaleDateString('es-AR', { weekday: 'long', day: 'numeric' })}
+                    </button>
+                  </h3>
+                  {items.length === 0 ? (
+                    <p className="text-sm text-gray-500 mt-2">Sin turnos</p>
+                  ) : (
+                    <ul className="mt-2 space-y-1">
+                      {items.map(entry => {
+                        const { hora, fin } = entryTimes(entry, timeZone);
+                        return (
+                          <li
+                            key={entry.id}
+                            className={`border-l-4 rounded px-2 py-1 text-sm ${STATUS_STYLES[entry.estado]}`}
+                            style={{ minHeight: `${(entry.duracion * PX_PER_MINUTE) / 2}px` }}
+                          >
+                            <span className="font-medium">{hora}–{fin}</span> {entry.paciente.nombre}
+                            <span className="block text-xs text-gray-600">
+                              {typeName(entry)} · {STATUS_LABELS[entry.estado]}
+                            </span>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                </section>
+              );
+            })}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
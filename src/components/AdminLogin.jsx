@@ -0,0 +1,85 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, Loader, Lock } from 'lucide-react';
+import { adminLogin, isUnauthorizedError } from '../api/n8n';
+import { describeError } from '../api/errors';
+
+export default function AdminLogin({ onLogin }) {
+  const [pin, setPin] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const login = useCallback(async (credentials) => {
+    setLoading(true);
+    setError('');
+    try {
+      onLogin(await adminLogin(credentials));
+    } catch (err) {
+      console.error('Error logging in:', err);
+      setError(isUnauthorizedError(err) ? 'El PIN o el enlace de acceso no son válidos.' : describeError(err, 'No pudimos ingresar. Intentá nuevamente.'));
+    } finally {
+      setLoading(false);
+    }
+  }, [onLogin]);
+
+  // Enlace de acceso directo (/admin?token=...): se valida y se quita de la barra de direcciones
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    if (!token) return;
+    params.delete('token');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    login({ token });
+  }, [login]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (pin) login({ pin });
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-teal-50 to-blue-50 flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="max-w-sm w-full bg-white rounded-2xl shadow-xl p-8 space-y-4" aria-busy={loading}>
+        <div className="text-center">
+          <div className="w-12 h-12 bg-teal-100 rounded-full flex items-center justify-center mx-auto mb-3">
+            <Lock className="w-6 h-6 text-teal-700" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900">Recepción</h1>
+          <p className="text-gray-600 text-sm">Ingresá el PIN del consultorio para ver la agenda</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center gap-2 text-sm" role="alert">
+            <AlertCircle size={18} className="shrink-0" />
+            {error}
+          </div>
+        )}
+
+        <div>
+          <label htmlFor="admin-pin" className="block text-sm font-medium text-gray-700 mb-2">
+            PIN
+          </label>
+          <input
+            id="admin-pin"
+            type="password"
+            inputMode="numeric"
+            autoComplete="current-password"
+            value={pin}
+            onChange={(e) => setPin(e.target.value.trim())}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={!pin || loading}
+          className="w-full bg-teal-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-teal-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
+        >
+          {loading && <Loader className="w-5 h-5 animate-spin" />}
+          Ingresar
+        </button>
+      </form>
+    </div>
+  );
+}
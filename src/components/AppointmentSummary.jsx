@@ -0,0 +1,14 @@
+import React from 'react';
+
+export default function AppointmentSummary({ rows }) {
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
+      {rows.filter(row => row.value).map((row) => (
+        <div key={row.label} className="flex justify-between gap-4">
+          <span className="text-gray-600">{row.label}:</span>
+          <span className="font-medium text-right">{row.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
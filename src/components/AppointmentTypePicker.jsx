@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { Clock, Search } from 'lucide-react';
+import {
+  filterAppointmentTypes,
+  formatCost,
+  getTypeCost,
+  getTypeRestriction,
+  groupTypesByCategory
+} from '../utils/appointmentTypes';
+import useI18n from '../hooks/useI18n';
+
+const SEARCH_THRESHOLD = 6;
+
+// patientAge: edad del familiar a cargo el día del turno; null si el turno es para quien completa el formulario
+export default function AppointmentTypePicker({
+  id,
+  categories,
+  types,
+  value,
+  onChange,
+  obraSocial,
+  isNewPatient = false,
+  patientAge = null
+}) {
+  const { t, locale } = useI18n();
+  const [query, setQuery] = useState('');
+  const visibleTypes = filterAppointmentTypes(types, query);
+  const groups = groupTypesByCategory(visibleTypes, categories, locale);
+
+  return (
+    <div role="group" aria-labelledby={`${id}-label`}>
+      <p id={`${id}-label`} className="block text-sm font-medium text-gray-700 mb-2">
+        <Clock className="inline w-4 h-4 mr-1" />
+        {t('types.label')}
+      </p>
+
+      {types.length > SEARCH_THRESHOLD && (
+        <div className="relative mb-3">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+          <input
+            id={`${id}-search`}
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              // Enter no debe enviar el formulario mientras se busca
+              if (e.key === 'Enter') e.preventDefault();
+            }}
+            placeholder={t('types.searchPlaceholder')}
+            aria-label={t('types.searchLabel')}
+            aria-controls={`${id}-options`}
+            className="w-full p-3 pl-9 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+          />
+        </div>
+      )}
+
+      {query && (
+        <p className="sr-only" role="status">
+          {t('types.found', { count: visibleTypes.length })}
+        </p>
+      )}
+
+      <div id={`${id}-options`} className="space-y-4">
+        {groups.length === 0 && (
+          <p className="text-gray-500 text-sm p-3 bg-gray-50 rounded-lg">
+            {t('types.noResults', { query })}
+          </p>
+        )}
+        {groups.map(group => (
+          <fieldset key={group.id}>
+            <legend className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{group.name}</legend>
+            <div className="space-y-2">
+              {group.types.map(type => {
+                const selected = type.id === value;
+                const restriction = getTypeRestriction(type, { isNewPatient, age: patientAge });
+                const blocked = !!restriction;
+                const cost = formatCost(getTypeCost(type, obraSocial), locale);
+                const optionId = `${id}-${type.id}`;
+                return (
+                  <label
+                    key={type.id}
+                    htmlFor={optionId}
+                    className={`block p-3 rounded-lg border transition-colors focus-within:ring-2 focus-within:ring-teal-500 ${
+                      blocked
+                        ? 'bg-gray-50 border-gray-200 text-gray-400 cursor-not-allowed'
+                        : selected
+                          ? 'bg-teal-50 border-teal-600 cursor-pointer'
+                          : 'bg-white border-gray-300 hover:border-teal-500 cursor-pointer'
+                    }`}
+                  >
+                    <input
+                      id={optionId}
+                      type="radio"
+                      name={id}
+                      value={type.id}
+                      checked={selected}
+                      disabled={blocked}
+                      onChange={() => onChange(type.id)}
+                      aria-describedby={`${optionId}-details`}
+                      className="sr-only"
+                    />
+                    <span className="flex items-start justify-between gap-3">
+                      <span className={`font-medium ${blocked ? '' : 'text-gray-900'}`}>{type.name}</span>
+                      {cost && <span className="text-sm text-gray-700 whitespace-nowrap">{cost}</span>}
+                    </span>
+                    <span id={`${optionId}-details`} className="block text-sm text-gray-600 mt-1">
+                      {t('common.minutes', { count: type.duration })}
+                      {type.description && ` · ${type.description}`}
+                      {type.childrenOnly && (
+                        <span className="ml-2 inline-block text-xs px-2 py-0.5 rounded-full bg-blue-50 text-blue-700">{t('types.childrenOnly')}</span>
+                      )}
+                      {restriction === 'requiresConsulta' && (
+                        <span className="block text-amber-700 mt-1">
+                          {t('types.requiresConsulta')}
+                        </span>
+                      )}
+                      {restriction === 'childrenOnly' && (
+                        <span className="block text-amber-700 mt-1">
+                          {patientAge === null
+                            ? t('types.childrenOnlyForDependent')
+                            : t('types.childrenOnlyMaxAge', { age: type.maxAge })}
+                        </span>
+                      )}
+                    </span>
+                    {selected && type.prepInstructions.length > 0 && (
+                      <ul className="mt-2 text-sm text-teal-800 list-disc list-inside">
+                        {type.prepInstructions.map(instruction => (
+                          <li key={instruction}>{instruction}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </label>
+                );
+              })}
+            </div>
+          </fieldset>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,283 +1,811 @@
-import React, { useMemo, useRef, useState } from 'react';
-import { Calendar, Clock, User, CreditCard, Phone, AlertCircle, CheckCircle, Loader } from 'lucide-react';
-
-const APPOINTMENT_TYPES = [
-  { id: 'consulta', name: 'Consulta', duration: 30 },
-  { id: 'limpieza', name: 'Limpieza', duration: 45 },
-  { id: 'ensenanza', name: 'Enseñanza de técnica de cepillado y flúor en niños', duration: 30 },
-  { id: 'caries_chicos', name: 'Arreglos caries chicos', duration: 45 },
-  { id: 'caries_grandes', name: 'Arreglos caries grandes', duration: 60 },
-  { id: 'molde_blanqueamiento', name: 'Toma de molde para blanqueamiento ambulatorio', duration: 30 },
-  { id: 'molde_relajacion', name: 'Toma de molde para placa de relajación', duration: 30 },
-  { id: 'instalacion_placas', name: 'Instalación de placas de relajación', duration: 45 },
-  { id: 'carillas', name: 'Carillas anteriores', duration: 90 },
-  { id: 'contenciones', name: 'Contenciones', duration: 45 },
-  { id: 'incrustaciones', name: 'Incrustaciones', duration: 75 }
-];
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Calendar, User, Users, CreditCard, Phone, AlertCircle, CheckCircle, Loader, ListChecks, Stethoscope, Timer, ArrowLeft, ArrowRight, BellRing, CloudOff } from 'lucide-react';
+import { lookupPatient, fetchSlotsByProfessional, createAppointment, isSlotLostError, isUnauthorizedError } from '../api/n8n';
+import { isCancelled, isConnectionError } from '../api/errors';
+import useSlotHold from '../hooks/useSlotHold';
+import useLatestRequest from '../hooks/useLatestRequest';
+import useI18n from '../hooks/useI18n';
+import { findNearestSlots, formatCountdown } from '../utils/slots';
+import {
+  ageOn,
+  browserTimeZone,
+  buildAppointmentISO,
+  dateValueInZone,
+  formatLocalTime,
+  parseDateValue,
+  timeInZone
+} from '../utils/dates';
+import { loadDraft, saveDraft, clearDraft } from '../utils/draft';
+import { createIdempotencyKey } from '../utils/outbox';
+import {
+  formatArgentinePhone,
+  isValidDni,
+  normalizeDni,
+  parseArgentinePhone,
+  validateBirthDate,
+  validateDni
+} from '../utils/validation';
+import { getScheduleDates, filterSlotsByLeadTime } from '../utils/schedule';
+import ObraSocialCombobox from './ObraSocialCombobox';
+import AppointmentSummary from './AppointmentSummary';
+import DateCalendar from './DateCalendar';
+import SlotPicker from './SlotPicker';
+import MyAppointments from './MyAppointments';
+import WizardProgress from './WizardProgress';
+import AppointmentTypePicker from './AppointmentTypePicker';
+import DependentFields from './DependentFields';
+import MedicalHistoryFields from './MedicalHistoryFields';
+import PrepInstructions from './PrepInstructions';
+import CalendarActions from './CalendarActions';
+import WaitlistForm from './WaitlistForm';
+import LanguageSwitcher from './LanguageSwitcher';
+import OutboxStatus from './OutboxStatus';
+import {
+  OBRAS_SOCIALES,
+  PARTICULAR,
+  findObraSocial,
+  getObraSocialLabel,
+  matchObraSocial,
+  normalizeAffiliateNumber,
+  validateAffiliateNumber,
+  isTypeCovered
+} from '../utils/obrasSociales';
+import {
+  ANY_PROFESSIONAL,
+  getCandidateProfessionals,
+  filterTypesForProfessionals,
+  mergeSlotOwners
+} from '../utils/professionals';
+import { DEFAULT_CLINIC } from '../utils/clinic';
+import {
+  findAppointmentType,
+  formatCost,
+  getTypeCost,
+  getTypeRestriction,
+  localizeAppointmentTypes
+} from '../utils/appointmentTypes';
+import { includeOfferedDate, includeOfferedSlot } from '../utils/waitlist';
+import {
+  CONSENT_VERSION,
+  EMPTY_MEDICAL_HISTORY,
+  describeMedicalHistory,
+  isMedicalHistoryComplete,
+  medicalHistoryToText,
+  normalizeMedicalHistory
+} from '../utils/medicalHistory';
 
-const WORK_DAYS = [1, 2, 3, 4]; // Lunes a Jueves
+// Claves de booking.steps.* en los catálogos
+const STEPS = ['identification', 'patient', 'appointment', 'review'];
+const LAST_STEP = STEPS.length - 1;
+const DATE_STEP = 2;
+// paraQuien vacío: el turno es para quien completa el formulario
+const FOR_DEPENDENT = 'dependiente';
+const FOR_WHOM_OPTIONS = [
+  { id: '', labelKey: 'booking.forSelf', Icon: User },
+  { id: FOR_DEPENDENT, labelKey: 'booking.forDependent', Icon: Users }
+];
+// Con un familiar a cargo, la obra social y los datos médicos son los de quien se atiende
+const DEPENDENT_FIELDS = {
+  obraSocial: 'dependienteObraSocial',
+  numeroAfiliado: 'dependienteAfiliado',
+  historiaClinica: 'dependienteHistoriaClinica'
+};
 
-const BASE_URL = (process.env.REACT_APP_N8N_BASE_URL || 'https://n8n-mpindar.dentaldash.cloud').replace(/\/+$/, '');
-const N8N_ENDPOINTS = {
-  CHECK_PATIENT: `${BASE_URL}/webhook/check-patient`,
-  CREATE_APPOINTMENT: `${BASE_URL}/webhook/create-appointment`,
-  GET_AVAILABILITY: `${BASE_URL}/webhook/get-availability`
+const EMPTY_FORM = {
+  dni: '',
+  nombre: '',
+  telefono: '',
+  obraSocial: '',
+  numeroAfiliado: '',
+  historiaClinica: EMPTY_MEDICAL_HISTORY,
+  paraQuien: '',
+  // id del familiar elegido entre los que devolvió check-patient; vacío si es una persona nueva
+  dependienteId: '',
+  dependienteDni: '',
+  dependienteNombre: '',
+  dependienteNacimiento: '',
+  dependienteObraSocial: '',
+  dependienteAfiliado: '',
+  dependienteHistoriaClinica: EMPTY_MEDICAL_HISTORY,
+  profesional: '',
+  tipoTurno: '',
+  fecha: '',
+  hora: ''
 };
 
-async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, { ...options, signal: controller.signal });
-    return res;
-  } finally {
-    clearTimeout(id);
-  }
+// La fecha guardada puede haber pasado o quedado bloqueada y el tratamiento o la obra social pudieron salir de la
+// configuración del consultorio; sin horario, la revisión vuelve al paso de la fecha
+function restoreDraft(draft, dates, types, obrasSociales) {
+  if (!draft) return null;
+  const formData = { ...EMPTY_FORM };
+  Object.keys(EMPTY_FORM).forEach(field => {
+    if (typeof draft.formData[field] === 'string') formData[field] = draft.formData[field];
+  });
+  formData.hora = '';
+  if (!dates.some(d => d.value === formData.fecha && d.available !== false)) formData.fecha = '';
+  if (!findAppointmentType(types, formData.tipoTurno)) formData.tipoTurno = '';
+  if (!findObraSocial(formData.obraSocial, obrasSociales)) formData.obraSocial = '';
+  if (!findObraSocial(formData.dependienteObraSocial, obrasSociales)) formData.dependienteObraSocial = '';
+  if (!Object.values(formData).some(value => typeof value === 'string' && value)) return null;
+  formData.historiaClinica = normalizeMedicalHistory(draft.formData.historiaClinica) || EMPTY_MEDICAL_HISTORY;
+  formData.dependienteHistoriaClinica = normalizeMedicalHistory(draft.formData.dependienteHistoriaClinica) || EMPTY_MEDICAL_HISTORY;
+  return {
+    formData,
+    step: Math.max(0, Math.min(draft.step, DATE_STEP)),
+    saveMedical: draft.saveMedical
+  };
 }
 
-function toLocalISOStringWithOffset(date) {
-  const pad = (n) => String(n).padStart(2, '0');
-  const tzo = -date.getTimezoneOffset();
-  const sign = tzo >= 0 ? '+' : '-';
-  const hh = pad(Math.floor(Math.abs(tzo) / 60));
-  const mm = pad(Math.abs(tzo) % 60);
+// check-patient solo da el id y el nombre del familiar: el DNI y la fecha de nacimiento los vuelve a ingresar el
+// responsable y n8n los compara con los que tiene
+function dependentToFormData(dependent) {
+  const empty = Object.fromEntries(Object.keys(EMPTY_FORM).filter(k => k.startsWith('dependiente')).map(k => [k, EMPTY_FORM[k]]));
+  return dependent ? { ...empty, dependienteId: dependent.id, dependienteNombre: dependent.nombre } : empty;
+}
+
+function ClinicHeading({ clinic }) {
   return (
-    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
-    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
-    `${sign}${hh}:${mm}`
+    <div className="flex items-center justify-center gap-2 mb-3">
+      {clinic.logo && <img src={clinic.logo} alt="" className="h-10 w-auto max-w-[8rem] object-contain rounded bg-white p-1" />}
+      <span className="font-medium text-teal-50">{clinic.name}</span>
+    </div>
   );
 }
 
-export default function BookingForm() {
-  const [formData, setFormData] = useState({
-    dni: '',
-    nombre: '',
-    telefono: '',
-    obraSocial: '',
-    numeroAfiliado: '',
-    alergias: '',
-    antecedentes: '',
-    tipoTurno: '',
-    fecha: '',
-    hora: ''
+// El enlace de la lista de espera abre el formulario en el paso de la fecha con el turno liberado ya elegido
+function offerToFormData(offer, professionals) {
+  const knownProfessional = professionals.some(p => p.id === offer.profesionalId);
+  return {
+    ...EMPTY_FORM,
+    dni: normalizeDni(offer.dni),
+    nombre: offer.nombre,
+    telefono: offer.telefono,
+    profesional: knownProfessional ? offer.profesionalId : professionals.length > 1 ? ANY_PROFESSIONAL.id : '',
+    tipoTurno: offer.tipoTurno,
+    fecha: offer.fecha,
+    hora: offer.hora
+  };
+}
+
+// staffSession llega solo desde recepción: el turno se registra como sobreturno y no se guarda borrador en el equipo.
+// Si n8n rechaza su token se llama a onUnauthorized para volver a pedir el PIN, como en la agenda.
+// outbox (hooks/useOutbox) llega solo en la app de pacientes: sin conexión el turno queda pendiente en vez de perderse
+export default function BookingForm({
+  schedule,
+  professionals = [],
+  catalog,
+  clinic = DEFAULT_CLINIC,
+  obrasSociales = OBRAS_SOCIALES,
+  staffSession = null,
+  onUnauthorized = null,
+  waitlistOffer = null,
+  waitlistOfferError = '',
+  outbox = null
+}) {
+  const { t, tError, locale } = useI18n();
+  // Lo que ve el paciente sale del catálogo traducido; lo que se envía a n8n, del original
+  const { categories, types: appointmentTypes } = useMemo(
+    () => localizeAppointmentTypes(catalog, locale),
+    [catalog, locale]
+  );
+  // fromOffer: se usó la oferta de la lista de espera; si su tratamiento no está en el catálogo se sigue con el borrador
+  const [initialState] = useState(() => {
+    if (waitlistOffer && findAppointmentType(appointmentTypes, waitlistOffer.tipoTurno)) {
+      return { formData: offerToFormData(waitlistOffer, professionals), step: DATE_STEP, saveMedical: false, fromOffer: true };
+    }
+    return staffSession ? null : restoreDraft(
+      loadDraft(),
+      getScheduleDates(schedule, { timeZone: clinic.timezone }),
+      appointmentTypes,
+      obrasSociales
+    );
   });
+  const [formData, setFormData] = useState(initialState ? initialState.formData : EMPTY_FORM);
+  const [step, setStep] = useState(initialState ? initialState.step : 0);
+  const [saveMedical, setSaveMedical] = useState(initialState ? initialState.saveMedical : false);
+  const [activeOffer, setActiveOffer] = useState(initialState && initialState.fromOffer ? waitlistOffer : null);
+  const [draftRestored, setDraftRestored] = useState(!!initialState && !initialState.fromOffer);
+  // waitlistOfferError llega ya traducido; al empezar de nuevo se deja de mostrar
+  const [offerErrorDismissed, setOfferErrorDismissed] = useState(false);
+  const offerError = offerErrorDismissed ? '' : waitlistOfferError;
+  const [showWaitlist, setShowWaitlist] = useState(false);
 
   const [loading, setLoading] = useState(false);
   const [checkingPatient, setCheckingPatient] = useState(false);
   const [patientFound, setPatientFound] = useState(false);
+  // check-patient solo dice si hay respuestas de una visita anterior; el cuestionario se completa de nuevo
+  const [patientHasHistory, setPatientHasHistory] = useState(false);
   const [patientSearched, setPatientSearched] = useState(false);
+  const [dependents, setDependents] = useState([]);
   const [availableSlots, setAvailableSlots] = useState([]);
+  const [slotOwners, setSlotOwners] = useState({});
   const [loadingAvailability, setLoadingAvailability] = useState(false);
-  const [success, setSuccess] = useState(false);
+  // Respuesta de create-appointment junto con el fechaHora enviado; mientras es null se muestra el formulario
+  const [confirmation, setConfirmation] = useState(null);
   const [error, setError] = useState('');
+  const [showMyAppointments, setShowMyAppointments] = useState(false);
+  const [slotNotice, setSlotNotice] = useState(null);
+  // Los errores de un campo se muestran recién cuando el paciente sale de él
+  const [touched, setTouched] = useState({});
+  // Momento en que se aceptó el consentimiento para datos de salud; no se guarda en el borrador
+  const [consentAt, setConsentAt] = useState('');
+  // Viaja con el turno para que n8n no lo duplique si el mismo envío llega dos veces; cambia con cada horario elegido
+  const [idempotencyKey, setIdempotencyKey] = useState(createIdempotencyKey);
+  // Turno que no se pudo enviar y espera en la bandeja de salida
+  const [queuedId, setQueuedId] = useState(null);
 
   const dniDebounceRef = useRef(null);
+  const stepHeadingRef = useRef(null);
+  const focusStepRef = useRef(false);
+  const patientRequest = useLatestRequest();
+  const slotsRequest = useLatestRequest();
 
   const checkPatient = async (dni) => {
-    if (dni.length < 8) {
+    if (!isValidDni(dni)) {
       setPatientFound(false);
+      setPatientHasHistory(false);
       setPatientSearched(false);
       return;
     }
 
+    const signal = patientRequest.start();
     setCheckingPatient(true);
     setError('');
 
     try {
-      const response = await fetchWithTimeout(`${N8N_ENDPOINTS.CHECK_PATIENT}?dni=${dni}`, {}, 10000);
-      if (!response.ok) throw new Error('Error al consultar paciente');
-      const data = await response.json();
+      const { found, patient, dependents: knownDependents } = await lookupPatient(dni, { signal });
+      if (!patientRequest.isLatest(signal)) return;
 
-      if (data.found && data.patient) {
+      setDependents(knownDependents);
+      // El familiar elegido era de otro responsable: queda como persona nueva con los datos ya cargados
+      setFormData(prev => (
+        prev.dependienteId && !knownDependents.some(d => d.id === prev.dependienteId)
+          ? { ...prev, dependienteId: '' }
+          : prev
+      ));
+
+      if (found) {
         setFormData(prev => ({
           ...prev,
-          nombre: data.patient.nombre || data.patient.name || '',
-          telefono: data.patient.telefono || data.patient.phone || '',
-          obraSocial: data.patient.obraSocial || data.patient.insurance || '',
-          numeroAfiliado: data.patient.numeroAfiliado || data.patient.affiliateNumber || '',
-          alergias: data.patient.alergias || data.patient.allergies || 'Ninguna',
-          antecedentes: data.patient.antecedentes || data.patient.background || 'Ninguno'
+          nombre: patient.nombre,
+          telefono: patient.telefono,
+          obraSocial: matchObraSocial(patient.obraSocial, obrasSociales)?.id || '',
+          numeroAfiliado: patient.numeroAfiliado
         }));
         setPatientFound(true);
       } else {
         setPatientFound(false);
       }
+      setPatientHasHistory(found && patient.hasMedicalHistory);
       setPatientSearched(true);
     } catch (err) {
+      if (isCancelled(err) || !patientRequest.isLatest(signal)) return;
       console.error('Error checking patient:', err);
-      setError('Error al verificar el paciente. Intenta nuevamente.');
+      setError(tError(err, 'errors.checkPatient'));
+      setDependents([]);
       setPatientFound(false);
+      setPatientHasHistory(false);
       setPatientSearched(true);
     } finally {
-      setCheckingPatient(false);
+      if (patientRequest.isLatest(signal)) setCheckingPatient(false);
     }
   };
 
-  const getAvailableSlots = async (fecha, tipoTurno) => {
-    if (!fecha || !tipoTurno) return;
+  // Devuelve null si mientras tanto cambió la fecha, el tipo o la profesional y esta respuesta quedó obsoleta
+  const getAvailableSlots = async ({ fecha, tipoTurno, profesional }, { fresh = false } = {}) => {
+    if (!fecha || !tipoTurno) {
+      slotsRequest.cancel();
+      setLoadingAvailability(false);
+      return [];
+    }
 
+    const signal = slotsRequest.start();
     setLoadingAvailability(true);
     try {
-      const appointmentType = APPOINTMENT_TYPES.find(t => t.id === tipoTurno);
-      const response = await fetchWithTimeout(
-        `${N8N_ENDPOINTS.GET_AVAILABILITY}?fecha=${fecha}&duration=${appointmentType.duration}`,
-        {},
-        10000
+      const appointmentType = findAppointmentType(appointmentTypes, tipoTurno);
+      const candidates = getCandidateProfessionals(professionals, profesional, tipoTurno);
+      const results = await fetchSlotsByProfessional(fecha, appointmentType.duration, candidates.map(p => p.id), {
+        signal,
+        fresh
+      });
+      if (!slotsRequest.isLatest(signal)) return null;
+      const merged = mergeSlotOwners(results);
+      const { slots, owners } = includeOfferedSlot(
+        filterSlotsByLeadTime(schedule, fecha, Object.keys(merged).sort(), { timeZone: clinic.timezone }),
+        merged,
+        activeOffer,
+        { fecha, tipoTurno }
       );
-      if (!response.ok) throw new Error('Error al consultar disponibilidad');
-      const data = await response.json();
-      setAvailableSlots(data.availableSlots || []);
+      setSlotOwners(owners);
+      setAvailableSlots(slots);
+      return slots;
     } catch (err) {
+      if (isCancelled(err) || !slotsRequest.isLatest(signal)) return null;
       console.error('Error getting availability:', err);
+      setSlotOwners({});
       setAvailableSlots([]);
+      return [];
     } finally {
-      setLoadingAvailability(false);
+      if (slotsRequest.isLatest(signal)) setLoadingAvailability(false);
     }
   };
 
-  const availableDates = useMemo(() => {
-    const dates = [];
-    const today = new Date();
-    for (let i = 1; i <= 14; i++) {
-      const d = new Date(today);
-      d.setDate(today.getDate() + i);
-      if (WORK_DAYS.includes(d.getDay())) {
-        const y = d.getFullYear();
-        const m = String(d.getMonth() + 1).padStart(2, '0');
-        const day = String(d.getDate()).padStart(2, '0');
-        const value = `${y}-${m}-${day}`;
-        const label = d.toLocaleDateString('es-AR', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
-        dates.push({ value, label });
+  // El horario elegido se perdió (reserva vencida u ocupado): se recargan los horarios y se proponen los más cercanos
+  const handleSlotLost = async (reason, slot) => {
+    setFormData(prev => ({ ...prev, hora: '' }));
+    setStep(prev => Math.min(prev, DATE_STEP));
+    const slots = await getAvailableSlots(formData, { fresh: true });
+    if (!slots) return;
+    setSlotNotice({
+      message: t(reason === 'expired' ? 'booking.slotExpired' : 'booking.slotTaken', { time: slot }),
+      suggestions: findNearestSlots(slots, slot)
+    });
+  };
+
+  const { hold, secondsLeft, holdSlot, clearHold } = useSlotHold({
+    onExpire: (expired) => handleSlotLost('expired', expired.slot)
+  });
+
+  const availableDates = useMemo(
+    () => includeOfferedDate(getScheduleDates(schedule, { timeZone: clinic.timezone, locale }), activeOffer, locale),
+    [schedule, clinic.timezone, activeOffer, locale]
+  );
+
+  // Al volver con un borrador o desde la lista de espera se repiten las consultas que dependían de esos datos.
+  // Como onExpire en useSlotHold, la ref tiene las funciones del último render: la consulta se hace una sola vez
+  const repeatQueriesRef = useRef(null);
+  useEffect(() => {
+    repeatQueriesRef.current = (data) => {
+      if (isValidDni(data.dni)) checkPatient(data.dni);
+      getAvailableSlots(data);
+    };
+  });
+
+  useEffect(() => {
+    if (initialState) repeatQueriesRef.current(initialState.formData);
+  }, [initialState]);
+
+  useEffect(() => {
+    if (confirmation || staffSession || queuedId) return;
+    saveDraft({ formData, step, saveMedical });
+  }, [formData, step, saveMedical, confirmation, staffSession, queuedId]);
+
+  const queuedEntry = outbox && queuedId ? outbox.entries.find(entry => entry.id === queuedId) : null;
+
+  // Cuando n8n responde al reenvío se sigue como si hubiera respondido al envío original
+  const queuedResultRef = useRef(null);
+  useEffect(() => {
+    queuedResultRef.current = (entry) => {
+      setQueuedId(null);
+      outbox.dismiss(entry.id);
+      if (entry.status === 'confirmed') {
+        setConfirmation({ ...entry.confirmation, fechaHora: entry.summary.fechaHora });
+      } else if (entry.reason === 'slotLost') {
+        handleSlotLost('taken', formData.hora);
+      } else {
+        setError(entry.reason ? t(`outbox.reason.${entry.reason}`) : entry.serverMessage || t('errors.createAppointment'));
       }
+    };
+  });
+
+  // Solo importa el resultado del turno pendiente
+  useEffect(() => {
+    if (queuedEntry && queuedEntry.status !== 'pending') queuedResultRef.current(queuedEntry);
+  }, [queuedEntry]);
+
+  useEffect(() => {
+    if (!focusStepRef.current) return;
+    focusStepRef.current = false;
+    if (stepHeadingRef.current) stepHeadingRef.current.focus();
+  }, [step]);
+
+  const goToStep = (next) => {
+    focusStepRef.current = true;
+    setStep(next);
+    setError('');
+    setDraftRestored(false);
+  };
+
+  const resetForm = () => {
+    if (dniDebounceRef.current) clearTimeout(dniDebounceRef.current);
+    patientRequest.cancel();
+    slotsRequest.cancel();
+    clearHold();
+    clearDraft();
+    if (activeOffer) {
+      // La oferta ya se usó o se descartó: que una recarga no vuelva a abrirla
+      const params = new URLSearchParams(window.location.search);
+      params.delete('waitlist');
+      const query = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
     }
-    return dates;
-  }, []);
+    setActiveOffer(null);
+    setOfferErrorDismissed(true);
+    setShowWaitlist(false);
+    setFormData(EMPTY_FORM);
+    setSaveMedical(false);
+    setDraftRestored(false);
+    setCheckingPatient(false);
+    setPatientFound(false);
+    setPatientHasHistory(false);
+    setPatientSearched(false);
+    setDependents([]);
+    setAvailableSlots([]);
+    setSlotOwners({});
+    setLoadingAvailability(false);
+    setSlotNotice(null);
+    setTouched({});
+    setConsentAt('');
+    setIdempotencyKey(createIdempotencyKey());
+    setError('');
+    setConfirmation(null);
+    goToStep(0);
+  };
 
   const handleInputChange = (field, rawValue) => {
     let value = rawValue;
 
-    if (field === 'dni') value = (rawValue || '').replace(/\D/g, '');
-    if (field === 'telefono') value = (rawValue || '').replace(/[ .-]/g, '');
+    if (field === 'dni' || field === 'dependienteDni') value = normalizeDni(rawValue);
 
-    setFormData(prev => ({ ...prev, [field]: value }));
+    const resetsForProfessional = field === 'profesional'
+      ? {
+          hora: '',
+          tipoTurno: filterTypesForProfessionals(appointmentTypes, getCandidateProfessionals(professionals, value))
+            .some(t => t.id === formData.tipoTurno) ? formData.tipoTurno : ''
+        }
+      : {};
+
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+      ...(field === patientField('obraSocial') && value === PARTICULAR.id ? { [patientField('numeroAfiliado')]: '' } : {}),
+      ...resetsForProfessional
+    }));
 
     if (field === 'dni') {
       if (dniDebounceRef.current) clearTimeout(dniDebounceRef.current);
-      if (value && value.length >= 8) {
+      // La consulta en curso corresponde a un DNI que ya no es el del campo
+      patientRequest.cancel();
+      setCheckingPatient(false);
+      if (isValidDni(value)) {
         dniDebounceRef.current = setTimeout(() => checkPatient(value), 400);
       } else {
         setPatientFound(false);
+        setPatientHasHistory(false);
         setPatientSearched(false);
+        setDependents([]);
       }
     }
 
-    if (field === 'fecha' || field === 'tipoTurno') {
-      const newFormData = { ...formData, [field]: value };
-      if (newFormData.fecha && newFormData.tipoTurno) {
-        getAvailableSlots(newFormData.fecha, newFormData.tipoTurno);
+    if (field === 'tipoTurno' || field === 'profesional') setShowWaitlist(false);
+
+    if (field === 'fecha' || field === 'tipoTurno' || field === 'profesional') {
+      clearHold();
+      setSlotNotice(null);
+      setFormData(prev => ({ ...prev, hora: '' }));
+      getAvailableSlots({ ...formData, [field]: value, ...resetsForProfessional, hora: '' });
+    }
+  };
+
+  const selectDependent = (dependent) => {
+    setFormData(prev => ({ ...prev, ...dependentToFormData(dependent) }));
+    setTouched(prev => ({ ...prev, dependienteDni: false, dependienteNacimiento: false }));
+  };
+
+  const selectSlot = async (slot) => {
+    handleInputChange('hora', slot);
+    setSlotNotice(null);
+    setIdempotencyKey(createIdempotencyKey());
+    const appointmentType = findAppointmentType(appointmentTypes, formData.tipoTurno);
+    try {
+      await holdSlot({
+        fecha: formData.fecha,
+        hora: slot,
+        duracion: appointmentType.duration,
+        profesionalId: ownerOf(slot)?.id || '',
+        dni: patientIdentity.dni
+      });
+    } catch (err) {
+      if (isSlotLostError(err)) {
+        handleSlotLost('taken', slot);
+      } else {
+        // Sin reserva temporal se puede seguir: create-appointment vuelve a validar el horario
+        console.error('Error holding slot:', err);
       }
     }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (step < LAST_STEP) {
+      if (!isStepValid(step)) return;
+      // Desde la lista de espera se entra directo a la fecha: si faltan datos de un paso anterior se vuelve a él
+      const pending = STEPS.findIndex((_, index) => index < step && !isStepValid(index));
+      goToStep(pending === -1 ? step + 1 : pending);
+      return;
+    }
+    if (!isFormValid()) return;
+
     setLoading(true);
     setError('');
 
+    const appointmentType = findAppointmentType(catalog.types, formData.tipoTurno);
+    const appointmentISO = buildAppointmentISO(formData.fecha, formData.hora, clinic.timezone);
+    const payload = {
+      ...patientIdentity,
+      telefono: phone.e164,
+      obraSocial: selectedObraSocial.name,
+      obraSocialId: selectedObraSocial.id,
+      numeroAfiliado: selectedObraSocial.requiresAffiliateNumber
+        ? normalizeAffiliateNumber(formData[patientField('numeroAfiliado')])
+        : '',
+      ...medicalHistoryToText(medicalHistory),
+      historiaClinica: medicalHistory,
+      consentimiento: { aceptado: true, fechaHora: consentAt, version: CONSENT_VERSION, texto: consentText, idioma: locale },
+      tipoTurno: formData.tipoTurno,
+      tipoTurnoNombre: appointmentType.name,
+      duracion: appointmentType.duration,
+      profesionalId: assignedProfessional?.id || '',
+      profesionalNombre: assignedProfessional?.name || '',
+      fechaHora: appointmentISO,
+      timezone: clinic.timezone,
+      holdToken: hold?.token || '',
+      isNewPatient,
+      ...(forDependent ? { responsable: guardian } : {}),
+      // Para que n8n mande el recordatorio por WhatsApp en el idioma del paciente
+      locale,
+      ...(isOfferedSlot ? { waitlistToken: activeOffer.token } : {}),
+      ...(staffSession ? { walkIn: true } : {}),
+      idempotencyKey
+    };
+
     try {
-      const appointmentType = APPOINTMENT_TYPES.find(t => t.id === formData.tipoTurno);
-      const [hours, minutes] = formData.hora.split(':');
-      const appointmentDateTime = new Date(formData.fecha);
-      appointmentDateTime.setHours(parseInt(hours, 10), parseInt(minutes, 10), 0, 0);
-      const appointmentISO = toLocalISOStringWithOffset(appointmentDateTime);
-
-      const response = await fetchWithTimeout(N8N_ENDPOINTS.CREATE_APPOINTMENT, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          dni: formData.dni,
-          nombre: formData.nombre,
-          telefono: formData.telefono,
-          obraSocial: formData.obraSocial,
-          numeroAfiliado: formData.numeroAfiliado,
-          alergias: formData.alergias || 'Ninguna',
-          antecedentes: formData.antecedentes || 'Ninguno',
-          tipoTurno: formData.tipoTurno,
-          tipoTurnoNombre: appointmentType.name,
-          duracion: appointmentType.duration,
-          fechaHora: appointmentISO,
-          timezone: 'America/Argentina/Buenos_Aires',
-          isNewPatient: !patientFound
-        })
-      }, 15000);
-
-      if (!response.ok) {
-        let msg = 'Error al crear el turno';
-        try {
-          const errorData = await response.json();
-          msg = errorData.message || msg;
-        } catch (_) {}
-        throw new Error(msg);
-      }
+      const result = await createAppointment(payload, { token: staffSession?.token });
 
-      await response.json();
-      setSuccess(true);
+      clearHold();
+      clearDraft();
+      setConfirmation({ ...result, fechaHora: appointmentISO });
     } catch (err) {
-      setError(err.message || 'Error al crear el turno. Intenta nuevamente.');
       console.error('Error creating appointment:', err);
+      // Sin respuesta de n8n el turno queda en la bandeja de salida y se reenvía con la misma clave.
+      // Las respuestas de salud se escriben en el dispositivo solo si el paciente eligió guardarlas
+      if (outbox && isConnectionError(err) && outbox.queue(payload, { keepMedical: saveMedical })) {
+        clearHold();
+        clearDraft();
+        setQueuedId(payload.idempotencyKey);
+        return;
+      }
+      if (staffSession && onUnauthorized && isUnauthorizedError(err)) {
+        clearHold();
+        onUnauthorized();
+        return;
+      }
+      if (isSlotLostError(err)) {
+        clearHold();
+        handleSlotLost('taken', formData.hora);
+        return;
+      }
+      setError(tError(err, 'errors.createAppointment'));
     } finally {
       setLoading(false);
     }
   };
 
-  const isFormValid = () => {
-    const dniOk = formData.dni && formData.dni.length >= 8;
-    const telOk = formData.telefono && formData.telefono.replace(/\D/g, '').length >= 8;
-    return dniOk && formData.nombre && telOk && formData.tipoTurno && formData.fecha && formData.hora;
+  const forDependent = formData.paraQuien === FOR_DEPENDENT;
+  const patientField = (field) => (forDependent ? DEPENDENT_FIELDS[field] : field);
+  const today = dateValueInZone(new Date(), clinic.timezone);
+  const selectedObraSocial = findObraSocial(formData[patientField('obraSocial')], obrasSociales);
+  const afiliadoError = validateAffiliateNumber(selectedObraSocial, formData[patientField('numeroAfiliado')], locale);
+  const dniError = validateDni(formData.dni, locale);
+  const phone = parseArgentinePhone(formData.telefono, locale, clinic.areaCode);
+  const showDniError = touched.dni && !!dniError;
+  const showPhoneError = touched.telefono && !!phone.error;
+  const dependentDniError = !forDependent
+    ? ''
+    : !formData.dependienteDni
+      ? t('validation.dependentDniRequired')
+      : formData.dependienteDni === formData.dni
+        ? t('validation.dependentSameDni')
+        : validateDni(formData.dependienteDni, locale);
+  const birthDateError = forDependent ? validateBirthDate(formData.dependienteNacimiento, today, locale) : '';
+  // Los datos de contacto son siempre los de quien completa el formulario; en n8n queda como responsable
+  const guardian = { dni: formData.dni, nombre: formData.nombre, telefono: phone.e164 };
+  const patientIdentity = forDependent
+    ? {
+      dni: formData.dependienteDni,
+      nombre: formData.dependienteNombre,
+      fechaNacimiento: formData.dependienteNacimiento,
+      ...(formData.dependienteId ? { dependienteId: formData.dependienteId } : {})
+    }
+    : { dni: formData.dni, nombre: formData.nombre };
+  const isNewPatient = forDependent ? !formData.dependienteId : !patientFound;
+  const medicalHistory = formData[patientField('historiaClinica')];
+  const medicalOk = isMedicalHistoryComplete(medicalHistory);
+  const hasPreviousHistory = !forDependent && patientHasHistory;
+  const medicalSummary = describeMedicalHistory(medicalHistory, locale);
+  const consentText = t(staffSession ? 'consent.staffText' : 'consent.text', { clinic: clinic.name });
+  // Edad que tendrá el día del turno; sin fecha elegida, la de hoy
+  const patientAge = forDependent && !birthDateError ? ageOn(formData.dependienteNacimiento, formData.fecha || today) : null;
+  const selectedType = findAppointmentType(appointmentTypes, formData.tipoTurno);
+  const typeNotCovered = selectedType && !isTypeCovered(selectedObraSocial, selectedType.id);
+  const typeBlocked = !!getTypeRestriction(selectedType, { isNewPatient, age: patientAge });
+  const selectedCost = formatCost(getTypeCost(selectedType, selectedObraSocial), locale);
+  const showProfessionalStep = professionals.length > 1;
+  const typeOptions = filterTypesForProfessionals(
+    appointmentTypes,
+    getCandidateProfessionals(professionals, formData.profesional)
+  );
+  const slotCandidates = getCandidateProfessionals(professionals, formData.profesional, formData.tipoTurno);
+  // En modo "cualquiera" el turno queda con la primera profesional libre en ese horario
+  const ownerOf = (slot) =>
+    slotCandidates.find(p => (slotOwners[slot] || []).includes(p.id)) ||
+    (slotCandidates.length === 1 ? slotCandidates[0] : null);
+  const assignedProfessional = ownerOf(formData.hora);
+  const isOfferedSlot = !!activeOffer &&
+    formData.fecha === activeOffer.fecha &&
+    formData.hora === activeOffer.hora &&
+    formData.tipoTurno === activeOffer.tipoTurno;
+  const canJoinWaitlist = !staffSession && selectedType && !typeBlocked && !dniError && !phone.error && !!formData.nombre;
+  const noSlotsForDate = !!formData.fecha && !loadingAvailability && availableSlots.length === 0;
+  const localTime = formData.fecha && formData.hora
+    ? formatLocalTime(formData.fecha, formData.hora, clinic.timezone, browserTimeZone(), locale)
+    : '';
+  const horaLabel = formData.hora
+    ? t(localTime ? 'booking.timeWithLocal' : 'common.time', { time: formData.hora, local: localTime })
+    : '';
+  const obraSocialLabel = getObraSocialLabel(selectedObraSocial, locale);
+
+  const isStepValid = (index) => {
+    if (index === 0) return !dniError;
+    if (index === 1) {
+      const dependentOk = !forDependent || !!(formData.dependienteNombre && !dependentDniError && !birthDateError);
+      return !!(
+        formData.nombre && !phone.error && selectedObraSocial && !afiliadoError && dependentOk && medicalOk && consentAt
+      );
+    }
+    if (index === 2) {
+      const profesionalOk = !showProfessionalStep || formData.profesional;
+      return !!(profesionalOk && selectedType && !typeBlocked && formData.fecha && formData.hora);
+    }
+    return true;
   };
 
-  if (success) {
+  const isFormValid = () => STEPS.every((_, index) => isStepValid(index));
+
+  if (confirmation) {
+    const fechaLabel = availableDates.find(d => d.value === formData.fecha)?.label;
+    const calendarEvent = {
+      uid: `${confirmation.id || confirmation.confirmationCode || confirmation.fechaHora}@turnos-booking`,
+      start: confirmation.fechaHora,
+      durationMinutes: selectedType.duration,
+      title: `${selectedType.name} - ${clinic.name}`,
+      description: [
+        assignedProfessional && t('booking.eventProfessional', { name: assignedProfessional.name }),
+        confirmation.confirmationCode && t('booking.eventCode', { code: confirmation.confirmationCode }),
+        ...selectedType.prepInstructions
+      ].filter(Boolean).join('\n'),
+      location: clinic.address,
+      timeZone: clinic.timezone
+    };
+    const shareText = [
+      t('booking.shareText', {
+        type: selectedType.name.toLowerCase(),
+        clinic: clinic.name,
+        date: fechaLabel,
+        time: formData.hora
+      }),
+      clinic.address && t('booking.shareAddress', { address: clinic.address }),
+      confirmation.confirmationCode && t('booking.shareCode', { code: confirmation.confirmationCode })
+    ].filter(Boolean).join(' ');
+
     return (
       <div className="min-h-screen bg-gradient-to-br from-teal-50 to-blue-50 flex items-center justify-center p-4">
         <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center">
           <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
             <CheckCircle className="w-8 h-8 text-green-600" />
           </div>
-          <h2 className="text-2xl font-bold text-gray-900 mb-4">¡Turno confirmado!</h2>
-          <p className="text-gray-600 mb-6">
-            Tu turno ha sido agendado exitosamente. Recibirás un recordatorio por WhatsApp un día antes.
-          </p>
-          <div className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
-            <div className="flex justify-between">
-              <span className="text-gray-600">Fecha:</span>
-              <span className="font-medium">{availableDates.find(d => d.value === formData.fecha)?.label}</span>
-            </div>
-            <div className="flex justify-between">
-              <span className="text-gray-600">Hora:</span>
-              <span className="font-medium">{formData.hora} hs</span>
-            </div>
-            <div className="flex justify-between">
-              <span className="text-gray-600">Tipo:</span>
-              <span className="font-medium">{APPOINTMENT_TYPES.find(t => t.id === formData.tipoTurno)?.name}</span>
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">{t('booking.confirmedTitle')}</h2>
+          <p className="text-gray-600 mb-6">{t('booking.confirmedText')}</p>
+          {confirmation.confirmationCode && (
+            <div className="mb-4 border-2 border-dashed border-teal-300 rounded-lg p-3">
+              <p className="text-sm text-gray-600">{t('booking.confirmationCode')}</p>
+              <p className="text-2xl font-mono font-bold tracking-widest text-teal-700">{confirmation.confirmationCode}</p>
             </div>
+          )}
+          <AppointmentSummary
+            rows={[
+              { label: t('summary.date'), value: fechaLabel },
+              { label: t('summary.time'), value: horaLabel },
+              { label: t('summary.type'), value: selectedType?.name },
+              { label: t('summary.professional'), value: assignedProfessional?.name },
+              { label: t('summary.address'), value: clinic.address }
+            ]}
+          />
+          <div className="mt-4">
+            <PrepInstructions instructions={selectedType?.prepInstructions} />
+          </div>
+          <div className="mt-4">
+            <CalendarActions event={calendarEvent} shareText={shareText} fileName={`turno-${formData.fecha}.ics`} />
           </div>
           <button
-            onClick={() => window.location.reload()}
+            onClick={resetForm}
             className="mt-6 w-full bg-teal-600 text-white py-2 px-4 rounded-lg hover:bg-teal-700 transition-colors"
           >
-            Agendar otro turno
+            {t('booking.bookAnother')}
           </button>
         </div>
       </div>
     );
   }
 
+  if (queuedEntry) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-teal-50 to-blue-50 flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center" role="status">
+          <div className="w-16 h-16 bg-amber-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <CloudOff className="w-8 h-8 text-amber-600" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">{t('outbox.pendingTitle')}</h2>
+          <p className="text-gray-600 mb-4">{t('outbox.pendingText')}</p>
+          <p className="bg-amber-50 border border-amber-200 text-amber-800 px-3 py-2 rounded-lg text-sm mb-6">
+            {t('outbox.pendingWarning')}
+          </p>
+          <AppointmentSummary
+            rows={[
+              { label: t('summary.date'), value: availableDates.find(d => d.value === formData.fecha)?.label },
+              { label: t('summary.time'), value: horaLabel },
+              { label: t('summary.type'), value: selectedType?.name },
+              { label: t('summary.professional'), value: assignedProfessional?.name },
+              { label: t('summary.address'), value: clinic.address }
+            ]}
+          />
+          <button
+            onClick={outbox.flush}
+            disabled={outbox.sending}
+            className="mt-6 w-full bg-teal-600 text-white py-2 px-4 rounded-lg hover:bg-teal-700 transition-colors disabled:bg-gray-400 flex items-center justify-center gap-2"
+          >
+            {outbox.sending && <Loader className="w-5 h-5 animate-spin" />}
+            {outbox.sending ? t('outbox.sending') : t('outbox.retry')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (showMyAppointments) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-teal-50 to-blue-50 flex items-center justify-center p-4">
+        <div className="max-w-2xl w-full bg-white rounded-2xl shadow-xl overflow-hidden">
+          <div className="bg-gradient-to-r from-teal-600 to-blue-600 p-6 text-white text-center">
+            <ClinicHeading clinic={clinic} />
+            <h1 className="text-3xl font-bold mb-2">{t('myAppointments.title')}</h1>
+            <p className="text-teal-100">{t('myAppointments.subtitle')}</p>
+          </div>
+          <MyAppointments
+            dni={formData.dni}
+            schedule={schedule}
+            professionals={professionals}
+            appointmentTypes={appointmentTypes}
+            timeZone={clinic.timezone}
+            onBack={() => setShowMyAppointments(false)}
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-teal-50 to-blue-50 flex items-center justify-center p-4">
       <div className="max-w-2xl w-full bg-white rounded-2xl shadow-xl overflow-hidden">
         <div className="bg-gradient-to-r from-teal-600 to-blue-600 p-6 text-white text-center">
-          <h1 className="text-3xl font-bold mb-2">Agendar turno</h1>
-          <p className="text-teal-100">Completá los datos para reservar tu cita</p>
+          {!staffSession && (
+            <div className="flex justify-end mb-2">
+              <LanguageSwitcher />
+            </div>
+          )}
+          <ClinicHeading clinic={clinic} />
+          <h1 className="text-3xl font-bold mb-2">{staffSession ? t('booking.staffTitle') : t('booking.title')}</h1>
+          <p className="text-teal-100">{staffSession ? t('booking.staffSubtitle') : t('booking.subtitle')}</p>
         </div>
 
         <form onSubmit={handleSubmit} className="p-6 space-y-6" aria-busy={loading}>
@@ -288,235 +816,514 @@ export default function BookingForm() {
             </div>
           )}
 
-          <div>
-            <label htmlFor="dni" className="block text-sm font-medium text-gray-700 mb-2">
-              <CreditCard className="inline w-4 h-4 mr-1" />
-              DNI
-            </label>
-            <div className="relative">
-              <input
-                id="dni"
-                type="text"
-                value={formData.dni}
-                onChange={(e) => handleInputChange('dni', e.target.value)}
-                placeholder="Ej: 12345678"
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
-                required
-                inputMode="numeric"
-                aria-describedby="dni-help"
-              />
-              {checkingPatient && (
-                <Loader className="absolute right-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400 animate-spin" aria-label="Buscando paciente" />
-              )}
+          {draftRestored && (
+            <div className="bg-teal-50 border border-teal-200 text-teal-800 px-4 py-3 rounded-lg text-sm flex flex-wrap items-center justify-between gap-2" role="status">
+              <span>{t('booking.draftRestored')}</span>
+              <button type="button" onClick={resetForm} className="font-medium underline hover:text-teal-900">
+                {t('booking.startOver')}
+              </button>
             </div>
-            {patientFound && (
-              <p className="text-green-600 text-sm mt-1 flex items-center gap-1" aria-live="polite">
-                <CheckCircle size={16} />
-                Paciente encontrado. Datos completados automáticamente.
-              </p>
-            )}
-            {patientSearched && !patientFound && !checkingPatient && formData.dni.length >= 8 && (
-              <p id="dni-help" className="text-gray-600 text-sm mt-1">
-                Paciente no encontrado. Podés continuar como paciente nuevo.
-              </p>
-            )}
-          </div>
+          )}
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <label htmlFor="nombre" className="block text-sm font-medium text-gray-700 mb-2">
-                <User className="inline w-4 h-4 mr-1" />
-                Nombre completo
-              </label>
-              <input
-                id="nombre"
-                type="text"
-                value={formData.nombre}
-                onChange={(e) => handleInputChange('nombre', e.target.value)}
-                placeholder="Juan Pérez"
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
-                required
-              />
-            </div>
+          {outbox && (
+            <OutboxStatus
+              entries={outbox.entries.filter(entry => entry.id !== queuedId)}
+              sending={outbox.sending}
+              timeZone={clinic.timezone}
+              onRetry={outbox.flush}
+              onDismiss={outbox.dismiss}
+            />
+          )}
 
-            <div>
-              <label htmlFor="telefono" className="block text-sm font-medium text-gray-700 mb-2">
-                <Phone className="inline w-4 h-4 mr-1" />
-                Teléfono
-              </label>
-              <input
-                id="telefono"
-                type="tel"
-                value={formData.telefono}
-                onChange={(e) => handleInputChange('telefono', e.target.value)}
-                placeholder="Ej: +54 3811234567"
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
-                required
-              />
+          {offerError && (
+            <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm flex items-start gap-2" role="alert">
+              <AlertCircle size={16} className="mt-0.5 shrink-0" />
+              {offerError}
             </div>
-          </div>
+          )}
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <label htmlFor="obraSocial" className="block text-sm font-medium text-gray-700 mb-2">
-                Obra social
-              </label>
-              <input
-                id="obraSocial"
-                type="text"
-                value={formData.obraSocial}
-                onChange={(e) => handleInputChange('obraSocial', e.target.value)}
-                placeholder="OSDE, Swiss Medical, etc."
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
-              />
+          {isOfferedSlot && (
+            <div className="bg-teal-50 border border-teal-200 text-teal-800 px-4 py-3 rounded-lg text-sm flex items-start gap-2" role="status">
+              <BellRing size={16} className="mt-0.5 shrink-0" />
+              <span>
+                {t('booking.offer', {
+                  date: availableDates.find(d => d.value === activeOffer.fecha)?.label,
+                  time: activeOffer.hora
+                })}
+                {activeOffer.expiresAt &&
+                  ` ${t('booking.offerDeadline', { time: timeInZone(new Date(activeOffer.expiresAt), clinic.timezone) })}`}
+              </span>
             </div>
+          )}
 
-            <div>
-              <label htmlFor="numeroAfiliado" className="block text-sm font-medium text-gray-700 mb-2">
-                N° de afiliado
-              </label>
-              <input
-                id="numeroAfiliado"
-                type="text"
-                value={formData.numeroAfiliado}
-                onChange={(e) => handleInputChange('numeroAfiliado', e.target.value)}
-                placeholder="123456789"
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
-              />
-            </div>
-          </div>
+          <WizardProgress steps={STEPS.map(key => t(`booking.steps.${key}`))} current={step} />
+
+          <h2 ref={stepHeadingRef} tabIndex={-1} className="text-xl font-semibold text-gray-900 focus:outline-none">
+            {t(`booking.steps.${STEPS[step]}`)}
+          </h2>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {step === 0 && (
             <div>
-              <label htmlFor="alergias" className="block text-sm font-medium text-gray-700 mb-2">
-                Alergias
+              <fieldset className="mb-6">
+                <legend className="block text-sm font-medium text-gray-700 mb-2">{t('booking.forWhom')}</legend>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  {FOR_WHOM_OPTIONS.map(({ id, labelKey, Icon }) => (
+                    <label
+                      key={id || 'self'}
+                      className={`flex items-center gap-2 p-3 rounded-lg border cursor-pointer focus-within:ring-2 focus-within:ring-teal-500 ${
+                        formData.paraQuien === id ? 'bg-teal-50 border-teal-600' : 'border-gray-300 hover:border-teal-500'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="paraQuien"
+                        value={id}
+                        checked={formData.paraQuien === id}
+                        onChange={() => handleInputChange('paraQuien', id)}
+                        className="sr-only"
+                      />
+                      <Icon size={18} className="text-teal-700" />
+                      <span className="text-gray-900">{t(labelKey)}</span>
+                    </label>
+                  ))}
+                </div>
+                {forDependent && <p className="text-gray-600 text-sm mt-2">{t('booking.forDependentHint')}</p>}
+              </fieldset>
+
+              <label htmlFor="dni" className="block text-sm font-medium text-gray-700 mb-2">
+                <CreditCard className="inline w-4 h-4 mr-1" />
+                {t('booking.dni')}
               </label>
-              <input
-                id="alergias"
-                type="text"
-                value={formData.alergias}
-                onChange={(e) => handleInputChange('alergias', e.target.value)}
-                placeholder="Ninguna, Penicilina, etc."
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
-              />
+              <div className="relative">
+                <input
+                  id="dni"
+                  type="text"
+                  value={formData.dni}
+                  onChange={(e) => handleInputChange('dni', e.target.value)}
+                  onBlur={() => setTouched(prev => ({ ...prev, dni: true }))}
+                  placeholder={t('booking.dniPlaceholder')}
+                  className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent ${
+                    showDniError ? 'border-red-400' : 'border-gray-300'
+                  }`}
+                  required
+                  inputMode="numeric"
+                  aria-invalid={showDniError || undefined}
+                  aria-describedby={showDniError ? 'dni-error' : 'dni-help'}
+                />
+                {checkingPatient && (
+                  <Loader className="absolute right-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400 animate-spin" aria-label={t('booking.searchingPatient')} />
+                )}
+              </div>
+              {showDniError && (
+                <p id="dni-error" className="text-red-600 text-sm mt-1" role="alert">
+                  {dniError}
+                </p>
+              )}
+              {patientFound && (
+                <p className="text-green-600 text-sm mt-1 flex items-center gap-1" aria-live="polite">
+                  <CheckCircle size={16} />
+                  {t('booking.patientFound')}
+                </p>
+              )}
+              {patientFound && (
+                <button
+                  type="button"
+                  onClick={() => setShowMyAppointments(true)}
+                  className="mt-2 text-teal-700 hover:text-teal-800 text-sm font-medium flex items-center gap-1"
+                >
+                  <ListChecks size={16} />
+                  {t('booking.myAppointments')}
+                </button>
+              )}
+              {patientSearched && !patientFound && !checkingPatient && !dniError && (
+                <p id="dni-help" className="text-gray-600 text-sm mt-1">
+                  {t('booking.patientNotFound')}
+                </p>
+              )}
             </div>
+          )}
 
-            <div>
-              <label htmlFor="antecedentes" className="block text-sm font-medium text-gray-700 mb-2">
-                Antecedentes
-              </label>
-              <input
-                id="antecedentes"
-                type="text"
-                value={formData.antecedentes}
-                onChange={(e) => handleInputChange('antecedentes', e.target.value)}
-                placeholder="Diabetes, Hipertensión, etc."
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+          {step === 1 && (
+            <div className="space-y-6">
+              {forDependent && <h3 className="font-medium text-gray-900">{t('booking.guardianTitle')}</h3>}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="nombre" className="block text-sm font-medium text-gray-700 mb-2">
+                    <User className="inline w-4 h-4 mr-1" />
+                    {t('booking.name')}
+                  </label>
+                  <input
+                    id="nombre"
+                    type="text"
+                    value={formData.nombre}
+                    onChange={(e) => handleInputChange('nombre', e.target.value)}
+                    placeholder={t('booking.namePlaceholder')}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="telefono" className="block text-sm font-medium text-gray-700 mb-2">
+                    <Phone className="inline w-4 h-4 mr-1" />
+                    {t('booking.phone')}
+                  </label>
+                  <input
+                    id="telefono"
+                    type="tel"
+                    value={formData.telefono}
+                    onChange={(e) => handleInputChange('telefono', e.target.value)}
+                    onBlur={() => setTouched(prev => ({ ...prev, telefono: true }))}
+                    placeholder={t('booking.phonePlaceholder')}
+                    className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent ${
+                      showPhoneError ? 'border-red-400' : 'border-gray-300'
+                    }`}
+                    required
+                    autoComplete="tel"
+                    aria-invalid={showPhoneError || undefined}
+                    aria-describedby={showPhoneError ? 'telefono-error' : phone.e164 ? 'telefono-help' : undefined}
+                  />
+                  {showPhoneError && (
+                    <p id="telefono-error" className="text-red-600 text-sm mt-1" role="alert">
+                      {phone.error}
+                    </p>
+                  )}
+                  {!phone.error && (
+                    <p id="telefono-help" className="text-gray-600 text-sm mt-1">
+                      {t('booking.whatsappHint', { phone: formatArgentinePhone(phone) })}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              {forDependent && (
+                <DependentFields
+                  dependents={dependents}
+                  formData={formData}
+                  errors={{
+                    dni: touched.dependienteDni ? dependentDniError : '',
+                    nacimiento: touched.dependienteNacimiento ? birthDateError : ''
+                  }}
+                  today={today}
+                  onSelect={selectDependent}
+                  onChange={handleInputChange}
+                  onBlur={(field) => setTouched(prev => ({ ...prev, [field]: true }))}
+                />
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="obraSocial" className="block text-sm font-medium text-gray-700 mb-2">
+                    {t('booking.obraSocial')}
+                  </label>
+                  <ObraSocialCombobox
+                    id="obraSocial"
+                    value={formData[patientField('obraSocial')]}
+                    onChange={(id) => handleInputChange(patientField('obraSocial'), id)}
+                    obrasSociales={obrasSociales}
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="numeroAfiliado" className="block text-sm font-medium text-gray-700 mb-2">
+                    {t('booking.affiliate')}
+                    {selectedObraSocial?.requiresAffiliateNumber && <span className="text-red-600"> *</span>}
+                  </label>
+                  <input
+                    id="numeroAfiliado"
+                    type="text"
+                    value={formData[patientField('numeroAfiliado')]}
+                    onChange={(e) => handleInputChange(patientField('numeroAfiliado'), e.target.value)}
+                    placeholder={selectedObraSocial?.affiliateExample || undefined}
+                    disabled={selectedObraSocial?.id === PARTICULAR.id}
+                    required={!!selectedObraSocial?.requiresAffiliateNumber}
+                    aria-invalid={!!(formData[patientField('numeroAfiliado')] && afiliadoError) || undefined}
+                    aria-describedby={formData[patientField('numeroAfiliado')] && afiliadoError ? 'numeroAfiliado-error' : undefined}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent disabled:bg-gray-100"
+                  />
+                  {formData[patientField('numeroAfiliado')] && afiliadoError && (
+                    <p id="numeroAfiliado-error" className="text-red-600 text-sm mt-1" role="alert">
+                      {afiliadoError}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <MedicalHistoryFields
+                value={medicalHistory}
+                onChange={(history) => handleInputChange(patientField('historiaClinica'), history)}
+                previous={hasPreviousHistory}
               />
+
+              <div>
+                <label className="flex items-start gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!consentAt}
+                    onChange={(e) => setConsentAt(e.target.checked ? new Date().toISOString() : '')}
+                    required
+                    aria-describedby={!consentAt ? 'consent-hint' : undefined}
+                    className="mt-1 h-4 w-4 text-teal-600 border-gray-300 rounded focus:ring-teal-500"
+                  />
+                  <span>
+                    {consentText}
+                    <span className="text-red-600"> *</span>
+                  </span>
+                </label>
+                {!consentAt && (
+                  <p id="consent-hint" className="text-gray-500 text-xs mt-1 ml-6">
+                    {t('consent.required')}
+                  </p>
+                )}
+              </div>
+
+              {!staffSession && (
+                <label className="flex items-start gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={saveMedical}
+                    onChange={(e) => setSaveMedical(e.target.checked)}
+                    className="mt-1 h-4 w-4 text-teal-600 border-gray-300 rounded focus:ring-teal-500"
+                  />
+                  {t('booking.saveMedical')}
+                </label>
+              )}
             </div>
-          </div>
+          )}
 
-          <div>
-            <label htmlFor="tipoTurno" className="block text-sm font-medium text-gray-700 mb-2">
-              <Clock className="inline w-4 h-4 mr-1" />
-              Tipo de turno
-            </label>
-            <select
-              id="tipoTurno"
-              value={formData.tipoTurno}
-              onChange={(e) => handleInputChange('tipoTurno', e.target.value)}
-              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
-              required
-            >
-              <option value="">Seleccioná el tipo de consulta</option>
-              {APPOINTMENT_TYPES.map((type) => (
-                <option key={type.id} value={type.id}>
-                  {type.name} ({type.duration} min)
-                </option>
-              ))}
-            </select>
-          </div>
+          {step === DATE_STEP && (
+            <div className="space-y-6">
+              {showProfessionalStep && (
+                <div>
+                  <label htmlFor="profesional" className="block text-sm font-medium text-gray-700 mb-2">
+                    <Stethoscope className="inline w-4 h-4 mr-1" />
+                    {t('booking.professional')}
+                  </label>
+                  <select
+                    id="profesional"
+                    value={formData.profesional}
+                    onChange={(e) => handleInputChange('profesional', e.target.value)}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+                    required
+                  >
+                    <option value="">{t('booking.professionalPlaceholder')}</option>
+                    <option value={ANY_PROFESSIONAL.id}>{t('professionals.any')}</option>
+                    {professionals.map((professional) => (
+                      <option key={professional.id} value={professional.id}>
+                        {professional.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
 
-          <div>
-            <label htmlFor="fecha" className="block text-sm font-medium text-gray-700 mb-2">
-              <Calendar className="inline w-4 h-4 mr-1" />
-              Fecha
-            </label>
-            <select
-              id="fecha"
-              value={formData.fecha}
-              onChange={(e) => handleInputChange('fecha', e.target.value)}
-              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
-              required
-            >
-              <option value="">Seleccioná una fecha</option>
-              {availableDates.map((date) => (
-                <option key={date.value} value={date.value}>
-                  {date.label}
-                </option>
-              ))}
-            </select>
-          </div>
+              <div>
+                <AppointmentTypePicker
+                  id="tipoTurno"
+                  categories={categories}
+                  types={typeOptions}
+                  value={formData.tipoTurno}
+                  onChange={(id) => handleInputChange('tipoTurno', id)}
+                  obraSocial={selectedObraSocial}
+                  isNewPatient={isNewPatient}
+                  patientAge={patientAge}
+                />
+                {typeNotCovered && (
+                  <p className="text-amber-700 bg-amber-50 border border-amber-200 text-sm mt-2 p-3 rounded-lg flex items-start gap-2" role="status">
+                    <AlertCircle size={16} className="mt-0.5 shrink-0" />
+                    {t('booking.notCovered', { obraSocial: obraSocialLabel, type: selectedType.name.toLowerCase() })}
+                  </p>
+                )}
+              </div>
 
-          {formData.fecha && formData.tipoTurno && (
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                <Clock className="inline w-4 h-4 mr-1" />
-                Horario disponible
-              </label>
-              {loadingAvailability ? (
-                <div className="flex items-center gap-2 p-3 text-gray-600">
-                  <Loader className="w-5 h-5 animate-spin" />
-                  Cargando horarios disponibles...
+              <DateCalendar
+                id="fecha"
+                dates={availableDates}
+                value={formData.fecha}
+                onChange={(value) => handleInputChange('fecha', value)}
+                duration={selectedType?.duration}
+                schedule={schedule}
+                profesionalIds={slotCandidates.map(p => p.id)}
+                timeZone={clinic.timezone}
+              />
+
+              {formData.fecha && formData.tipoTurno && (
+                <SlotPicker
+                  slots={availableSlots}
+                  value={formData.hora}
+                  onSelect={selectSlot}
+                  loading={loadingAvailability}
+                  fecha={formData.fecha}
+                  timeZone={clinic.timezone}
+                />
+              )}
+
+              {slotNotice && (
+                <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm space-y-2" role="alert">
+                  <p className="flex items-start gap-2">
+                    <AlertCircle size={16} className="mt-0.5 shrink-0" />
+                    {slotNotice.message}
+                  </p>
+                  {slotNotice.suggestions.length > 0 ? (
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span>{t('booking.nearestSlots')}</span>
+                      {slotNotice.suggestions.map((slot) => (
+                        <button
+                          key={slot}
+                          type="button"
+                          onClick={() => selectSlot(slot)}
+                          className="px-3 py-1 rounded-lg border border-amber-400 bg-white hover:bg-amber-100 transition-colors"
+                        >
+                          {t('common.time', { time: slot })}
+                        </button>
+                      ))}
+                    </div>
+                  ) : (
+                    <p>{t('booking.noSlotsLeft')}</p>
+                  )}
                 </div>
+              )}
+
+              {canJoinWaitlist && (showWaitlist ? (
+                <WaitlistForm
+                  schedule={schedule}
+                  timeZone={clinic.timezone}
+                  defaultFrom={formData.fecha}
+                  typeName={selectedType.name}
+                  phoneLabel={formatArgentinePhone(phone)}
+                  request={{
+                    ...patientIdentity,
+                    telefono: phone.e164,
+                    ...(forDependent ? { responsable: guardian } : {}),
+                    obraSocialId: selectedObraSocial?.id || '',
+                    tipoTurno: selectedType.id,
+                    tipoTurnoNombre: findAppointmentType(catalog.types, selectedType.id).name,
+                    duracion: selectedType.duration,
+                    profesionalId: formData.profesional === ANY_PROFESSIONAL.id ? '' : formData.profesional,
+                    timezone: clinic.timezone,
+                    locale
+                  }}
+                  onCancel={() => setShowWaitlist(false)}
+                />
               ) : (
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
-                  {availableSlots.map((slot) => (
-                    <button
-                      key={slot}
-                      type="button"
-                      onClick={() => handleInputChange('hora', slot)}
-                      className={`p-3 text-sm rounded-lg border transition-colors ${
-                        formData.hora === slot
-                          ? 'bg-teal-600 text-white border-teal-600'
-                          : 'bg-white text-gray-700 border-gray-300 hover:border-teal-500'
-                      }`}
-                      aria-pressed={formData.hora === slot}
-                    >
-                      {slot} hs
-                    </button>
-                  ))}
+                <div className="text-sm text-gray-600 flex flex-wrap items-center gap-2">
+                  <span>
+                    {noSlotsForDate ? t('booking.waitlistNoSlots') : t('booking.waitlistPrompt')}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setShowWaitlist(true)}
+                    className="text-teal-700 hover:text-teal-800 font-medium flex items-center gap-1"
+                  >
+                    <BellRing size={16} />
+                    {t('waitlist.join')}
+                  </button>
                 </div>
-              )}
-              {!loadingAvailability && availableSlots.length === 0 && (
-                <p className="text-gray-500 text-sm p-3 bg-gray-50 rounded-lg">
-                  No hay horarios disponibles para esta fecha y tipo de turno.
+              ))}
+            </div>
+          )}
+
+          {step === LAST_STEP && (
+            <div className="space-y-4">
+              <AppointmentSummary
+                rows={[
+                  { label: t('summary.patient'), value: patientIdentity.nombre },
+                  { label: t('summary.dni'), value: patientIdentity.dni },
+                  ...(forDependent
+                    ? [
+                        {
+                          label: t('summary.birthDate'),
+                          value: birthDateError ? '' : parseDateValue(formData.dependienteNacimiento).toLocaleDateString(locale)
+                        },
+                        { label: t('summary.guardian'), value: t('summary.guardianValue', { name: formData.nombre, dni: formData.dni }) }
+                      ]
+                    : []),
+                  { label: t('summary.whatsapp'), value: formatArgentinePhone(phone) },
+                  { label: t('summary.obraSocial'), value: obraSocialLabel },
+                  {
+                    label: t('summary.affiliate'),
+                    value: selectedObraSocial?.requiresAffiliateNumber ? formData[patientField('numeroAfiliado')] : ''
+                  },
+                  { label: t('summary.allergies'), value: medicalSummary.alergias },
+                  { label: t('summary.history'), value: medicalSummary.condiciones },
+                  { label: t('summary.medication'), value: medicalSummary.medicacion },
+                  { label: t('summary.anticoagulants'), value: medicalSummary.anticoagulantes },
+                  { label: t('summary.pregnancy'), value: medicalSummary.embarazo },
+                  { label: t('summary.notes'), value: medicalSummary.observaciones },
+                  {
+                    label: t('summary.consent'),
+                    value: consentAt
+                      ? t('summary.consentValue', { date: new Date(consentAt).toLocaleString(locale), version: CONSENT_VERSION })
+                      : ''
+                  }
+                ]}
+              />
+              <AppointmentSummary
+                rows={[
+                  { label: t('summary.type'), value: selectedType?.name },
+                  { label: t('summary.duration'), value: selectedType ? t('common.minutes', { count: selectedType.duration }) : '' },
+                  { label: t('summary.cost'), value: selectedCost },
+                  { label: t('summary.professional'), value: assignedProfessional?.name },
+                  { label: t('summary.date'), value: availableDates.find(d => d.value === formData.fecha)?.label },
+                  { label: t('summary.time'), value: horaLabel }
+                ]}
+              />
+              {typeNotCovered && (
+                <p className="text-amber-700 text-sm">
+                  {t('booking.notCoveredReview', { obraSocial: obraSocialLabel })}
                 </p>
               )}
-              {formData.fecha && formData.tipoTurno && !formData.hora && availableSlots.length > 0 && (
-                <p className="text-gray-600 text-sm mt-2">Seleccioná un horario para continuar.</p>
-              )}
+              <PrepInstructions instructions={selectedType?.prepInstructions} />
             </div>
           )}
 
-          <div className="pt-4">
-            <button
-              type="submit"
-              disabled={!isFormValid() || loading}
-              className="w-full bg-gradient-to-r from-teal-600 to-blue-600 text-white py-3 px-6 rounded-lg font-medium text-lg hover:from-teal-700 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center gap-2"
-            >
-              {loading ? (
-                <>
-                  <Loader className="w-5 h-5 animate-spin" />
-                  Creando turno...
-                </>
-              ) : (
-                <>
-                  <Calendar className="w-5 h-5" />
-                  Confirmar turno
-                </>
-              )}
-            </button>
+          {step >= DATE_STEP && hold && formData.hora === hold.slot && (
+            <p className="text-teal-700 bg-teal-50 text-sm p-3 rounded-lg flex items-center gap-2" role="timer">
+              <Timer size={16} className="shrink-0" />
+              {t('booking.hold', { time: hold.slot, countdown: formatCountdown(secondsLeft) })}
+            </p>
+          )}
+
+          <div className="pt-4 flex gap-3">
+            {step > 0 && (
+              <button
+                type="button"
+                onClick={() => goToStep(step - 1)}
+                disabled={loading}
+                className="py-3 px-5 rounded-lg border border-gray-300 text-gray-700 font-medium hover:bg-gray-50 disabled:opacity-50 transition-colors flex items-center gap-2"
+              >
+                <ArrowLeft className="w-5 h-5" />
+                {t('booking.previous')}
+              </button>
+            )}
+            {step < LAST_STEP ? (
+              <button
+                type="submit"
+                disabled={!isStepValid(step)}
+                className="flex-1 bg-gradient-to-r from-teal-600 to-blue-600 text-white py-3 px-6 rounded-lg font-medium text-lg hover:from-teal-700 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center gap-2"
+              >
+                {t('booking.next')}
+                <ArrowRight className="w-5 h-5" />
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!isFormValid() || loading}
+                className="flex-1 bg-gradient-to-r from-teal-600 to-blue-600 text-white py-3 px-6 rounded-lg font-medium text-lg hover:from-teal-700 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center gap-2"
+              >
+                {loading ? (
+                  <>
+                    <Loader className="w-5 h-5 animate-spin" />
+                    {t('booking.creating')}
+                  </>
+                ) : (
+                  <>
+                    <Calendar className="w-5 h-5" />
+                    {t('booking.confirm')}
+                  </>
+                )}
+              </button>
+            )}
           </div>
         </form>
       </div>
@@ -0,0 +1,774 @@
+import React from 'react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import BookingForm from './BookingForm';
+import I18nProvider from '../i18n/I18nProvider';
+import useOutbox from '../hooks/useOutbox';
+import { invalidateAvailability } from '../api/n8n';
+import { normalizeAppointmentTypes } from '../utils/appointmentTypes';
+import { DEFAULT_CLINIC } from '../utils/clinic';
+import rawCatalog from '../../public/appointment_types.json';
+import { createMockBackend, createMockFetch } from '../../mock-server/n8nMock';
+
+// Lunes 19 de octubre a las 09:00 en Tucumán: con 24 hs de anticipación, el martes 20 se puede desde las 09:00
+const NOW = new Date('2026-10-19T12:00:00Z');
+const TUESDAY = /^martes, 20 de octubre de 2026/;
+
+const SCHEDULE = {
+  workDays: [1, 2, 3, 4],
+  horizonDays: 14,
+  minLeadHours: 24,
+  holidays: [],
+  blockedDates: [],
+  exceptions: []
+};
+const CATALOG = normalizeAppointmentTypes(rawCatalog);
+// El catálogo de public/ no trae reglas de primera visita: se agrega una para probarla
+const CATALOG_WITH_CONSULTA_RULE = normalizeAppointmentTypes({
+  ...rawCatalog,
+  types: rawCatalog.types.map(type => (type.id === 'carillas' ? { ...type, firstVisitRequiresConsulta: true } : type))
+});
+
+const MARIA = {
+  nombre: 'María González',
+  telefono: '3814123456',
+  obraSocial: 'Swiss Medical',
+  numeroAfiliado: '80012345678',
+  alergias: 'Penicilina',
+  antecedentes: ''
+};
+
+const TIMEOUT_MESSAGE = 'El servidor tardó demasiado en responder. Intentá nuevamente.';
+
+const respond = (status, body) =>
+  Promise.resolve({ ok: status >= 200 && status < 300, status, json: async () => body });
+
+// Nunca responde: solo termina cuando fetchWithTimeout aborta por timeout
+const hang = (url, options) =>
+  new Promise((_, reject) => {
+    options.signal.addEventListener('abort', () => {
+      reject(Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' }));
+    });
+  });
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+// Un handler por webhook; cada test reemplaza los que necesita
+function mockWebhooks(overrides = {}) {
+  const handlers = {
+    'check-patient': () => respond(200, { found: false }),
+    'get-availability': (url) =>
+      url.searchParams.has('from') ? respond(200, { days: [] }) : respond(200, { availableSlots: ['10:00', '10:30'] }),
+    'hold-slot': () => respond(200, { holdToken: 'hold-1', ttlSeconds: 300 }),
+    'create-appointment': () => respond(200, { success: true, appointmentId: 'apt-1', confirmationCode: 'ab12cd' }),
+    ...overrides
+  };
+  global.fetch = jest.fn((input, options = {}) => {
+    const url = new URL(String(input), 'http://localhost');
+    return handlers[url.pathname.split('/').pop()](url, options);
+  });
+}
+
+const callsTo = (webhook) => global.fetch.mock.calls.filter(([input]) => String(input).includes(`/webhook/${webhook}`));
+const slotRequests = () => callsTo('get-availability').filter(([input]) => String(input).includes('fecha='));
+const bodyOf = (call) => JSON.parse(call[1].body);
+
+const advance = (ms) =>
+  act(async () => {
+    jest.advanceTimersByTime(ms);
+  });
+
+// fireEvent de @testing-library/react: sus eventos ya van envueltos en act
+function type(input, text) {
+  for (let i = 1; i <= text.length; i++) fireEvent.change(input, { target: { value: input.value + text[i - 1] } });
+}
+
+// Si la zona del equipo que corre los tests no es la del consultorio, el botón suma la hora local
+const slotName = (slot) => new RegExp(`^${slot} hs`);
+
+const nextButton = () => screen.getByRole('button', { name: /Siguiente/ });
+const confirmButton = () => screen.getByRole('button', { name: /Confirmar turno/ });
+
+function renderForm() {
+  return render(<BookingForm schedule={SCHEDULE} professionals={[]} catalog={CATALOG} clinic={DEFAULT_CLINIC} />);
+}
+
+// Como en App: la bandeja de salida solo existe en la app de pacientes
+function FormWithOutbox() {
+  const outbox = useOutbox();
+  return <BookingForm schedule={SCHEDULE} professionals={[]} catalog={CATALOG} clinic={DEFAULT_CLINIC} outbox={outbox} />;
+}
+
+async function completeIdentification(dni = '30111222') {
+  type(screen.getByLabelText('DNI'), dni);
+  await advance(400);
+  fireEvent.click(nextButton());
+}
+
+function chooseObraSocial(name) {
+  fireEvent.focus(screen.getByRole('combobox'));
+  fireEvent.mouseDown(screen.getByRole('option', { name: new RegExp(name) }));
+}
+
+// Anticoagulantes y embarazo tienen las dos un "No": se eligen dentro de su pregunta
+function answerQuestion(question, answer) {
+  fireEvent.click(within(screen.getByRole('group', { name: question })).getByRole('radio', { name: answer }));
+}
+
+function answerMedicalHistory() {
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Sin alergias conocidas' }));
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Ninguna enfermedad ni condición' }));
+  fireEvent.click(screen.getByRole('checkbox', { name: 'No toma medicación' }));
+  answerQuestion(/anticoagulantes/, 'No');
+  answerQuestion(/embarazo/, 'No corresponde');
+}
+
+const acceptConsent = () => fireEvent.click(screen.getByRole('checkbox', { name: /Ley 25\.326/ }));
+
+function completePatientData() {
+  type(screen.getByLabelText(/Nombre completo/), 'Ana Pérez');
+  type(screen.getByLabelText(/Teléfono/), '0381 15 123-4567');
+  chooseObraSocial('Particular');
+  answerMedicalHistory();
+  acceptConsent();
+  fireEvent.click(nextButton());
+}
+
+// Con un familiar a cargo hay dos campos de nombre: el del responsable es el que se llama exactamente así
+function completePatientDataFor(nombre) {
+  type(screen.getByLabelText('Nombre completo'), nombre);
+  type(screen.getByLabelText(/Teléfono/), '0381 15 123-4567');
+  chooseObraSocial('Particular');
+  answerMedicalHistory();
+  acceptConsent();
+}
+
+async function chooseSlot(slot = '10:00') {
+  fireEvent.click(screen.getByRole('radio', { name: /^Consulta/ }));
+  fireEvent.click(screen.getByRole('button', { name: TUESDAY }));
+  fireEvent.click(await screen.findByRole('button', { name: slotName(slot) }));
+  await screen.findByText(new RegExp(`Reservamos las ${slot} hs`));
+}
+
+async function goToReview() {
+  await completeIdentification();
+  completePatientData();
+  await chooseSlot();
+  fireEvent.click(nextButton());
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+  localStorage.clear();
+  invalidateAvailability();
+  mockWebhooks();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('patient lookup by DNI', () => {
+  test('looks the DNI up once typing stops and fills in the patient data', async () => {
+    mockWebhooks({ 'check-patient': () => respond(200, { found: true, patient: MARIA }) });
+    renderForm();
+
+    type(screen.getByLabelText('DNI'), '30.123.456');
+    await advance(399);
+    expect(callsTo('check-patient')).toHaveLength(0);
+    await advance(1);
+    expect(callsTo('check-patient')).toHaveLength(1);
+    expect(callsTo('check-patient')[0][0]).toContain('dni=30123456');
+
+    expect(await screen.findByText(/Paciente encontrado/)).toBeInTheDocument();
+    fireEvent.click(nextButton());
+
+    expect(screen.getByLabelText(/Nombre completo/)).toHaveValue('María González');
+    expect(screen.getByText(/Te vamos a escribir por WhatsApp al \+54 9 381 4123456/)).toBeInTheDocument();
+    expect(screen.getByRole('combobox')).toHaveValue('Swiss Medical');
+    expect(screen.getByLabelText(/N° de afiliado/)).toHaveValue('80012345678');
+    // Con solo el DNI no se muestran las respuestas anteriores: se avisa que existen y se responde de nuevo
+    expect(screen.getByText(/Ya respondiste este cuestionario en una visita anterior/)).toBeInTheDocument();
+    expect(screen.getByLabelText('Otras alergias')).toHaveValue('');
+    expect(screen.getByRole('checkbox', { name: 'Sin alergias conocidas' })).not.toBeChecked();
+    expect(screen.getByText(/Respondé todas las preguntas/)).toBeInTheDocument();
+  });
+
+  test('treats an unknown DNI as a new patient', async () => {
+    renderForm();
+    type(screen.getByLabelText('DNI'), '30999888');
+    await advance(400);
+
+    expect(await screen.findByText(/Paciente no encontrado/)).toBeInTheDocument();
+    expect(screen.queryByText(/Paciente encontrado/)).not.toBeInTheDocument();
+    expect(nextButton()).toBeEnabled();
+  });
+
+  test('skips incomplete DNIs and shows the error on blur', async () => {
+    renderForm();
+    const dni = screen.getByLabelText('DNI');
+    type(dni, '12345');
+    fireEvent.blur(dni);
+    await advance(1000);
+
+    expect(callsTo('check-patient')).toHaveLength(0);
+    expect(screen.getByRole('alert')).toHaveTextContent('El DNI debe tener 7 u 8 dígitos.');
+    expect(dni).toHaveAttribute('aria-invalid', 'true');
+    expect(nextButton()).toBeDisabled();
+  });
+
+  test('ignores the answer for a DNI that was already changed', async () => {
+    const first = deferred();
+    mockWebhooks({
+      'check-patient': (url) =>
+        url.searchParams.get('dni') === '30123456' ? first.promise : respond(200, { found: false })
+    });
+    renderForm();
+    const dni = screen.getByLabelText('DNI');
+    type(dni, '30123456');
+    await advance(400);
+    fireEvent.change(dni, { target: { value: '' } });
+    type(dni, '30777666');
+    await advance(400);
+
+    await act(async () => first.resolve({ ok: true, status: 200, json: async () => ({ found: true, patient: MARIA }) }));
+    expect(await screen.findByText(/Paciente no encontrado/)).toBeInTheDocument();
+    expect(screen.queryByText(/Paciente encontrado/)).not.toBeInTheDocument();
+  });
+
+  test('shows the timeout message when check-patient does not answer after retrying', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockWebhooks({ 'check-patient': hang });
+    renderForm();
+    type(screen.getByLabelText('DNI'), '30555444');
+    await advance(400);
+
+    for (let i = 0; i < 8; i++) await advance(5000);
+
+    expect(callsTo('check-patient')).toHaveLength(3);
+    expect(screen.getByRole('alert')).toHaveTextContent(TIMEOUT_MESSAGE);
+    expect(screen.queryByLabelText('Buscando paciente')).not.toBeInTheDocument();
+  });
+});
+
+describe('availability and slots', () => {
+  test('shows the loading state and then the empty state', async () => {
+    const slots = deferred();
+    mockWebhooks({
+      'get-availability': (url) => (url.searchParams.has('from') ? respond(200, { days: [] }) : slots.promise)
+    });
+    renderForm();
+    await completeIdentification();
+    completePatientData();
+    fireEvent.click(screen.getByRole('radio', { name: /^Consulta/ }));
+    fireEvent.click(screen.getByRole('button', { name: TUESDAY }));
+
+    expect(screen.getByText('Cargando horarios disponibles...')).toBeInTheDocument();
+    expect(slotRequests()[0][0]).toContain('fecha=2026-10-20&duration=30');
+
+    await act(async () => slots.resolve({ ok: true, status: 200, json: async () => ({ availableSlots: [] }) }));
+
+    expect(screen.queryByText('Cargando horarios disponibles...')).not.toBeInTheDocument();
+    expect(screen.getByText('No hay horarios disponibles para esta fecha y tipo de turno.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Anotarme en lista de espera/ })).toBeInTheDocument();
+    expect(nextButton()).toBeDisabled();
+  });
+
+  test('hides slots inside the minimum lead time', async () => {
+    mockWebhooks({
+      'get-availability': (url) =>
+        url.searchParams.has('from')
+          ? respond(200, { days: [] })
+          : respond(200, { availableSlots: ['08:00', '08:30', '09:30', '10:00'] })
+    });
+    renderForm();
+    await completeIdentification();
+    completePatientData();
+    await chooseSlot('09:30');
+
+    expect(screen.queryByRole('button', { name: slotName('08:00') })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: slotName('08:30') })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: slotName('10:00') })).toBeInTheDocument();
+  });
+
+  test('holds the chosen slot and enables the next step', async () => {
+    renderForm();
+    await completeIdentification();
+    completePatientData();
+    expect(nextButton()).toBeDisabled();
+
+    await chooseSlot('10:30');
+
+    expect(screen.getByRole('button', { name: slotName('10:30') })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('button', { name: slotName('10:00') })).toHaveAttribute('aria-pressed', 'false');
+    expect(screen.getByText(/Reservamos las 10:30 hs para vos durante 5:00/)).toBeInTheDocument();
+    expect(bodyOf(callsTo('hold-slot')[0])).toMatchObject({
+      fecha: '2026-10-20',
+      hora: '10:30',
+      duracion: 30,
+      dni: '30111222'
+    });
+    expect(nextButton()).toBeEnabled();
+
+    await advance(60000);
+    expect(screen.getByText(/durante 4:00/)).toBeInTheDocument();
+  });
+
+  test('changing the day drops the chosen slot', async () => {
+    renderForm();
+    await completeIdentification();
+    completePatientData();
+    await chooseSlot();
+
+    fireEvent.click(screen.getByRole('button', { name: /^miércoles, 21 de octubre de 2026/ }));
+
+    expect(await screen.findByRole('button', { name: slotName('10:00') })).toHaveAttribute('aria-pressed', 'false');
+    expect(slotRequests()[1][0]).toContain('fecha=2026-10-21');
+    expect(nextButton()).toBeDisabled();
+  });
+});
+
+describe('submitting the appointment', () => {
+  test('sends the appointment and shows the confirmation screen', async () => {
+    renderForm();
+    await goToReview();
+
+    expect(screen.getByText('Paso 4 de 4')).toBeInTheDocument();
+    expect(screen.getByText('Ana Pérez')).toBeInTheDocument();
+    expect(screen.getByText(/^10:00 hs/)).toBeInTheDocument();
+
+    fireEvent.click(confirmButton());
+    expect(await screen.findByText('¡Turno confirmado!')).toBeInTheDocument();
+    expect(screen.getByText('AB12CD')).toBeInTheDocument();
+
+    const [request] = callsTo('create-appointment');
+    expect(request[1].method).toBe('POST');
+    expect(bodyOf(request)).toMatchObject({
+      dni: '30111222',
+      nombre: 'Ana Pérez',
+      telefono: '+5493811234567',
+      obraSocialId: 'particular',
+      numeroAfiliado: '',
+      alergias: 'Sin alergias conocidas',
+      antecedentes: 'Ninguna enfermedad ni condición. Medicación: No toma medicación. Anticoagulantes: No. Embarazo: No corresponde',
+      historiaClinica: { alergias: [], sinAlergias: true, sinMedicacion: true, anticoagulantes: 'no', embarazo: 'noAplica' },
+      // Hora en que se marcó la casilla: después de los 400 ms de espera de la búsqueda del DNI
+      consentimiento: { aceptado: true, fechaHora: '2026-10-19T12:00:00.400Z', version: '2026-10' },
+      tipoTurno: 'consulta',
+      duracion: 30,
+      fechaHora: '2026-10-20T10:00:00-03:00',
+      timezone: 'America/Argentina/Buenos_Aires',
+      holdToken: 'hold-1',
+      isNewPatient: true
+    });
+    expect(localStorage.getItem('turnos-booking:draft:v1')).toBeNull();
+  });
+
+  test('books against the n8n mock backend, holding the slot first', async () => {
+    const backend = createMockBackend();
+    global.fetch = jest.fn(createMockFetch(backend));
+    renderForm();
+    await goToReview();
+
+    fireEvent.click(confirmButton());
+
+    expect(await screen.findByText('¡Turno confirmado!')).toBeInTheDocument();
+    expect(screen.getByText('MK0001')).toBeInTheDocument();
+    expect(backend.appointments).toEqual([
+      expect.objectContaining({ dni: '30111222', fecha: '2026-10-20', hora: '10:00', holdToken: 'hold-1' })
+    ]);
+  });
+
+  test('shows the server message when create-appointment fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockWebhooks({
+      'create-appointment': () => respond(500, { message: 'No pudimos registrar el turno en la agenda' })
+    });
+    renderForm();
+    await goToReview();
+
+    fireEvent.click(confirmButton());
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('No pudimos registrar el turno en la agenda');
+    expect(screen.queryByText('¡Turno confirmado!')).not.toBeInTheDocument();
+    expect(confirmButton()).toBeEnabled();
+    // Los POST no se reintentan: podrían duplicar el turno
+    expect(callsTo('create-appointment')).toHaveLength(1);
+  });
+
+  test('falls back to the generic message when the error has none', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockWebhooks({ 'create-appointment': () => respond(502, {}) });
+    renderForm();
+    await goToReview();
+
+    fireEvent.click(confirmButton());
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Error al crear el turno');
+  });
+
+  test('sends reception back to the PIN when its session expired while booking a walk-in', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockWebhooks({ 'create-appointment': () => respond(401, { message: 'Acceso restringido a recepción' }) });
+    const onUnauthorized = jest.fn();
+    render(
+      <BookingForm
+        schedule={SCHEDULE}
+        professionals={[]}
+        catalog={CATALOG}
+        clinic={DEFAULT_CLINIC}
+        staffSession={{ token: 'expired-token', name: 'Recepción' }}
+        onUnauthorized={onUnauthorized}
+      />
+    );
+    await goToReview();
+
+    fireEvent.click(confirmButton());
+
+    await advance(0);
+
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(callsTo('create-appointment')[0][1].headers.Authorization).toBe('Bearer expired-token');
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('shows the timeout message when create-appointment does not answer', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockWebhooks({ 'create-appointment': hang });
+    renderForm();
+    await goToReview();
+
+    fireEvent.click(confirmButton());
+    expect(screen.getByText('Creando turno...')).toBeInTheDocument();
+
+    await advance(15000);
+
+    expect(screen.getByRole('alert')).toHaveTextContent(TIMEOUT_MESSAGE);
+    expect(confirmButton()).toBeEnabled();
+  });
+
+  test('goes back to the date step with the nearest slots when the slot was taken', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    let slotCalls = 0;
+    mockWebhooks({
+      'get-availability': (url) => {
+        if (url.searchParams.has('from')) return respond(200, { days: [] });
+        slotCalls += 1;
+        return respond(200, { availableSlots: slotCalls === 1 ? ['10:00', '10:30'] : ['10:30', '11:00'] });
+      },
+      'create-appointment': () => respond(409, { code: 'SLOT_TAKEN', message: 'El horario elegido ya no está disponible' })
+    });
+    renderForm();
+    await goToReview();
+
+    fireEvent.click(confirmButton());
+
+    expect(await screen.findByText(/El horario de las 10:00 hs acaba de ser reservado/)).toBeInTheDocument();
+    expect(screen.getByText('Paso 3 de 4')).toBeInTheDocument();
+    // 10:30 aparece en la grilla y entre las sugerencias
+    expect(screen.getAllByRole('button', { name: slotName('10:30') })).toHaveLength(2);
+    expect(screen.queryByRole('button', { name: slotName('10:00') })).not.toBeInTheDocument();
+    expect(nextButton()).toBeDisabled();
+  });
+});
+
+describe('offline outbox', () => {
+  test('keeps the appointment pending without connection and confirms it with the same key once back online', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    let online = false;
+    mockWebhooks({
+      'create-appointment': () =>
+        online
+          ? respond(200, { success: true, appointmentId: 'apt-1', confirmationCode: 'ab12cd' })
+          : Promise.reject(new TypeError('Failed to fetch'))
+    });
+    render(<FormWithOutbox />);
+    await goToReview();
+
+    fireEvent.click(confirmButton());
+
+    expect(await screen.findByText('Tu turno todavía no está confirmado')).toBeInTheDocument();
+    expect(screen.queryByText('¡Turno confirmado!')).not.toBeInTheDocument();
+    const [queued] = JSON.parse(localStorage.getItem('turnos-booking:outbox:v1'));
+    expect(queued).toMatchObject({ status: 'pending', payload: { dni: '30111222', idempotencyKey: queued.id } });
+    // Sin "guardar también las respuestas de salud" no quedan escritas en el dispositivo
+    expect(queued.payload).not.toHaveProperty('historiaClinica');
+    expect(queued.payload).not.toHaveProperty('alergias');
+    expect(localStorage.getItem('turnos-booking:draft:v1')).toBeNull();
+
+    online = true;
+    await act(async () => {
+      window.dispatchEvent(new Event('online'));
+    });
+
+    expect(await screen.findByText('¡Turno confirmado!')).toBeInTheDocument();
+    expect(screen.getByText('AB12CD')).toBeInTheDocument();
+    const requests = callsTo('create-appointment');
+    expect(requests.length).toBeGreaterThan(1);
+    expect(requests.every(call => bodyOf(call).idempotencyKey === queued.id)).toBe(true);
+    expect(bodyOf(requests[requests.length - 1])).toMatchObject({ alergias: 'Sin alergias conocidas', consentimiento: { aceptado: true } });
+    expect(localStorage.getItem('turnos-booking:outbox:v1')).toBeNull();
+  });
+
+  test('does not resend a booking from an earlier visit whose time already passed', async () => {
+    const summary = {
+      nombre: 'Ana Pérez',
+      tipoTurnoNombre: 'Consulta',
+      fechaHora: '2026-10-15T10:00:00-03:00',
+      timezone: 'America/Argentina/Buenos_Aires'
+    };
+    localStorage.setItem(
+      'turnos-booking:outbox:v1',
+      JSON.stringify([
+        { id: 'key-old', status: 'pending', medicalStored: true, payload: { ...summary, idempotencyKey: 'key-old' }, summary }
+      ])
+    );
+    render(<FormWithOutbox />);
+
+    expect(await screen.findByText(/El horario pasó sin que vuelva la conexión/)).toBeInTheDocument();
+    expect(callsTo('create-appointment')).toHaveLength(0);
+    expect(JSON.parse(localStorage.getItem('turnos-booking:outbox:v1'))).toEqual([
+      expect.objectContaining({ id: 'key-old', status: 'failed', reason: 'expired', payload: null })
+    ]);
+  });
+
+  test('does not queue when n8n answered with an error', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockWebhooks({ 'create-appointment': () => respond(502, {}) });
+    render(<FormWithOutbox />);
+    await goToReview();
+
+    fireEvent.click(confirmButton());
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Error al crear el turno');
+    expect(localStorage.getItem('turnos-booking:outbox:v1')).toBeNull();
+  });
+});
+
+describe('waitlist offer', () => {
+  test('restores the draft instead when the offered treatment is not in the catalog', async () => {
+    localStorage.setItem(
+      'turnos-booking:draft:v1',
+      JSON.stringify({ formData: { dni: '30111222', nombre: 'Ana Pérez' }, step: 1, saveMedical: false, savedAt: Date.now() })
+    );
+    const offer = { token: 'offer-1', tipoTurno: 'implante', fecha: '2026-10-19', hora: '15:00', profesionalId: '', expiresAt: '' };
+    render(
+      <BookingForm schedule={SCHEDULE} professionals={[]} catalog={CATALOG} clinic={DEFAULT_CLINIC} waitlistOffer={offer} />
+    );
+    await advance(0);
+
+    expect(screen.getByText('Recuperamos los datos que habías cargado la última vez.')).toBeInTheDocument();
+    expect(screen.getByLabelText(/Nombre completo/)).toHaveValue('Ana Pérez');
+    expect(screen.queryByText(/Se liberó un turno/)).not.toBeInTheDocument();
+  });
+});
+
+describe('booking for a dependent', () => {
+  // check-patient manda de más: el formulario solo usa el id y el nombre
+  const TOMAS = {
+    id: 'fam-1',
+    nombre: 'Tomás González',
+    dni: '55123456',
+    fechaNacimiento: '2018-05-10',
+    historiaClinica: { alergias: ['latex'], sinCondiciones: true, sinMedicacion: true, anticoagulantes: 'no', embarazo: 'noAplica' }
+  };
+
+  // Otro DNI que el de los demás tests: check-patient guarda en caché la respuesta por DNI
+  async function identifyGuardian() {
+    fireEvent.click(screen.getByRole('radio', { name: 'Para un familiar a cargo' }));
+    type(screen.getByLabelText('DNI'), '27333444');
+    await advance(400);
+    fireEvent.click(nextButton());
+  }
+
+  test('books a known dependent under the guardian and keeps the guardian phone', async () => {
+    mockWebhooks({ 'check-patient': () => respond(200, { found: true, patient: { ...MARIA, dependientes: [TOMAS] } }) });
+    renderForm();
+    await identifyGuardian();
+
+    expect(screen.getByText('Tus datos como responsable')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('radio', { name: 'Tomás González' }));
+    expect(screen.getByLabelText('Nombre completo de quien se atiende')).toHaveValue('Tomás González');
+    expect(screen.getByLabelText('Nombre completo de quien se atiende')).toBeDisabled();
+    expect(screen.getByLabelText('DNI de quien se atiende')).toHaveValue('');
+    expect(screen.getByLabelText('Fecha de nacimiento')).toHaveValue('');
+    expect(screen.queryByText(/8 años/)).not.toBeInTheDocument();
+    expect(screen.queryByText(/Ya respondiste este cuestionario/)).not.toBeInTheDocument();
+    expect(screen.getByRole('checkbox', { name: 'Látex' })).not.toBeChecked();
+
+    type(screen.getByLabelText('DNI de quien se atiende'), '55123456');
+    fireEvent.change(screen.getByLabelText('Fecha de nacimiento'), { target: { value: '2018-05-10' } });
+    chooseObraSocial('Swiss Medical');
+    type(screen.getByLabelText(/N° de afiliado/), '80012345679');
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Látex' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Ninguna enfermedad ni condición' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'No toma medicación' }));
+    answerQuestion(/anticoagulantes/, 'No');
+    expect(nextButton()).toBeDisabled();
+    answerQuestion(/embarazo/, 'No corresponde');
+    acceptConsent();
+    fireEvent.click(nextButton());
+
+    expect(screen.getByRole('radio', { name: /^Enseñanza de técnica/ })).toBeEnabled();
+    await chooseSlot();
+    fireEvent.click(nextButton());
+    expect(screen.getByText('María González (DNI 27333444)')).toBeInTheDocument();
+
+    fireEvent.click(confirmButton());
+    expect(await screen.findByText('¡Turno confirmado!')).toBeInTheDocument();
+    expect(bodyOf(callsTo('hold-slot')[0])).toMatchObject({ dni: '55123456' });
+    expect(bodyOf(callsTo('create-appointment')[0])).toMatchObject({
+      dni: '55123456',
+      dependienteId: 'fam-1',
+      nombre: 'Tomás González',
+      fechaNacimiento: '2018-05-10',
+      telefono: '+5493814123456',
+      numeroAfiliado: '80012345679',
+      alergias: 'Látex',
+      isNewPatient: false,
+      responsable: { dni: '27333444', nombre: 'María González', telefono: '+5493814123456' }
+    });
+  });
+
+  test('asks for the DNI and birth date of a new dependent', async () => {
+    renderForm();
+    await identifyGuardian();
+    completePatientDataFor('Ana Pérez');
+
+    expect(nextButton()).toBeDisabled();
+    type(screen.getByLabelText('Nombre completo de quien se atiende'), 'Juan Pérez');
+    type(screen.getByLabelText('DNI de quien se atiende'), '27333444');
+    fireEvent.blur(screen.getByLabelText('DNI de quien se atiende'));
+    expect(screen.getByText(/Es tu DNI/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('DNI de quien se atiende'), { target: { value: '56111222' } });
+    fireEvent.change(screen.getByLabelText('Fecha de nacimiento'), { target: { value: '2027-01-01' } });
+    fireEvent.blur(screen.getByLabelText('Fecha de nacimiento'));
+    expect(screen.getByText('La fecha de nacimiento no puede ser posterior a hoy.')).toBeInTheDocument();
+    expect(nextButton()).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Fecha de nacimiento'), { target: { value: '2000-03-15' } });
+    fireEvent.click(nextButton());
+    expect(screen.getByRole('radio', { name: /^Enseñanza de técnica/ })).toBeDisabled();
+    expect(screen.getByText('Solo para pacientes de hasta 12 años.')).toBeInTheDocument();
+  });
+});
+
+describe('step validation', () => {
+  test('each step enables Siguiente only once its data is complete and valid', async () => {
+    render(<BookingForm schedule={SCHEDULE} professionals={[]} catalog={CATALOG_WITH_CONSULTA_RULE} clinic={DEFAULT_CLINIC} />);
+    expect(nextButton()).toBeDisabled();
+
+    type(screen.getByLabelText('DNI'), '30111222');
+    expect(nextButton()).toBeEnabled();
+    await advance(400);
+    fireEvent.click(nextButton());
+
+    expect(nextButton()).toBeDisabled();
+    type(screen.getByLabelText(/Nombre completo/), 'Ana Pérez');
+    const telefono = screen.getByLabelText(/Teléfono/);
+    type(telefono, '123');
+    fireEvent.blur(telefono);
+    expect(telefono).toHaveAttribute('aria-invalid', 'true');
+    chooseObraSocial('Particular');
+    expect(nextButton()).toBeDisabled();
+
+    fireEvent.change(telefono, { target: { value: '' } });
+    type(telefono, '3811234567');
+    expect(telefono).not.toHaveAttribute('aria-invalid');
+    expect(nextButton()).toBeDisabled();
+
+    // Sin respuestas explícitas ni consentimiento no se avanza
+    answerMedicalHistory();
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Sin alergias conocidas' }));
+    acceptConsent();
+    expect(screen.getByText(/Respondé todas las preguntas/)).toBeInTheDocument();
+    expect(nextButton()).toBeDisabled();
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Penicilina' }));
+    expect(nextButton()).toBeEnabled();
+    acceptConsent();
+    expect(nextButton()).toBeDisabled();
+    acceptConsent();
+    expect(nextButton()).toBeEnabled();
+
+    chooseObraSocial('Swiss Medical');
+    expect(nextButton()).toBeDisabled();
+    type(screen.getByLabelText(/N° de afiliado/), '80012345678');
+    expect(nextButton()).toBeEnabled();
+    fireEvent.click(nextButton());
+
+    // Un paciente nuevo no puede reservar tratamientos que requieren consulta previa
+    expect(screen.getByRole('radio', { name: /^Carillas/ })).toBeDisabled();
+    expect(nextButton()).toBeDisabled();
+    await chooseSlot();
+    expect(nextButton()).toBeEnabled();
+    fireEvent.click(nextButton());
+
+    expect(confirmButton()).toBeEnabled();
+  });
+
+  test('going back keeps the data already entered', async () => {
+    renderForm();
+    await completeIdentification();
+    completePatientData();
+
+    fireEvent.click(screen.getByRole('button', { name: /Anterior/ }));
+    expect(screen.getByLabelText(/Nombre completo/)).toHaveValue('Ana Pérez');
+    fireEvent.click(screen.getByRole('button', { name: /Anterior/ }));
+    expect(screen.getByLabelText('DNI')).toHaveValue('30111222');
+  });
+});
+
+describe('language', () => {
+  test('switching to English translates the form, the catalog and the dates but not what n8n receives', async () => {
+    render(
+      <I18nProvider>
+        <BookingForm schedule={SCHEDULE} professionals={[]} catalog={CATALOG} clinic={DEFAULT_CLINIC} />
+      </I18nProvider>
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'English' }));
+    expect(screen.getByRole('button', { name: 'English' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByText('Step 1 of 4')).toBeInTheDocument();
+    expect(document.documentElement.lang).toBe('en');
+    expect(localStorage.getItem('turnos-booking:locale:v1')).toBe('en');
+
+    type(screen.getByLabelText('DNI'), '30111222');
+    await advance(400);
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    type(screen.getByLabelText(/Full name/), 'Ana Pérez');
+    type(screen.getByLabelText(/Phone/), '0381 15 123-4567');
+    chooseObraSocial('Private');
+    fireEvent.click(screen.getByRole('checkbox', { name: 'No known allergies' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'No illnesses or conditions' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Takes no medication' }));
+    fireEvent.click(within(screen.getByRole('group', { name: /anticoagulants/ })).getByRole('radio', { name: 'No' }));
+    fireEvent.click(within(screen.getByRole('group', { name: /pregnant/ })).getByRole('radio', { name: 'Not applicable' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: /Law 25\.326/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+    expect(screen.getByText('Preventive')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('radio', { name: /^Check-up/ }));
+    fireEvent.click(screen.getByRole('button', { name: /^Tuesday, October 20, 2026/ }));
+    fireEvent.click(await screen.findByRole('button', { name: /^10:00/ }));
+    await screen.findByText(/We are holding 10:00 for you/);
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    expect(screen.getByText('Private (no health insurance)')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /Confirm appointment/ }));
+    expect(await screen.findByText('Appointment confirmed!')).toBeInTheDocument();
+    expect(bodyOf(callsTo('create-appointment')[0])).toMatchObject({
+      obraSocial: 'Particular',
+      tipoTurno: 'consulta',
+      tipoTurnoNombre: 'Consulta',
+      alergias: 'Sin alergias conocidas',
+      locale: 'en'
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import React from 'react';
+import { CalendarPlus, MessageCircle } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+import { buildGoogleCalendarUrl, buildIcs, buildWhatsAppShareUrl, downloadIcs } from '../utils/calendar';
+
+export default function CalendarActions({ event, shareText, fileName }) {
+  const { t } = useI18n();
+  const handleDownload = () => {
+    downloadIcs(fileName, buildIcs(event));
+  };
+
+  return (
+    <div className="space-y-2">
+      <button
+        type="button"
+        onClick={handleDownload}
+        className="w-full border border-teal-600 text-teal-700 py-2 px-4 rounded-lg hover:bg-teal-50 transition-colors flex items-center justify-center gap-2"
+      >
+        <CalendarPlus size={18} />
+        {t('share.addToCalendar')}
+      </button>
+      <div className="grid grid-cols-2 gap-2">
+        <a
+          href={buildGoogleCalendarUrl(event)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="border border-gray-300 text-gray-700 py-2 px-3 rounded-lg hover:bg-gray-50 transition-colors text-sm flex items-center justify-center gap-2"
+        >
+          Google Calendar
+          <span className="sr-only">{t('common.newTab')}</span>
+        </a>
+        <a
+          href={buildWhatsAppShareUrl(shareText)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="border border-gray-300 text-gray-700 py-2 px-3 rounded-lg hover:bg-gray-50 transition-colors text-sm flex items-center justify-center gap-2"
+        >
+          <MessageCircle size={16} />
+          {t('share.whatsapp')}
+          <span className="sr-only">{t('common.newTab')}</span>
+        </a>
+      </div>
+    </div>
+  );
+}
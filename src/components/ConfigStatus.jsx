@@ -0,0 +1,32 @@
+import React from 'react';
+import { AlertCircle, Loader } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+// Pantallas de carga y error mientras se obtiene la configuración del consultorio
+export default function ConfigStatus({ error, onRetry }) {
+  const { t } = useI18n();
+  if (error) {
+    return (
+      <div className="App min-h-screen flex flex-col items-center justify-center gap-4 p-4 text-gray-700" role="alert">
+        <p className="flex items-center gap-2">
+          <AlertCircle className="w-5 h-5 text-red-600" />
+          {t('config.loadError')}
+        </p>
+        <button
+          type="button"
+          onClick={onRetry}
+          className="bg-teal-600 text-white py-2 px-4 rounded-lg hover:bg-teal-700 transition-colors"
+        >
+          {t('config.retry')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="App min-h-screen flex items-center justify-center gap-2 text-gray-600">
+      <Loader className="w-5 h-5 animate-spin" />
+      {t('config.loading')}
+    </div>
+  );
+}
@@ -0,0 +1,266 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Calendar, ChevronLeft, ChevronRight, Loader } from 'lucide-react';
+import { fetchAvailabilityRange } from '../api/n8n';
+import useI18n from '../hooks/useI18n';
+import {
+  DEFAULT_TIMEZONE,
+  addDays,
+  dateValueInZone,
+  formatDateLabel,
+  formatMonthLabel,
+  parseDateValue,
+  toDateValue
+} from '../utils/dates';
+import { filterSlotsByLeadTime } from '../utils/schedule';
+
+const FEW_SLOTS_THRESHOLD = 3;
+
+const STATUS_STYLES = {
+  available: 'bg-white text-gray-900 border-teal-500 hover:bg-teal-50',
+  few: 'bg-amber-50 text-gray-900 border-amber-400 hover:bg-amber-100',
+  full: 'bg-gray-100 text-gray-400 border-gray-200 line-through cursor-not-allowed',
+  blocked: 'bg-red-50 text-red-300 border-red-100 cursor-not-allowed',
+  closed: 'bg-white text-gray-300 border-transparent cursor-default'
+};
+
+function monthKey(value) {
+  return value.slice(0, 7);
+}
+
+function shiftMonth(key, delta) {
+  const [y, m] = key.split('-').map(Number);
+  return toDateValue(new Date(y, m - 1 + delta, 1)).slice(0, 7);
+}
+
+function buildWeeks(key) {
+  const first = parseDateValue(`${key}-01`);
+  const offset = (first.getDay() + 6) % 7; // semanas de lunes a domingo
+  let cursor = addDays(`${key}-01`, -offset);
+  const weeks = [];
+  do {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push(cursor);
+      cursor = addDays(cursor, 1);
+    }
+    weeks.push(week);
+  } while (monthKey(cursor) === key);
+  return weeks;
+}
+
+export default function DateCalendar({
+  id,
+  dates,
+  value,
+  onChange,
+  duration,
+  schedule,
+  profesionalIds = [],
+  timeZone = DEFAULT_TIMEZONE
+}) {
+  const { t, locale } = useI18n();
+  const datesByValue = useMemo(() => new Map(dates.map(d => [d.value, d])), [dates]);
+  const firstSelectable = dates.find(d => d.available !== false)?.value || dates[0]?.value || dateValueInZone(new Date(), timeZone);
+  const firstMonth = monthKey(dates[0]?.value || firstSelectable);
+  const lastMonth = monthKey(dates[dates.length - 1]?.value || firstSelectable);
+
+  const [visibleMonth, setVisibleMonth] = useState(monthKey(value || firstSelectable));
+  const [focusedDate, setFocusedDate] = useState(value || firstSelectable);
+  const [slotsByDate, setSlotsByDate] = useState({});
+  const [loadingRange, setLoadingRange] = useState(false);
+  const buttonRefs = useRef({});
+  const profesionalKey = profesionalIds.join(',');
+  const moveFocusRef = useRef(false);
+
+  useEffect(() => {
+    const monthDates = dates.filter(d => d.available !== false && monthKey(d.value) === visibleMonth);
+    if (!duration || monthDates.length === 0) {
+      setSlotsByDate({});
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoadingRange(true);
+    const ids = profesionalKey ? profesionalKey.split(',') : [null];
+    const from = monthDates[0].value;
+    const to = monthDates[monthDates.length - 1].value;
+    Promise.all(ids.map(profesionalId => fetchAvailabilityRange(from, to, duration, profesionalId)))
+      .then(results => {
+        // En modo "cualquier profesional" un día tiene lugar si alguna lo tiene
+        const merged = {};
+        results.forEach(result => {
+          Object.entries(result).forEach(([fecha, slots]) => {
+            merged[fecha] = Array.from(new Set([...(merged[fecha] || []), ...slots])).sort();
+          });
+        });
+        if (!cancelled) setSlotsByDate(merged);
+      })
+      .catch(err => {
+        console.error('Error getting availability range:', err);
+        if (!cancelled) setSlotsByDate({});
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingRange(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [dates, visibleMonth, duration, profesionalKey]);
+
+  useEffect(() => {
+    if (!moveFocusRef.current) return;
+    moveFocusRef.current = false;
+    const button = buttonRefs.current[focusedDate];
+    if (button) button.focus();
+  }, [focusedDate, visibleMonth]);
+
+  const getStatus = (dayValue) => {
+    const date = datesByValue.get(dayValue);
+    if (!date) return { status: 'closed' };
+    if (date.available === false) return { status: 'blocked', reason: date.reason };
+    const slots = slotsByDate[dayValue];
+    if (!Array.isArray(slots)) return { status: 'available' };
+    const count = filterSlotsByLeadTime(schedule, dayValue, slots, { timeZone }).length;
+    if (count === 0) return { status: 'full' };
+    return { status: count <= FEW_SLOTS_THRESHOLD ? 'few' : 'available', count };
+  };
+
+  const isSelectable = (dayValue) => ['available', 'few'].includes(getStatus(dayValue).status);
+
+  const moveFocus = (nextValue) => {
+    const nextMonth = monthKey(nextValue);
+    if (nextMonth < firstMonth || nextMonth > lastMonth) return;
+    moveFocusRef.current = true;
+    setFocusedDate(nextValue);
+    setVisibleMonth(nextMonth);
+  };
+
+  const handleKeyDown = (e) => {
+    const weekday = (parseDateValue(focusedDate).getDay() + 6) % 7;
+    const moves = {
+      ArrowLeft: -1,
+      ArrowRight: 1,
+      ArrowUp: -7,
+      ArrowDown: 7,
+      Home: -weekday,
+      End: 6 - weekday
+    };
+    if (e.key in moves) {
+      e.preventDefault();
+      moveFocus(addDays(focusedDate, moves[e.key]));
+    } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+      e.preventDefault();
+      const d = parseDateValue(focusedDate);
+      d.setMonth(d.getMonth() + (e.key === 'PageUp' ? -1 : 1));
+      moveFocus(toDateValue(d));
+    }
+  };
+
+  const changeMonth = (delta) => {
+    const next = shiftMonth(visibleMonth, delta);
+    setVisibleMonth(next);
+    const firstInMonth = dates.find(d => monthKey(d.value) === next && d.available !== false);
+    setFocusedDate(firstInMonth ? firstInMonth.value : `${next}-01`);
+  };
+
+  const weeks = buildWeeks(visibleMonth);
+  const monthLabel = formatMonthLabel(parseDateValue(`${visibleMonth}-01`), locale);
+  const focusTarget = monthKey(focusedDate) === visibleMonth ? focusedDate : weeks[0].find(d => monthKey(d) === visibleMonth);
+  const selectedDate = value ? datesByValue.get(value) : null;
+
+  return (
+    <div>
+      <p id={`${id}-label`} className="block text-sm font-medium text-gray-700 mb-2">
+        <Calendar className="inline w-4 h-4 mr-1" />
+        {t('calendar.label')}
+      </p>
+      <div className="border border-gray-300 rounded-lg p-3">
+        <div className="flex items-center justify-between mb-2">
+          <button
+            type="button"
+            onClick={() => changeMonth(-1)}
+            disabled={visibleMonth <= firstMonth}
+            className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"
+            aria-label={t('calendar.previousMonth')}
+          >
+            <ChevronLeft size={20} />
+          </button>
+          <p id={`${id}-month`} className="font-medium text-gray-900 capitalize flex items-center gap-2" aria-live="polite">
+            {monthLabel}
+            {loadingRange && <Loader className="w-4 h-4 animate-spin text-gray-400" aria-label={t('calendar.loading')} />}
+          </p>
+          <button
+            type="button"
+            onClick={() => changeMonth(1)}
+            disabled={visibleMonth >= lastMonth}
+            className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"
+            aria-label={t('calendar.nextMonth')}
+          >
+            <ChevronRight size={20} />
+          </button>
+        </div>
+
+        <table id={id} role="grid" aria-labelledby={`${id}-label ${id}-month`} className="w-full table-fixed" onKeyDown={handleKeyDown}>
+          <thead>
+            <tr>
+              {t('calendar.weekdays').map(day => (
+                <th key={day} scope="col" className="text-xs font-medium text-gray-500 pb-1">{day}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {weeks.map(week => (
+              <tr key={week[0]}>
+                {week.map(dayValue => {
+                  if (monthKey(dayValue) !== visibleMonth) return <td key={dayValue} />;
+                  const { status, reason, count } = getStatus(dayValue);
+                  const selectable = isSelectable(dayValue);
+                  const selected = dayValue === value;
+                  const description = status === 'blocked' ? reason : t(`calendar.status.${status}`);
+                  return (
+                    <td key={dayValue} role="gridcell" aria-selected={selected} className="p-0.5">
+                      <button
+                        ref={el => {
+                          buttonRefs.current[dayValue] = el;
+                        }}
+                        type="button"
+                        tabIndex={dayValue === focusTarget ? 0 : -1}
+                        onClick={() => selectable && onChange(dayValue)}
+                        onFocus={() => setFocusedDate(dayValue)}
+                        aria-disabled={!selectable || undefined}
+                        aria-label={`${formatDateLabel(parseDateValue(dayValue), locale)}, ${description}`}
+                        title={status === 'blocked' ? reason : count ? t('calendar.slotCount', { count }) : undefined}
+                        className={`w-full aspect-square text-sm rounded-lg border transition-colors focus:outline-none focus:ring-2 focus:ring-teal-500 ${
+                          selected ? 'bg-teal-600 text-white border-teal-600' : STATUS_STYLES[status]
+                        }`}
+                      >
+                        {parseDateValue(dayValue).getDate()}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600" aria-hidden="true">
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded border border-teal-500 bg-white" />{t('calendar.legend.available')}</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded border border-amber-400 bg-amber-50" />{t('calendar.legend.few')}</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded border border-gray-200 bg-gray-100" />{t('calendar.legend.full')}</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded border border-red-100 bg-red-50" />{t('calendar.legend.blocked')}</span>
+        </div>
+      </div>
+      {selectedDate && (
+        <p className="text-sm text-gray-700 mt-2">
+          {t('calendar.selected')}: <span className="font-medium capitalize">{selectedDate.label}</span>
+        </p>
+      )}
+      {focusedDate && datesByValue.get(focusedDate)?.available === false && (
+        <p className="text-sm text-red-700 mt-2" role="status">
+          {formatDateLabel(parseDateValue(focusedDate), locale)}: {datesByValue.get(focusedDate).reason}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import React from 'react';
+import { Cake, CreditCard, User, UserPlus, Users } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+// Quién se atiende cuando el turno es para un familiar a cargo: uno de los que n8n ya tiene asociados al
+// responsable o una persona nueva. De los conocidos solo se sabe el nombre: el DNI y la fecha de nacimiento se
+// ingresan igual. La obra social y los datos médicos se cargan debajo, en el formulario
+export default function DependentFields({ dependents, formData, errors, today, onSelect, onChange, onBlur }) {
+  const { t } = useI18n();
+  const isKnown = !!formData.dependienteId;
+  const inputClass = (invalid) =>
+    `w-full p-3 border rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent disabled:bg-gray-100 ${
+      invalid ? 'border-red-400' : 'border-gray-300'
+    }`;
+
+  return (
+    <div className="space-y-4">
+      {dependents.length > 0 && (
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-700 mb-2">
+            <Users className="inline w-4 h-4 mr-1" />
+            {t('dependents.label')}
+          </legend>
+          <div className="space-y-2">
+            {dependents.map(dependent => (
+              <label
+                key={dependent.id}
+                className={`flex items-center gap-2 p-3 rounded-lg border cursor-pointer ${
+                  formData.dependienteId === dependent.id ? 'bg-teal-50 border-teal-600' : 'border-gray-300 hover:border-teal-500'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="dependiente"
+                  checked={formData.dependienteId === dependent.id}
+                  onChange={() => onSelect(dependent)}
+                  className="h-4 w-4 text-teal-600 focus:ring-teal-500"
+                />
+                <span className="text-gray-900">{dependent.nombre}</span>
+              </label>
+            ))}
+            <label
+              className={`flex items-center gap-2 p-3 rounded-lg border cursor-pointer ${
+                !isKnown ? 'bg-teal-50 border-teal-600' : 'border-gray-300 hover:border-teal-500'
+              }`}
+            >
+              <input
+                type="radio"
+                name="dependiente"
+                checked={!isKnown}
+                onChange={() => onSelect(null)}
+                className="h-4 w-4 text-teal-600 focus:ring-teal-500"
+              />
+              <UserPlus size={16} className="text-gray-500" />
+              <span className="text-gray-900">{t('dependents.new')}</span>
+            </label>
+          </div>
+        </fieldset>
+      )}
+
+      {isKnown && <p className="text-sm text-gray-600">{t('dependents.confirmIdentity', { name: formData.dependienteNombre })}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="dependienteNombre" className="block text-sm font-medium text-gray-700 mb-2">
+            <User className="inline w-4 h-4 mr-1" />
+            {t('dependents.name')}
+          </label>
+          <input
+            id="dependienteNombre"
+            type="text"
+            value={formData.dependienteNombre}
+            onChange={(e) => onChange('dependienteNombre', e.target.value)}
+            disabled={isKnown}
+            className={inputClass(false)}
+            required
+          />
+        </div>
+
+        <div>
+          <label htmlFor="dependienteDni" className="block text-sm font-medium text-gray-700 mb-2">
+            <CreditCard className="inline w-4 h-4 mr-1" />
+            {t('dependents.dni')}
+          </label>
+          <input
+            id="dependienteDni"
+            type="text"
+            value={formData.dependienteDni}
+            onChange={(e) => onChange('dependienteDni', e.target.value)}
+            onBlur={() => onBlur('dependienteDni')}
+            placeholder={t('booking.dniPlaceholder')}
+            className={inputClass(!!errors.dni)}
+            required
+            inputMode="numeric"
+            aria-invalid={!!errors.dni || undefined}
+            aria-describedby={errors.dni ? 'dependienteDni-error' : undefined}
+          />
+          {errors.dni && (
+            <p id="dependienteDni-error" className="text-red-600 text-sm mt-1" role="alert">
+              {errors.dni}
+            </p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="dependienteNacimiento" className="block text-sm font-medium text-gray-700 mb-2">
+            <Cake className="inline w-4 h-4 mr-1" />
+            {t('dependents.birthDate')}
+          </label>
+          <input
+            id="dependienteNacimiento"
+            type="date"
+            max={today}
+            value={formData.dependienteNacimiento}
+            onChange={(e) => onChange('dependienteNacimiento', e.target.value)}
+            onBlur={() => onBlur('dependienteNacimiento')}
+            className={inputClass(!!errors.nacimiento)}
+            required
+            aria-invalid={!!errors.nacimiento || undefined}
+            aria-describedby={errors.nacimiento ? 'dependienteNacimiento-error' : undefined}
+          />
+          {errors.nacimiento && (
+            <p id="dependienteNacimiento-error" className="text-red-600 text-sm mt-1" role="alert">
+              {errors.nacimiento}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
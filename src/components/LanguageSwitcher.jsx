@@ -0,0 +1,29 @@
+import React from 'react';
+import { Globe } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+import { LOCALES } from '../i18n';
+
+// Con tres idiomas alcanza con botones; cada uno se nombra en su propia lengua
+export default function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <div role="group" aria-label={t('language.label')} className="inline-flex items-center gap-1 text-sm">
+      <Globe size={16} className="text-teal-100" aria-hidden="true" />
+      {LOCALES.map(option => (
+        <button
+          key={option.id}
+          type="button"
+          lang={option.id}
+          onClick={() => setLocale(option.id)}
+          aria-pressed={option.id === locale}
+          className={`px-2 py-0.5 rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-white ${
+            option.id === locale ? 'bg-white text-teal-700 font-medium' : 'text-teal-50 hover:bg-white/20'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import React from 'react';
+import { HeartPulse } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+import {
+  ALLERGIES,
+  CONDITIONS,
+  PREGNANCY_ANSWERS,
+  YES_NO,
+  isMedicalHistoryComplete,
+  toggleAnswer
+} from '../utils/medicalHistory';
+
+const CHECKBOX_CLASS = 'h-4 w-4 text-teal-600 border-gray-300 rounded focus:ring-teal-500';
+const INPUT_CLASS = 'w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent';
+
+// Cada pregunta necesita una respuesta explícita, aunque sea "no": el formulario ya no completa "Ninguna" solo.
+// previous: ya respondió en una visita anterior; las respuestas nuevas reemplazan a esas, que no se muestran
+export default function MedicalHistoryFields({ value, onChange, previous }) {
+  const { t } = useI18n();
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const renderChecklist = (field, ids, prefix, noneField, noneKey) => (
+    <div className="flex flex-wrap gap-x-4 gap-y-2">
+      {ids.map(id => (
+        <label key={id} className="flex items-center gap-1 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={value[field].includes(id)}
+            onChange={() => onChange(toggleAnswer(value, field, id))}
+            className={CHECKBOX_CLASS}
+          />
+          {t(`${prefix}.${id}`)}
+        </label>
+      ))}
+      <label className="flex items-center gap-1 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={value[noneField]}
+          onChange={(e) => update(e.target.checked ? { [field]: [], [noneField]: true } : { [noneField]: false })}
+          className={CHECKBOX_CLASS}
+        />
+        {t(noneKey)}
+      </label>
+    </div>
+  );
+
+  const renderChoice = (field, options) => (
+    <div className="flex flex-wrap gap-x-4 gap-y-2">
+      {options.map(option => (
+        <label key={option} className="flex items-center gap-1 text-sm text-gray-700">
+          <input
+            type="radio"
+            name={field}
+            checked={value[field] === option}
+            onChange={() => update({ [field]: option })}
+            className="h-4 w-4 text-teal-600 border-gray-300 focus:ring-teal-500"
+          />
+          {t(`medical.answer.${option}`)}
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <fieldset className="border border-gray-200 rounded-lg p-4 space-y-5">
+      <legend className="px-1 text-sm font-semibold text-gray-800 flex items-center gap-1">
+        <HeartPulse size={16} className="text-teal-700" />
+        {t('medical.title')}
+      </legend>
+      <p className="text-sm text-gray-600">{t('medical.intro')}</p>
+
+      {previous && (
+        <p className="bg-amber-50 border border-amber-200 text-amber-800 px-3 py-2 rounded-lg text-sm">{t('medical.previous')}</p>
+      )}
+
+      <fieldset className="space-y-2">
+        <legend className="block text-sm font-medium text-gray-700 mb-2">{t('medical.allergies')}</legend>
+        {renderChecklist('alergias', ALLERGIES, 'medical.allergy', 'sinAlergias', 'medical.noAllergies')}
+        <label htmlFor="otrasAlergias" className="sr-only">
+          {t('medical.otherAllergies')}
+        </label>
+        <input
+          id="otrasAlergias"
+          type="text"
+          value={value.otrasAlergias}
+          onChange={(e) => update({ otrasAlergias: e.target.value, sinAlergias: false })}
+          placeholder={t('medical.otherAllergies')}
+          className={INPUT_CLASS}
+        />
+      </fieldset>
+
+      <fieldset className="space-y-2">
+        <legend className="block text-sm font-medium text-gray-700 mb-2">{t('medical.conditions')}</legend>
+        {renderChecklist('condiciones', CONDITIONS, 'medical.condition', 'sinCondiciones', 'medical.noConditions')}
+        <label htmlFor="otrasCondiciones" className="sr-only">
+          {t('medical.otherConditions')}
+        </label>
+        <input
+          id="otrasCondiciones"
+          type="text"
+          value={value.otrasCondiciones}
+          onChange={(e) => update({ otrasCondiciones: e.target.value, sinCondiciones: false })}
+          placeholder={t('medical.otherConditions')}
+          className={INPUT_CLASS}
+        />
+      </fieldset>
+
+      <div className="space-y-2">
+        <label htmlFor="medicacion" className="block text-sm font-medium text-gray-700">
+          {t('medical.medication')}
+        </label>
+        <input
+          id="medicacion"
+          type="text"
+          value={value.medicacion}
+          onChange={(e) => update({ medicacion: e.target.value, sinMedicacion: false })}
+          placeholder={t('medical.medicationPlaceholder')}
+          className={INPUT_CLASS}
+        />
+        <label className="flex items-center gap-1 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={value.sinMedicacion}
+            onChange={(e) => update(e.target.checked ? { medicacion: '', sinMedicacion: true } : { sinMedicacion: false })}
+            className={CHECKBOX_CLASS}
+          />
+          {t('medical.noMedication')}
+        </label>
+      </div>
+
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700">{t('medical.anticoagulants')}</legend>
+        <p className="text-xs text-gray-500 mb-2">{t('medical.anticoagulantsHint')}</p>
+        {renderChoice('anticoagulantes', YES_NO)}
+      </fieldset>
+
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700 mb-2">{t('medical.pregnancy')}</legend>
+        {renderChoice('embarazo', PREGNANCY_ANSWERS)}
+      </fieldset>
+
+      <div>
+        <label htmlFor="observaciones" className="block text-sm font-medium text-gray-700 mb-2">
+          {t('medical.notes')}
+        </label>
+        <textarea
+          id="observaciones"
+          rows={2}
+          value={value.observaciones}
+          onChange={(e) => update({ observaciones: e.target.value })}
+          className={INPUT_CLASS}
+        />
+      </div>
+
+      {!isMedicalHistoryComplete(value) && <p className="text-amber-700 text-sm">{t('medical.incomplete')}</p>}
+    </fieldset>
+  );
+}
@@ -0,0 +1,447 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Calendar, AlertCircle, CheckCircle, Loader, ArrowLeft, XCircle, RefreshCw, Timer } from 'lucide-react';
+import { listAppointments, cancelAppointment, rescheduleAppointment, fetchAvailableSlots, isSlotLostError } from '../api/n8n';
+import { isCancelled } from '../api/errors';
+import useLatestRequest from '../hooks/useLatestRequest';
+import useSlotHold from '../hooks/useSlotHold';
+import useI18n from '../hooks/useI18n';
+import { findNearestSlots, formatCountdown } from '../utils/slots';
+import { DEFAULT_TIMEZONE, buildAppointmentISO, formatAppointmentDateTime } from '../utils/dates';
+import { getScheduleDates, filterSlotsByLeadTime } from '../utils/schedule';
+import { findProfessional } from '../utils/professionals';
+import { findAppointmentType } from '../utils/appointmentTypes';
+import AppointmentSummary from './AppointmentSummary';
+import DateCalendar from './DateCalendar';
+import SlotPicker from './SlotPicker';
+
+function describeAppointment(appointment, appointmentTypes, timeZone, locale) {
+  const { fechaLabel, hora } = formatAppointmentDateTime(appointment.fechaHora, timeZone, locale);
+  const type = findAppointmentType(appointmentTypes, appointment.tipoTurno);
+  return {
+    fechaLabel,
+    hora,
+    tipo: type?.name || appointment.tipoTurnoNombre,
+    duration: type?.duration || appointment.duracion || 30
+  };
+}
+
+export default function MyAppointments({
+  dni,
+  schedule,
+  professionals = [],
+  appointmentTypes = [],
+  timeZone = DEFAULT_TIMEZONE,
+  onBack
+}) {
+  const { t, tError, locale } = useI18n();
+  const [appointments, setAppointments] = useState([]);
+  const [loadingList, setLoadingList] = useState(true);
+  const [view, setView] = useState('list');
+  const [selected, setSelected] = useState(null);
+  const [fecha, setFecha] = useState('');
+  const [hora, setHora] = useState('');
+  const [availableSlots, setAvailableSlots] = useState([]);
+  const [loadingAvailability, setLoadingAvailability] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // Como el error de la oferta: se traduce al mostrarlo para que siga al selector de idioma
+  const [listFailure, setListFailure] = useState(null);
+  const [slotNotice, setSlotNotice] = useState(null);
+
+  const availableDates = useMemo(() => getScheduleDates(schedule, { timeZone, locale }), [schedule, timeZone, locale]);
+  const describe = (appointment) => describeAppointment(appointment, appointmentTypes, timeZone, locale);
+
+  const { start: startList, isLatest: isLatestList } = useLatestRequest();
+  const slotsRequest = useLatestRequest();
+
+  const loadAppointments = useCallback(async () => {
+    const signal = startList();
+    setLoadingList(true);
+    setError('');
+    setListFailure(null);
+    try {
+      const result = await listAppointments(dni, { signal });
+      if (isLatestList(signal)) setAppointments(result);
+    } catch (err) {
+      if (isCancelled(err) || !isLatestList(signal)) return;
+      console.error('Error listing appointments:', err);
+      setListFailure(err);
+    } finally {
+      if (isLatestList(signal)) setLoadingList(false);
+    }
+  }, [dni, startList, isLatestList]);
+
+  useEffect(() => {
+    loadAppointments();
+  }, [loadAppointments]);
+
+  const loadSlots = async (value, { fresh = false } = {}) => {
+    const signal = slotsRequest.start();
+    setLoadingAvailability(true);
+    try {
+      const slots = await fetchAvailableSlots(value, describe(selected).duration, selected.profesionalId, { signal, fresh });
+      if (!slotsRequest.isLatest(signal)) return null;
+      const filtered = filterSlotsByLeadTime(schedule, value, slots, { timeZone });
+      setAvailableSlots(filtered);
+      return filtered;
+    } catch (err) {
+      if (isCancelled(err) || !slotsRequest.isLatest(signal)) return null;
+      console.error('Error getting availability:', err);
+      setAvailableSlots([]);
+      return null;
+    } finally {
+      if (slotsRequest.isLatest(signal)) setLoadingAvailability(false);
+    }
+  };
+
+  // Como en BookingForm: el horario se perdió (reserva vencida u ocupado), se recarga el día y se proponen los más cercanos
+  const handleSlotLost = async (reason, slot) => {
+    setHora('');
+    setView('reschedule');
+    const slots = await loadSlots(fecha, { fresh: true });
+    if (!slots) return;
+    setSlotNotice({
+      message: t(reason === 'expired' ? 'booking.slotExpired' : 'booking.slotTaken', { time: slot }),
+      suggestions: findNearestSlots(slots, slot)
+    });
+  };
+
+  const { hold, secondsLeft, holdSlot, clearHold } = useSlotHold({
+    onExpire: (expired) => handleSlotLost('expired', expired.slot)
+  });
+
+  const openAction = (appointment, nextView) => {
+    clearHold();
+    setSelected(appointment);
+    setFecha('');
+    setHora('');
+    setAvailableSlots([]);
+    setSlotNotice(null);
+    setError('');
+    setView(nextView);
+  };
+
+  const backToList = () => {
+    clearHold();
+    setSelected(null);
+    setSlotNotice(null);
+    setError('');
+    setView('list');
+  };
+
+  const handleFechaChange = (value) => {
+    clearHold();
+    setFecha(value);
+    setHora('');
+    setSlotNotice(null);
+    if (value) loadSlots(value);
+  };
+
+  const selectSlot = async (slot) => {
+    setHora(slot);
+    setSlotNotice(null);
+    try {
+      await holdSlot({
+        fecha,
+        hora: slot,
+        duracion: describe(selected).duration,
+        profesionalId: selected.profesionalId || '',
+        dni
+      });
+    } catch (err) {
+      if (isSlotLostError(err)) {
+        handleSlotLost('taken', slot);
+      } else {
+        // Sin reserva temporal se puede seguir: reschedule-appointment vuelve a validar el horario
+        console.error('Error holding slot:', err);
+      }
+    }
+  };
+
+  const handleCancel = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      await cancelAppointment(selected.id, dni);
+      setView('cancelled');
+    } catch (err) {
+      setError(tError(err, 'errors.cancelAppointment'));
+      console.error('Error cancelling appointment:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReschedule = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      await rescheduleAppointment(selected.id, dni, {
+        fechaHora: buildAppointmentISO(fecha, hora, timeZone),
+        duracion: describe(selected).duration,
+        profesionalId: selected.profesionalId,
+        timezone: timeZone,
+        holdToken: hold?.token || ''
+      });
+      clearHold();
+      setView('rescheduled');
+    } catch (err) {
+      console.error('Error rescheduling appointment:', err);
+      if (isSlotLostError(err)) {
+        clearHold();
+        handleSlotLost('taken', hora);
+        return;
+      }
+      setError(tError(err, 'errors.rescheduleAppointment'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const professionalName = (appointment) => findProfessional(professionals, appointment.profesionalId)?.name;
+
+  const summaryRows = (appointment) => {
+    const info = describe(appointment);
+    return [
+      { label: t('summary.date'), value: info.fechaLabel },
+      { label: t('summary.time'), value: t('common.time', { time: info.hora }) },
+      { label: t('summary.type'), value: info.tipo },
+      { label: t('summary.professional'), value: professionalName(appointment) }
+    ];
+  };
+
+  const newSlotRows = () => [
+    { label: t('summary.date'), value: availableDates.find(d => d.value === fecha)?.label },
+    { label: t('summary.time'), value: t('common.time', { time: hora }) },
+    { label: t('summary.type'), value: describe(selected).tipo },
+    { label: t('summary.professional'), value: professionalName(selected) }
+  ];
+
+  const errorMessage = error || (listFailure ? tError(listFailure, 'errors.listAppointments') : '');
+
+  if (view === 'cancelled' || view === 'rescheduled') {
+    const rescheduled = view === 'rescheduled';
+    return (
+      <div className="p-8 text-center">
+        <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <CheckCircle className="w-8 h-8 text-green-600" />
+        </div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-4">
+          {rescheduled ? t('myAppointments.rescheduledTitle') : t('myAppointments.cancelledTitle')}
+        </h2>
+        <p className="text-gray-600 mb-6">
+          {rescheduled ? t('myAppointments.rescheduledText') : t('myAppointments.cancelledText')}
+        </p>
+        <AppointmentSummary rows={rescheduled ? newSlotRows() : summaryRows(selected)} />
+        <button
+          type="button"
+          onClick={() => {
+            backToList();
+            loadAppointments();
+          }}
+          className="mt-6 w-full bg-teal-600 text-white py-2 px-4 rounded-lg hover:bg-teal-700 transition-colors"
+        >
+          {t('myAppointments.backToList')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <button
+        type="button"
+        onClick={view === 'list' ? onBack : backToList}
+        className="text-teal-700 hover:text-teal-800 text-sm font-medium flex items-center gap-1"
+      >
+        <ArrowLeft size={16} />
+        {view === 'list' ? t('myAppointments.backToBooking') : t('myAppointments.backToList')}
+      </button>
+
+      {errorMessage && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center gap-2" role="alert" aria-live="polite">
+          <AlertCircle size={20} />
+          {errorMessage}
+        </div>
+      )}
+
+      {view === 'list' && (
+        <div className="space-y-4">
+          <h2 className="text-xl font-bold text-gray-900">{t('myAppointments.title')}</h2>
+          {loadingList ? (
+            <div className="flex items-center gap-2 p-3 text-gray-600">
+              <Loader className="w-5 h-5 animate-spin" />
+              {t('myAppointments.loading')}
+            </div>
+          ) : appointments.length === 0 ? (
+            <p className="text-gray-500 text-sm p-3 bg-gray-50 rounded-lg">
+              {t('myAppointments.empty')}
+            </p>
+          ) : (
+            <ul className="space-y-3">
+              {appointments.map((appointment) => {
+                const info = describe(appointment);
+                return (
+                  <li key={appointment.id} className="border border-gray-200 rounded-lg p-4">
+                    <p className="font-medium text-gray-900 capitalize">{info.fechaLabel}</p>
+                    <p className="text-sm text-gray-600">
+                      {t('common.time', { time: info.hora })} · {info.tipo}
+                      {professionalName(appointment) && ` · ${professionalName(appointment)}`}
+                    </p>
+                    <div className="flex gap-2 mt-3">
+                      <button
+                        type="button"
+                        onClick={() => openAction(appointment, 'reschedule')}
+                        className="flex-1 flex items-center justify-center gap-1 text-sm py-2 px-3 rounded-lg border border-teal-600 text-teal-700 hover:bg-teal-50 transition-colors"
+                      >
+                        <RefreshCw size={16} />
+                        {t('myAppointments.reschedule')}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => openAction(appointment, 'confirmCancel')}
+                        className="flex-1 flex items-center justify-center gap-1 text-sm py-2 px-3 rounded-lg border border-red-300 text-red-700 hover:bg-red-50 transition-colors"
+                      >
+                        <XCircle size={16} />
+                        {t('myAppointments.cancel')}
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {view === 'confirmCancel' && (
+        <div className="space-y-4">
+          <h2 className="text-xl font-bold text-gray-900">{t('myAppointments.confirmCancelTitle')}</h2>
+          <AppointmentSummary rows={summaryRows(selected)} />
+          <p className="text-gray-600 text-sm">{t('myAppointments.confirmCancelText')}</p>
+          <button
+            type="button"
+            onClick={handleCancel}
+            disabled={loading}
+            className="w-full bg-red-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
+          >
+            {loading ? (
+              <>
+                <Loader className="w-5 h-5 animate-spin" />
+                {t('myAppointments.cancelling')}
+              </>
+            ) : (
+              t('myAppointments.confirmCancel')
+            )}
+          </button>
+        </div>
+      )}
+
+      {view === 'reschedule' && (
+        <div className="space-y-6">
+          <div className="space-y-2">
+            <h2 className="text-xl font-bold text-gray-900">{t('myAppointments.rescheduleTitle')}</h2>
+            <AppointmentSummary rows={summaryRows(selected)} />
+          </div>
+          <DateCalendar
+            id="reschedule-fecha"
+            dates={availableDates}
+            value={fecha}
+            onChange={handleFechaChange}
+            duration={describe(selected).duration}
+            schedule={schedule}
+            profesionalIds={selected.profesionalId ? [selected.profesionalId] : []}
+            timeZone={timeZone}
+          />
+          {fecha && (
+            <SlotPicker
+              slots={availableSlots}
+              value={hora}
+              onSelect={selectSlot}
+              loading={loadingAvailability}
+              fecha={fecha}
+              timeZone={timeZone}
+            />
+          )}
+          {slotNotice && (
+            <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm space-y-2" role="alert">
+              <p className="flex items-start gap-2">
+                <AlertCircle size={16} className="mt-0.5 shrink-0" />
+                {slotNotice.message}
+              </p>
+              {slotNotice.suggestions.length > 0 ? (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span>{t('booking.nearestSlots')}</span>
+                  {slotNotice.suggestions.map((slot) => (
+                    <button
+                      key={slot}
+                      type="button"
+                      onClick={() => selectSlot(slot)}
+                      className="px-3 py-1 rounded-lg border border-amber-400 bg-white hover:bg-amber-100 transition-colors"
+                    >
+                      {t('common.time', { time: slot })}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <p>{t('booking.noSlotsLeft')}</p>
+              )}
+            </div>
+          )}
+          {hold && hora === hold.slot && (
+            <p className="text-teal-700 bg-teal-50 text-sm p-3 rounded-lg flex items-center gap-2" role="timer">
+              <Timer size={16} className="shrink-0" />
+              {t('booking.hold', { time: hold.slot, countdown: formatCountdown(secondsLeft) })}
+            </p>
+          )}
+          <button
+            type="button"
+            onClick={() => setView('confirmReschedule')}
+            disabled={!fecha || !hora}
+            className="w-full bg-gradient-to-r from-teal-600 to-blue-600 text-white py-3 px-6 rounded-lg font-medium hover:from-teal-700 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            {t('myAppointments.continue')}
+          </button>
+        </div>
+      )}
+
+      {view === 'confirmReschedule' && (
+        <div className="space-y-4">
+          <h2 className="text-xl font-bold text-gray-900">{t('myAppointments.confirmRescheduleTitle')}</h2>
+          <p className="text-sm font-medium text-gray-700">{t('myAppointments.current')}</p>
+          <AppointmentSummary rows={summaryRows(selected)} />
+          <p className="text-sm font-medium text-gray-700">{t('myAppointments.new')}</p>
+          <AppointmentSummary rows={newSlotRows()} />
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setView('reschedule')}
+              disabled={loading}
+              className="flex-1 py-3 px-4 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              {t('myAppointments.pickAnother')}
+            </button>
+            <button
+              type="button"
+              onClick={handleReschedule}
+              disabled={loading}
+              className="flex-1 bg-gradient-to-r from-teal-600 to-blue-600 text-white py-3 px-4 rounded-lg font-medium hover:from-teal-700 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center gap-2"
+            >
+              {loading ? (
+                <>
+                  <Loader className="w-5 h-5 animate-spin" />
+                  {t('myAppointments.rescheduling')}
+                </>
+              ) : (
+                <>
+                  <Calendar className="w-5 h-5" />
+                  {t('myAppointments.confirmReschedule')}
+                </>
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
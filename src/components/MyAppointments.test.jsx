@@ -0,0 +1,107 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import MyAppointments from './MyAppointments';
+import { invalidateAvailability } from '../api/n8n';
+import { normalizeAppointmentTypes } from '../utils/appointmentTypes';
+import rawCatalog from '../../public/appointment_types.json';
+import { createMockBackend, createMockFetch } from '../../mock-server/n8nMock';
+
+// Lunes 19 de octubre a las 09:00 en Tucumán, como en BookingForm.test
+const NOW = new Date('2026-10-19T12:00:00Z');
+const WEDNESDAY = /^miércoles, 21 de octubre de 2026/;
+
+const SCHEDULE = {
+  workDays: [1, 2, 3, 4],
+  horizonDays: 14,
+  minLeadHours: 24,
+  holidays: [],
+  blockedDates: [],
+  exceptions: []
+};
+const CATALOG = normalizeAppointmentTypes(rawCatalog);
+
+let backend;
+
+function book(fechaHora, extra = {}) {
+  return backend.handle({
+    method: 'POST',
+    url: '/webhook/create-appointment',
+    body: {
+      dni: '30111222',
+      nombre: 'Ana Pérez',
+      telefono: '+5493811234567',
+      tipoTurno: 'consulta',
+      duracion: 30,
+      fechaHora,
+      consentimiento: { aceptado: true, version: '2026-10' },
+      ...extra
+    },
+    headers: extra.walkIn ? { authorization: 'Bearer mock-admin-token' } : {}
+  });
+}
+
+const slotName = (slot) => new RegExp(`^${slot} hs`);
+
+function renderList() {
+  return render(<MyAppointments dni="30111222" schedule={SCHEDULE} appointmentTypes={CATALOG.types} onBack={() => {}} />);
+}
+
+async function chooseNewSlot(slot) {
+  fireEvent.click(await screen.findByRole('button', { name: 'Reprogramar' }));
+  fireEvent.click(screen.getByRole('button', { name: WEDNESDAY }));
+  fireEvent.click(await screen.findByRole('button', { name: slotName(slot) }));
+  await screen.findByText(new RegExp(`Reservamos las ${slot} hs`));
+  fireEvent.click(screen.getByRole('button', { name: 'Continuar' }));
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+  invalidateAvailability();
+  backend = createMockBackend();
+  book('2026-10-20T10:00:00-03:00');
+  global.fetch = jest.fn(createMockFetch(backend));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('cancels an appointment', async () => {
+  renderList();
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Cancelar' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Sí, cancelar turno' }));
+
+  expect(await screen.findByText('¡Turno cancelado!')).toBeInTheDocument();
+  expect(backend.appointments).toHaveLength(0);
+});
+
+test('reschedules to a held slot', async () => {
+  renderList();
+  await chooseNewSlot('11:00');
+
+  fireEvent.click(screen.getByRole('button', { name: /Confirmar cambio/ }));
+
+  expect(await screen.findByText('¡Turno reprogramado!')).toBeInTheDocument();
+  expect(backend.appointments).toEqual([
+    expect.objectContaining({ id: 'mock-1', fecha: '2026-10-21', hora: '11:00', fechaHora: '2026-10-21T11:00:00-03:00' })
+  ]);
+});
+
+test('goes back to the slots of that day when the new slot was taken meanwhile', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  renderList();
+  await chooseNewSlot('11:00');
+  // Recepción cargó un sobreturno en ese horario: no respeta la reserva temporal
+  book('2026-10-21T11:00:00-03:00', { dni: '30999888', walkIn: true });
+
+  fireEvent.click(screen.getByRole('button', { name: /Confirmar cambio/ }));
+
+  expect(await screen.findByText(/El horario de las 11:00 hs acaba de ser reservado/)).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: slotName('11:00') })).not.toBeInTheDocument();
+  expect(screen.getAllByRole('button', { name: slotName('10:30') }).length).toBeGreaterThan(0);
+  expect(screen.getByRole('button', { name: 'Continuar' })).toBeDisabled();
+  expect(backend.appointments[0]).toMatchObject({ fecha: '2026-10-20', hora: '10:00' });
+});
@@ -0,0 +1,137 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { ChevronDown } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+import { OBRAS_SOCIALES, filterObrasSociales, findObraSocial, getObraSocialLabel } from '../utils/obrasSociales';
+
+export default function ObraSocialCombobox({
+  id,
+  value,
+  onChange,
+  obrasSociales = OBRAS_SOCIALES,
+  invalid = false,
+  describedBy
+}) {
+  const { t, locale } = useI18n();
+  const labelOf = (obraSocial) => getObraSocialLabel(obraSocial, locale);
+  const selected = findObraSocial(value, obrasSociales);
+  const [query, setQuery] = useState(labelOf(selected));
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    setQuery(getObraSocialLabel(findObraSocial(value, obrasSociales), locale));
+  }, [value, locale, obrasSociales]);
+
+  const options = useMemo(
+    () => filterObrasSociales(query === getObraSocialLabel(selected, locale) ? '' : query, locale, obrasSociales),
+    [query, selected, locale, obrasSociales]
+  );
+
+  useEffect(() => {
+    if (!open || activeIndex < 0 || !listRef.current) return;
+    const el = listRef.current.children[activeIndex];
+    if (el && el.scrollIntoView) el.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex, open]);
+
+  const choose = (option) => {
+    onChange(option.id);
+    setQuery(labelOf(option));
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(i => Math.min(i + 1, options.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && open) {
+      e.preventDefault();
+      const option = options[activeIndex] || (options.length === 1 ? options[0] : null);
+      if (option) choose(option);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setQuery(labelOf(selected));
+    }
+  };
+
+  const handleBlur = () => {
+    setOpen(false);
+    setActiveIndex(-1);
+    // Solo se aceptan valores de la lista: si el texto no coincide, se vuelve a la selección anterior
+    const exact = options.find(o => labelOf(o).toLowerCase() === query.trim().toLowerCase());
+    if (exact && exact.id !== value) {
+      choose(exact);
+    } else {
+      setQuery(labelOf(selected));
+    }
+  };
+
+  const listId = `${id}-listbox`;
+
+  return (
+    <div className="relative">
+      <input
+        id={id}
+        type="text"
+        role="combobox"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={open && activeIndex >= 0 ? `${id}-option-${activeIndex}` : undefined}
+        aria-invalid={invalid || undefined}
+        aria-describedby={describedBy}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+          setActiveIndex(0);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={handleBlur}
+        onKeyDown={handleKeyDown}
+        placeholder={t('obraSocial.placeholder')}
+        autoComplete="off"
+        className={`w-full p-3 pr-10 border rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent ${
+          invalid ? 'border-red-400' : 'border-gray-300'
+        }`}
+      />
+      <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400 pointer-events-none" />
+      {open && (
+        <ul
+          id={listId}
+          ref={listRef}
+          role="listbox"
+          className="absolute z-10 mt-1 w-full max-h-60 overflow-auto bg-white border border-gray-200 rounded-lg shadow-lg"
+        >
+          {options.length === 0 ? (
+            <li className="p-3 text-sm text-gray-500">{t('obraSocial.noResults')}</li>
+          ) : (
+            options.map((option, index) => (
+              <li
+                key={option.id}
+                id={`${id}-option-${index}`}
+                role="option"
+                aria-selected={option.id === value}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  choose(option);
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`p-3 text-sm cursor-pointer ${
+                  index === activeIndex ? 'bg-teal-50 text-teal-700' : 'text-gray-700'
+                } ${option.id === value ? 'font-medium' : ''}`}
+              >
+                {labelOf(option)}
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React from 'react';
+import { AlertCircle, CheckCircle, CloudOff, X } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+import { formatAppointmentDateTime } from '../utils/dates';
+
+const STYLES = {
+  pending: { className: 'bg-amber-50 border-amber-200 text-amber-800', Icon: CloudOff },
+  confirmed: { className: 'bg-green-50 border-green-200 text-green-800', Icon: CheckCircle },
+  failed: { className: 'bg-red-50 border-red-200 text-red-700', Icon: AlertCircle }
+};
+
+// Turnos de la bandeja de salida de una visita anterior: los pendientes no se pueden descartar porque
+// quizás ya llegaron a n8n; los resueltos quedan hasta que el paciente los lee
+export default function OutboxStatus({ entries, sending, timeZone, onRetry, onDismiss }) {
+  const { t, locale } = useI18n();
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      {entries.map(entry => {
+        const { className, Icon } = STYLES[entry.status];
+        const { fechaLabel, hora } = formatAppointmentDateTime(entry.summary.fechaHora, entry.summary.timezone || timeZone, locale);
+        const params = { name: entry.summary.nombre, type: entry.summary.tipoTurnoNombre, date: fechaLabel, time: hora };
+        const code = entry.confirmation && entry.confirmation.confirmationCode;
+        return (
+          <div
+            key={entry.id}
+            className={`border px-4 py-3 rounded-lg text-sm flex items-start gap-2 ${className}`}
+            role={entry.status === 'failed' ? 'alert' : 'status'}
+          >
+            <Icon size={16} className="mt-0.5 shrink-0" />
+            <div className="flex-1">
+              {entry.status === 'pending' && (
+                <>
+                  <p>{t('outbox.pending', params)}</p>
+                  <button type="button" onClick={onRetry} disabled={sending} className="mt-1 font-medium underline disabled:opacity-50">
+                    {sending ? t('outbox.sending') : t('outbox.retry')}
+                  </button>
+                </>
+              )}
+              {entry.status === 'confirmed' && (
+                <p>
+                  {t('outbox.confirmed', params)} {code && <span className="font-mono font-semibold">{t('outbox.code', { code })}</span>}
+                </p>
+              )}
+              {entry.status === 'failed' && (
+                <p>
+                  {t('outbox.failed', {
+                    ...params,
+                    reason: entry.reason ? t(`outbox.reason.${entry.reason}`) : entry.serverMessage || t('errors.createAppointment')
+                  })}
+                </p>
+              )}
+            </div>
+            {entry.status !== 'pending' && (
+              <button type="button" onClick={() => onDismiss(entry.id)} aria-label={t('outbox.dismiss')} className="shrink-0">
+                <X size={16} />
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import React from 'react';
+import { ClipboardList } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+export default function PrepInstructions({ instructions }) {
+  const { t } = useI18n();
+  if (!instructions || instructions.length === 0) return null;
+  return (
+    <div className="bg-teal-50 border border-teal-200 rounded-lg p-4 text-sm text-left">
+      <p className="font-medium text-teal-800 flex items-center gap-2 mb-2">
+        <ClipboardList size={16} />
+        {t('prep.title')}
+      </p>
+      <ul className="list-disc list-inside space-y-1 text-teal-900">
+        {instructions.map(instruction => (
+          <li key={instruction}>{instruction}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from 'react';
+import { Clock, Loader } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+import { browserTimeZone, formatLocalTime } from '../utils/dates';
+
+// Con fecha y timeZone, a quien reserva desde otra zona horaria se le muestra también su hora local
+export default function SlotPicker({ slots, value, onSelect, loading, fecha, timeZone }) {
+  const { t, locale } = useI18n();
+  const localTimes = fecha && timeZone
+    ? Object.fromEntries(slots.map(slot => [slot, formatLocalTime(fecha, slot, timeZone, browserTimeZone(), locale)]))
+    : {};
+  const showLocalTimes = Object.values(localTimes).some(Boolean);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        <Clock className="inline w-4 h-4 mr-1" />
+        {t('slots.label')}
+      </label>
+      {showLocalTimes && !loading && (
+        <p className="text-gray-600 text-sm mb-2">
+          {t('slots.localNote')}
+        </p>
+      )}
+      {loading ? (
+        <div className="flex items-center gap-2 p-3 text-gray-600">
+          <Loader className="w-5 h-5 animate-spin" />
+          {t('slots.loading')}
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          {slots.map((slot) => (
+            <button
+              key={slot}
+              type="button"
+              onClick={() => onSelect(slot)}
+              className={`p-3 text-sm rounded-lg border transition-colors ${
+                value === slot
+                  ? 'bg-teal-600 text-white border-teal-600'
+                  : 'bg-white text-gray-700 border-gray-300 hover:border-teal-500'
+              }`}
+              aria-pressed={value === slot}
+            >
+              {t('common.time', { time: slot })}
+              {localTimes[slot] && (
+                <span className="block text-xs opacity-75">{t('slots.localTime', { time: localTimes[slot] })}</span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+      {!loading && slots.length === 0 && (
+        <p className="text-gray-500 text-sm p-3 bg-gray-50 rounded-lg">
+          {t('slots.empty')}
+        </p>
+      )}
+      {!value && slots.length > 0 && (
+        <p className="text-gray-600 text-sm mt-2">{t('slots.select')}</p>
+      )}
+    </div>
+  );
+}
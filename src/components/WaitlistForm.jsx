@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { AlertCircle, BellRing, CheckCircle, Loader } from 'lucide-react';
+import { joinWaitlist } from '../api/n8n';
+import useI18n from '../hooks/useI18n';
+import { addDays, dateValueInZone } from '../utils/dates';
+import { DEFAULT_RANGE_DAYS, TIME_RANGES, validateWaitlistPreferences } from '../utils/waitlist';
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// Se muestra dentro del formulario de reserva, por eso no usa un <form> propio
+// request trae los datos del paciente y del tratamiento; acá se suman las preferencias de fecha y horario
+export default function WaitlistForm({ schedule, timeZone, defaultFrom, request, typeName, phoneLabel, onCancel }) {
+  const { t, tError, locale } = useI18n();
+  const today = dateValueInZone(new Date(), timeZone);
+  const [desde, setDesde] = useState(defaultFrom || today);
+  const [hasta, setHasta] = useState(addDays(defaultFrom || today, DEFAULT_RANGE_DAYS));
+  const [dias, setDias] = useState(schedule.workDays);
+  const [franjas, setFranjas] = useState(TIME_RANGES.map(r => r.id));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [joined, setJoined] = useState(false);
+
+  const validationError = validateWaitlistPreferences({ desde, hasta, dias, franjas }, locale);
+
+  const handleJoin = async () => {
+    if (validationError) return;
+    setLoading(true);
+    setError('');
+    try {
+      await joinWaitlist({
+        ...request,
+        desde,
+        hasta,
+        dias: [...dias].sort(),
+        horarios: TIME_RANGES.filter(r => franjas.includes(r.id)).map(r => ({ desde: r.desde, hasta: r.hasta }))
+      });
+      setJoined(true);
+    } catch (err) {
+      console.error('Error joining waitlist:', err);
+      setError(tError(err, 'errors.joinWaitlist'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (joined) {
+    return (
+      <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg text-sm flex items-start gap-2" role="status">
+        <CheckCircle size={18} className="mt-0.5 shrink-0" />
+        <p>{t('waitlist.joined', { type: typeName.toLowerCase(), phone: phoneLabel })}</p>
+      </div>
+    );
+  }
+
+  return (
+    <fieldset className="border border-teal-200 bg-teal-50/50 rounded-lg p-4 space-y-4" aria-busy={loading}>
+      <legend className="px-1 text-sm font-semibold text-teal-800 flex items-center gap-1">
+        <BellRing size={16} />
+        {t('waitlist.title', { type: typeName.toLowerCase() })}
+      </legend>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg flex items-center gap-2 text-sm" role="alert">
+          <AlertCircle size={16} className="shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="waitlist-desde" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('waitlist.from')}
+          </label>
+          <input
+            id="waitlist-desde"
+            type="date"
+            min={today}
+            value={desde}
+            onChange={(e) => setDesde(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label htmlFor="waitlist-hasta" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('waitlist.to')}
+          </label>
+          <input
+            id="waitlist-hasta"
+            type="date"
+            min={desde || today}
+            value={hasta}
+            onChange={(e) => setHasta(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700 mb-1">{t('waitlist.days')}</legend>
+        <div className="flex flex-wrap gap-3">
+          {schedule.workDays.map(day => (
+            <label key={day} className="flex items-center gap-1 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={dias.includes(day)}
+                onChange={() => setDias(prev => toggle(prev, day))}
+                className="h-4 w-4 text-teal-600 border-gray-300 rounded focus:ring-teal-500"
+              />
+              {t('dates.weekdays')[day]}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700 mb-1">{t('waitlist.times')}</legend>
+        <div className="flex flex-wrap gap-3">
+          {TIME_RANGES.map(range => (
+            <label key={range.id} className="flex items-center gap-1 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={franjas.includes(range.id)}
+                onChange={() => setFranjas(prev => toggle(prev, range.id))}
+                className="h-4 w-4 text-teal-600 border-gray-300 rounded focus:ring-teal-500"
+              />
+              {t('waitlist.range', { label: t(`waitlist.ranges.${range.id}`), from: range.desde, to: range.hasta })}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      {validationError && <p className="text-amber-700 text-sm">{validationError}</p>}
+
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={loading}
+          className="py-2 px-4 rounded-lg border border-gray-300 text-gray-700 text-sm hover:bg-gray-50 disabled:opacity-50 transition-colors"
+        >
+          {t('waitlist.cancel')}
+        </button>
+        <button
+          type="button"
+          onClick={handleJoin}
+          disabled={!!validationError || loading}
+          className="flex-1 bg-teal-600 text-white py-2 px-4 rounded-lg text-sm font-medium hover:bg-teal-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
+        >
+          {loading && <Loader className="w-4 h-4 animate-spin" />}
+          {t('waitlist.join')}
+        </button>
+      </div>
+    </fieldset>
+  );
+}
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+export default function WizardProgress({ steps, current }) {
+  const { t } = useI18n();
+  return (
+    <nav aria-label={t('wizard.label')}>
+      <p className="text-sm text-gray-600 mb-2">
+        {t('wizard.progress', { current: current + 1, total: steps.length })}
+      </p>
+      <ol className="flex gap-2">
+        {steps.map((step, index) => {
+          const done = index < current;
+          const active = index === current;
+          return (
+            <li key={step} className="flex-1" aria-current={active ? 'step' : undefined}>
+              <div className={`h-1.5 rounded-full ${done || active ? 'bg-teal-600' : 'bg-gray-200'}`} />
+              <span
+                className={`mt-1 hidden md:flex items-center gap-1 text-xs ${
+                  active ? 'text-teal-700 font-medium' : done ? 'text-gray-700' : 'text-gray-400'
+                }`}
+              >
+                {done && <Check size={12} />}
+                {step}
+                {done && <span className="sr-only">{t('wizard.done')}</span>}
+              </span>
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+}
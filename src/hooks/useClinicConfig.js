@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchSchedule, fetchProfessionals, fetchAppointmentTypes, fetchClinic, resolveN8nBaseUrl, setN8nBaseUrl } from '../api/n8n';
+import { DEFAULT_SCHEDULE, normalizeSchedule } from '../utils/schedule';
+import { normalizeProfessionals } from '../utils/professionals';
+import { normalizeAppointmentTypes } from '../utils/appointmentTypes';
+import { DEFAULT_CLINIC, normalizeClinic } from '../utils/clinic';
+import { OBRAS_SOCIALES, normalizeObrasSociales } from '../utils/obrasSociales';
+import { applyTheme } from '../utils/theme';
+
+async function loadClinic(tenantSlug) {
+  try {
+    const data = await fetchClinic(tenantSlug);
+    return { clinic: normalizeClinic(data), obrasSociales: normalizeObrasSociales(data && data.obrasSociales) };
+  } catch (err) {
+    console.error('Error loading clinic:', err);
+    // Sin su clinic.json no se sabe a qué n8n pertenece el consultorio salvo que lo fije REACT_APP_N8N_BASE_URL
+    return tenantSlug ? null : { clinic: DEFAULT_CLINIC, obrasSociales: OBRAS_SOCIALES };
+  }
+}
+
+// Configuración del consultorio que comparten la reserva de pacientes y recepción.
+// tenantSlug sale de la ruta o el subdominio (utils/tenant); sin él se usan los archivos de public/
+export default function useClinicConfig(tenantSlug = null) {
+  const [config, setConfig] = useState(null);
+  const [configError, setConfigError] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setConfigError(false);
+
+    async function load() {
+      const clinicResult = await loadClinic(tenantSlug);
+      // Sin n8n propio no hay a dónde mandar los turnos: mejor no reservar que hacerlo en el de otro consultorio
+      const n8nBaseUrl = clinicResult && resolveN8nBaseUrl(clinicResult.clinic.n8nBaseUrl);
+      if (!n8nBaseUrl) return null;
+      // Los webhooks, y las demás configuraciones si vienen de n8n, son los del consultorio
+      setN8nBaseUrl(n8nBaseUrl);
+
+      const schedule = fetchSchedule(tenantSlug)
+        .then(data => normalizeSchedule(data))
+        .catch(err => {
+          console.error('Error loading schedule:', err);
+          return DEFAULT_SCHEDULE;
+        });
+      const professionals = fetchProfessionals(tenantSlug)
+        .then(data => normalizeProfessionals(data))
+        .catch(err => {
+          console.error('Error loading professionals:', err);
+          return [];
+        });
+      // Sin catálogo de tratamientos no se puede reservar, así que no hay valor por defecto
+      const appointmentTypes = fetchAppointmentTypes(tenantSlug)
+        .then(data => normalizeAppointmentTypes(data))
+        .then(catalog => (catalog.types.length > 0 ? catalog : null))
+        .catch(err => {
+          console.error('Error loading appointment types:', err);
+          return null;
+        });
+      const [scheduleResult, professionalsResult, typesResult] = await Promise.all([schedule, professionals, appointmentTypes]);
+      if (!typesResult) return null;
+      return {
+        schedule: scheduleResult,
+        professionals: professionalsResult,
+        appointmentTypes: typesResult,
+        clinic: clinicResult.clinic,
+        obrasSociales: clinicResult.obrasSociales
+      };
+    }
+
+    load().then(result => {
+      if (cancelled) return;
+      if (!result) {
+        setConfigError(true);
+        return;
+      }
+      applyTheme(result.clinic.theme);
+      setConfig(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [tenantSlug, attempt]);
+
+  const retry = useCallback(() => setAttempt(a => a + 1), []);
+
+  return { config, configError, retry };
+}
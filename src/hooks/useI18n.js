@@ -0,0 +1,7 @@
+import { useContext } from 'react';
+import { I18nContext } from '../i18n/I18nProvider';
+
+// { locale, setLocale, t, tError }: t(clave, parámetros) y tError(error, clave si no hay un mensaje mejor)
+export default function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,28 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+// Ata cada consulta a los datos que la originaron: iniciar una nueva aborta la anterior,
+// y isLatest permite descartar una respuesta que llegó justo antes del abort.
+export default function useLatestRequest() {
+  const controllerRef = useRef(null);
+
+  const start = useCallback(() => {
+    if (controllerRef.current) controllerRef.current.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return controller.signal;
+  }, []);
+
+  const isLatest = useCallback(
+    (signal) => !!controllerRef.current && controllerRef.current.signal === signal && !signal.aborted,
+    []
+  );
+
+  const cancel = useCallback(() => {
+    if (controllerRef.current) controllerRef.current.abort();
+    controllerRef.current = null;
+  }, []);
+
+  useEffect(() => cancel, [cancel]);
+
+  return { start, isLatest, cancel };
+}
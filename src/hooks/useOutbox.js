@@ -0,0 +1,81 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createAppointment, isSlotLostError } from '../api/n8n';
+import { HttpError, isConnectionError } from '../api/errors';
+import {
+  expireOutboxEntries,
+  loadOutbox,
+  outboxPayload,
+  queueAppointment,
+  removeOutboxEntry,
+  resolveOutboxEntry
+} from '../utils/outbox';
+
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+// Reenvía los turnos de la bandeja de salida al abrir la app, cuando vuelve la conexión y cada tanto mientras queden
+// pendientes. Espera a configReady porque se envían al n8n del consultorio.
+// Si dos pestañas reenvían el mismo turno, la clave de idempotencia evita que n8n lo cargue dos veces
+export default function useOutbox(configReady = true) {
+  const [entries, setEntries] = useState(() => loadOutbox());
+  const [sending, setSending] = useState(false);
+  const sendingRef = useRef(false);
+
+  const flush = useCallback(async () => {
+    if (sendingRef.current) return;
+    sendingRef.current = true;
+    setSending(true);
+    try {
+      expireOutboxEntries();
+      for (const entry of loadOutbox().filter(e => e.status === 'pending')) {
+        const payload = outboxPayload(entry);
+        if (!payload) {
+          resolveOutboxEntry(entry.id, { status: 'failed', reason: 'medicalMissing' });
+          continue;
+        }
+        try {
+          const result = await createAppointment(payload);
+          resolveOutboxEntry(entry.id, { status: 'confirmed', confirmation: result });
+        } catch (err) {
+          // Sigue sin conexión: el resto tampoco va a salir
+          if (isConnectionError(err)) break;
+          console.error('Error sending queued appointment:', err);
+          resolveOutboxEntry(entry.id, {
+            status: 'failed',
+            reason: isSlotLostError(err) ? 'slotLost' : '',
+            serverMessage: err instanceof HttpError ? err.serverMessage : ''
+          });
+        }
+      }
+    } finally {
+      sendingRef.current = false;
+      setSending(false);
+      setEntries(loadOutbox());
+    }
+  }, []);
+
+  const hasPending = entries.some(e => e.status === 'pending');
+
+  useEffect(() => {
+    if (!configReady || !hasPending) return undefined;
+    flush();
+    window.addEventListener('online', flush);
+    const id = setInterval(flush, RETRY_INTERVAL_MS);
+    return () => {
+      window.removeEventListener('online', flush);
+      clearInterval(id);
+    };
+  }, [configReady, hasPending, flush]);
+
+  const queue = useCallback((payload, options) => {
+    const entry = queueAppointment(payload, options);
+    setEntries(loadOutbox());
+    return entry;
+  }, []);
+
+  const dismiss = useCallback((id) => {
+    removeOutboxEntry(id);
+    setEntries(loadOutbox());
+  }, []);
+
+  return { entries, sending, queue, flush, dismiss };
+}
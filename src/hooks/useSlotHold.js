@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { holdSlot as requestHold } from '../api/n8n';
+
+export default function useSlotHold({ onExpire }) {
+  const [hold, setHold] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const onExpireRef = useRef(onExpire);
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    onExpireRef.current = onExpire;
+  }, [onExpire]);
+
+  useEffect(() => {
+    if (!hold) {
+      setSecondsLeft(0);
+      return undefined;
+    }
+    const tick = () => {
+      const left = Math.max(0, Math.round((hold.expiresAt - Date.now()) / 1000));
+      setSecondsLeft(left);
+      if (left === 0) {
+        setHold(null);
+        onExpireRef.current(hold);
+      }
+    };
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [hold]);
+
+  const holdSlot = useCallback(async (payload) => {
+    const requestId = ++requestIdRef.current;
+    setHold(null);
+    try {
+      const result = await requestHold({ ...payload, replaceToken: hold?.token || '' });
+      // Si mientras tanto se eligió otro horario, esta reserva ya no corresponde
+      if (requestId !== requestIdRef.current) return null;
+      setHold(result);
+      return result;
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return null;
+      throw err;
+    }
+  }, [hold]);
+
+  const clearHold = useCallback(() => {
+    requestIdRef.current += 1;
+    setHold(null);
+  }, []);
+
+  return { hold, secondsLeft, holdSlot, clearHold };
+}
@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { fetchWaitlistOffer } from '../api/n8n';
+import { HttpError } from '../api/errors';
+import useI18n from './useI18n';
+
+// Enlace ?waitlist=<token> que n8n manda por WhatsApp cuando se libera un turno para alguien de la lista de espera.
+// Espera a configReady porque la oferta se pide al n8n del consultorio
+export default function useWaitlistOffer(configReady = true) {
+  const { t, tError } = useI18n();
+  const [token] = useState(() => new URLSearchParams(window.location.search).get('waitlist'));
+  const [offer, setOffer] = useState(null);
+  // El error se traduce al mostrarlo: si después se cambia de idioma, el mensaje también cambia
+  const [offerFailure, setOfferFailure] = useState(null);
+  const [loadingOffer, setLoadingOffer] = useState(!!token);
+
+  useEffect(() => {
+    if (!token || !configReady) return undefined;
+    let cancelled = false;
+    fetchWaitlistOffer(token)
+      .then(result => {
+        if (!cancelled) setOffer(result);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error loading waitlist offer:', err);
+        setOfferFailure(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingOffer(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token, configReady]);
+
+  let offerError = '';
+  if (offerFailure) {
+    offerError = offerFailure instanceof HttpError && [404, 410].includes(offerFailure.status)
+      ? t('errors.offerGone')
+      : tError(offerFailure, 'errors.loadOffer');
+  }
+
+  return { offer, offerError, loadingOffer };
+}
@@ -0,0 +1,32 @@
+import React, { createContext, useCallback, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_LOCALE, loadLocale, resolveLocale, saveLocale, translate, translateError } from './index';
+
+function createI18n(locale, setLocale) {
+  return {
+    locale,
+    setLocale,
+    t: (key, params) => translate(locale, key, params),
+    tError: (err, fallbackKey) => translateError(locale, err, fallbackKey)
+  };
+}
+
+// Sin provider (recepción) los componentes quedan en es-AR
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE, () => {}));
+
+export default function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(() => loadLocale());
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((next) => {
+    const resolved = resolveLocale(next) || DEFAULT_LOCALE;
+    saveLocale(resolved);
+    setLocaleState(resolved);
+  }, []);
+
+  const value = useMemo(() => createI18n(locale, setLocale), [locale, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
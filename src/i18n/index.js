@@ -0,0 +1,87 @@
+// Catálogos de mensajes del formulario de pacientes; recepción sigue en español
+import { CancelledError, HttpError, NetworkError, TimeoutError, ValidationError } from '../api/errors';
+import esAR from './messages/es-AR';
+import en from './messages/en';
+import ptBR from './messages/pt-BR';
+
+export const DEFAULT_LOCALE = 'es-AR';
+
+// Cada idioma se nombra en su propia lengua en el selector
+export const LOCALES = [
+  { id: 'es-AR', label: 'Español' },
+  { id: 'en', label: 'English' },
+  { id: 'pt-BR', label: 'Português' }
+];
+
+const CATALOGS = { 'es-AR': esAR, en, 'pt-BR': ptBR };
+
+const LOCALE_KEY = 'turnos-booking:locale:v1';
+
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Acepta variantes como "pt", "en-US" o "es": se queda con el catálogo del mismo idioma
+export function resolveLocale(value) {
+  if (!value || typeof value !== 'string') return null;
+  if (CATALOGS[value]) return value;
+  const language = value.toLowerCase().split('-')[0];
+  return LOCALES.find(l => l.id.toLowerCase().split('-')[0] === language)?.id || null;
+}
+
+// ?lang= permite que los enlaces que manda n8n por WhatsApp abran en el idioma de quien reservó
+export function loadLocale(search = window.location.search) {
+  const fromUrl = resolveLocale(new URLSearchParams(search).get('lang'));
+  if (fromUrl) return fromUrl;
+  const storage = getStorage();
+  return (storage && resolveLocale(storage.getItem(LOCALE_KEY))) || DEFAULT_LOCALE;
+}
+
+export function saveLocale(locale) {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.setItem(LOCALE_KEY, locale);
+  } catch (err) {
+    // Sin espacio o en modo privado: el idioma vale solo para esta visita
+  }
+}
+
+// Los mensajes con plural son objetos { one, other } y eligen la forma según count
+function selectPlural(message, locale, count) {
+  const form = new Intl.PluralRules(locale).select(Number(count) || 0);
+  return message[form] ?? message.other;
+}
+
+// Lo que falta en un catálogo sale del de es-AR; si tampoco está, se muestra la clave
+export function translate(locale, key, params = {}) {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const message = key in catalog ? catalog[key] : CATALOGS[DEFAULT_LOCALE][key];
+  if (message === undefined) return key;
+  const template = message && typeof message === 'object' && !Array.isArray(message)
+    ? selectPlural(message, locale, params.count)
+    : message;
+  if (typeof template !== 'string') return template;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Traducción de un dato de configuración (tratamiento, categoría, obra social): { en: {...}, 'pt-BR': {...} }
+export function pickTranslation(translations, locale) {
+  if (!translations || locale === DEFAULT_LOCALE) return {};
+  const match = translations[locale] || translations[locale.split('-')[0]];
+  return match && typeof match === 'object' ? match : {};
+}
+
+// Los errores de la API traen el mensaje en español: se traducen por su clase. El texto que manda n8n se muestra tal cual
+export function translateError(locale, err, fallbackKey) {
+  if (err instanceof TimeoutError) return translate(locale, 'errors.timeout');
+  if (err instanceof NetworkError) return translate(locale, 'errors.network');
+  if (err instanceof ValidationError) return translate(locale, 'errors.invalidResponse');
+  if (err instanceof CancelledError) return translate(locale, 'errors.cancelled');
+  if (err instanceof HttpError && err.serverMessage) return err.serverMessage;
+  return translate(locale, fallbackKey);
+}
@@ -0,0 +1,79 @@
+import { HttpError, NetworkError, TimeoutError } from '../api/errors';
+import { loadLocale, pickTranslation, resolveLocale, saveLocale, translate, translateError } from './index';
+
+describe('translate', () => {
+  test('fills in the parameters of the message', () => {
+    expect(translate('es-AR', 'wizard.progress', { current: 2, total: 4 })).toBe('Paso 2 de 4');
+    expect(translate('en', 'wizard.progress', { current: 2, total: 4 })).toBe('Step 2 of 4');
+    expect(translate('pt-BR', 'wizard.progress', { current: 2, total: 4 })).toBe('Etapa 2 de 4');
+  });
+
+  test('keeps the es-AR voseo wording by default', () => {
+    expect(translate(undefined, 'slots.select')).toBe('Seleccioná un horario para continuar.');
+    expect(translate('es-AR', 'booking.subtitle')).toBe('Completá los datos para reservar tu cita');
+  });
+
+  test('picks the plural form for the count and the locale', () => {
+    expect(translate('es-AR', 'calendar.slotCount', { count: 1 })).toBe('1 horario disponible');
+    expect(translate('es-AR', 'calendar.slotCount', { count: 3 })).toBe('3 horarios disponibles');
+    expect(translate('en', 'types.found', { count: 1 })).toBe('1 treatment found');
+    expect(translate('en', 'types.found', { count: 0 })).toBe('0 treatments found');
+    // En portugués el cero va en singular
+    expect(translate('pt-BR', 'types.found', { count: 0 })).toBe('0 tratamento encontrado');
+  });
+
+  test('falls back to es-AR and then to the key itself', () => {
+    expect(translate('fr', 'booking.title')).toBe('Agendar turno');
+    expect(translate('en', 'does.not.exist')).toBe('does.not.exist');
+  });
+
+  test('leaves unknown placeholders untouched', () => {
+    expect(translate('es-AR', 'booking.shareCode', {})).toBe('Código: {code}.');
+  });
+});
+
+describe('resolveLocale', () => {
+  test('maps language variants to the catalog of the same language', () => {
+    expect(resolveLocale('en-US')).toBe('en');
+    expect(resolveLocale('pt')).toBe('pt-BR');
+    expect(resolveLocale('es')).toBe('es-AR');
+    expect(resolveLocale('de')).toBeNull();
+    expect(resolveLocale(null)).toBeNull();
+  });
+});
+
+describe('loadLocale', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('prefers ?lang=, then the saved choice, then es-AR', () => {
+    expect(loadLocale('')).toBe('es-AR');
+    saveLocale('en');
+    expect(loadLocale('')).toBe('en');
+    expect(loadLocale('?waitlist=offer-1&lang=pt')).toBe('pt-BR');
+  });
+});
+
+describe('pickTranslation', () => {
+  test('returns the entry for the locale or its language', () => {
+    const translations = { en: { name: 'Check-up' }, pt: { name: 'Consulta' } };
+    expect(pickTranslation(translations, 'en')).toEqual({ name: 'Check-up' });
+    expect(pickTranslation(translations, 'pt-BR')).toEqual({ name: 'Consulta' });
+    expect(pickTranslation(translations, 'es-AR')).toEqual({});
+    expect(pickTranslation(undefined, 'en')).toEqual({});
+  });
+});
+
+describe('translateError', () => {
+  test('translates API errors by class and shows the n8n message as is', () => {
+    expect(translateError('en', new TimeoutError(), 'errors.createAppointment')).toBe(
+      'The server took too long to respond. Please try again.'
+    );
+    expect(translateError('pt-BR', new NetworkError(), 'errors.createAppointment')).toMatch(/^Não foi possível conectar/);
+    expect(translateError('en', new HttpError('Error al crear el turno', { status: 500 }), 'errors.createAppointment')).toBe(
+      'We could not book the appointment. Please try again.'
+    );
+    expect(
+      translateError('en', new HttpError('Sin lugar', { status: 500, serverMessage: 'Sin lugar' }), 'errors.createAppointment')
+    ).toBe('Sin lugar');
+  });
+});
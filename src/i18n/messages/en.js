@@ -0,0 +1,284 @@
+const messages = {
+  'common.time': '{time}',
+  'common.minutes': '{count} min',
+  'common.newTab': ' (opens in a new tab)',
+
+  'language.label': 'Language',
+
+  'config.loadError': 'We could not load the available treatments.',
+  'config.retry': 'Try again',
+  'config.loading': 'Loading schedule...',
+
+  'errors.timeout': 'The server took too long to respond. Please try again.',
+  'errors.network': 'We could not connect. Check your connection and try again.',
+  'errors.invalidResponse': 'We received an invalid response from the server.',
+  'errors.cancelled': 'Request cancelled',
+  'errors.checkPatient': 'We could not look up the patient. Please try again.',
+  'errors.createAppointment': 'We could not book the appointment. Please try again.',
+  'errors.listAppointments': 'We could not load your appointments. Please try again.',
+  'errors.cancelAppointment': 'We could not cancel the appointment. Please try again.',
+  'errors.rescheduleAppointment': 'We could not reschedule the appointment. Please try again.',
+  'errors.joinWaitlist': 'We could not add you to the waiting list. Please try again.',
+  'errors.loadOffer': 'We could not load the offered appointment.',
+  'errors.offerGone':
+    'The appointment we offered you is no longer available or the time to confirm it has passed. You can choose another time.',
+
+  'validation.dniRequired': 'Enter your DNI (national ID number).',
+  'validation.dniLength': 'The DNI must have 7 or 8 digits.',
+  'validation.dniLeadingZero': 'Check the DNI: it cannot start with 0.',
+  'validation.phoneRequired': 'Enter a contact phone number.',
+  'validation.phoneNotArgentine': 'Enter an Argentine number to get the WhatsApp reminder.',
+  'validation.phoneFormat': 'Enter the number with its area code, e.g. {example}.',
+  'validation.affiliateRequired': '{obraSocial} requires your member number.',
+  'validation.affiliateFormat': 'The member number does not match the {obraSocial} format.',
+  'validation.affiliateFormatExample': 'The member number does not match the {obraSocial} format (e.g. {example}).',
+  'validation.dependentDniRequired': 'Enter the ID number of the person being seen.',
+  'validation.dependentSameDni': 'That is your ID number: choose "For me" or enter your family member\'s.',
+  'validation.birthDateRequired': 'Enter the date of birth.',
+  'validation.birthDateInvalid': 'Please check the date of birth.',
+  'validation.birthDateFuture': 'The date of birth cannot be later than today.',
+
+  'schedule.closed': 'Clinic closed',
+  'schedule.holiday': 'Public holiday',
+  'schedule.unavailable': 'No appointments',
+
+  'dates.localTimeOtherDay': '{time} on {day}',
+  'dates.weekdays': ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+
+  'cost.covered': 'No charge with your health insurance',
+  'cost.copay': 'Co-payment {amount}',
+
+  'professionals.any': 'Any available professional',
+
+  'wizard.label': 'Booking progress',
+  'wizard.progress': 'Step {current} of {total}',
+  'wizard.done': ' (completed)',
+
+  'types.label': 'Appointment type',
+  'types.searchPlaceholder': 'Search for a treatment',
+  'types.searchLabel': 'Search appointment type',
+  'types.found': { one: '{count} treatment found', other: '{count} treatments found' },
+  'types.noResults': 'No treatments match "{query}".',
+  'types.childrenOnly': 'Children only',
+  'types.requiresConsulta': 'If this is your first visit, book a check-up first.',
+  'types.childrenOnlyForDependent': 'This treatment is for children: book it by choosing "For a dependent" in the first step.',
+  'types.childrenOnlyMaxAge': 'Only for patients up to {age} years old.',
+
+  'prep.title': 'How to prepare for your appointment',
+
+  'obraSocial.placeholder': 'Search for your health insurance',
+  'obraSocial.noResults': 'We could not find that health insurance. Choose "Private" if it is not listed.',
+
+  'calendar.label': 'Date',
+  'calendar.previousMonth': 'Previous month',
+  'calendar.nextMonth': 'Next month',
+  'calendar.loading': 'Checking availability',
+  'calendar.weekdays': ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'],
+  'calendar.status.available': 'available',
+  'calendar.status.few': 'few times left',
+  'calendar.status.full': 'fully booked',
+  'calendar.status.closed': 'closed',
+  'calendar.slotCount': { one: '{count} time available', other: '{count} times available' },
+  'calendar.legend.available': 'Available',
+  'calendar.legend.few': 'Few times left',
+  'calendar.legend.full': 'Fully booked',
+  'calendar.legend.blocked': 'Holiday or closed',
+  'calendar.selected': 'Selected date',
+
+  'slots.label': 'Available time',
+  'slots.localNote': 'Times are shown in the clinic\'s time zone. Under each one you can see the time where you are.',
+  'slots.loading': 'Loading available times...',
+  'slots.localTime': '{time} your time',
+  'slots.empty': 'There are no available times for this date and appointment type.',
+  'slots.select': 'Choose a time to continue.',
+
+  'share.addToCalendar': 'Add to calendar',
+  'share.whatsapp': 'Share on WhatsApp',
+
+  'waitlist.title': 'Waiting list for {type}',
+  'waitlist.joined':
+    'You are on the waiting list for {type}. If a suitable appointment opens up, we will message you on WhatsApp at {phone} with a link to confirm it.',
+  'waitlist.from': 'From',
+  'waitlist.to': 'To',
+  'waitlist.days': 'Days you can come',
+  'waitlist.times': 'Times',
+  'waitlist.range': '{label} ({from} to {to})',
+  'waitlist.ranges.manana': 'Morning',
+  'waitlist.ranges.tarde': 'Afternoon',
+  'waitlist.cancel': 'Cancel',
+  'waitlist.join': 'Join the waiting list',
+  'waitlist.errors.range': 'Tell us the dates you can come between.',
+  'waitlist.errors.order': 'The "to" date must be after the "from" date.',
+  'waitlist.errors.days': 'Choose at least one day of the week.',
+  'waitlist.errors.ranges': 'Choose at least one time of day.',
+
+  'summary.patient': 'Patient',
+  'summary.dni': 'DNI',
+  'summary.whatsapp': 'WhatsApp',
+  'summary.obraSocial': 'Health insurance',
+  'summary.affiliate': 'Member number',
+  'summary.allergies': 'Allergies',
+  'summary.history': 'Medical history',
+  'summary.type': 'Type',
+  'summary.duration': 'Duration',
+  'summary.cost': 'Cost',
+  'summary.professional': 'Professional',
+  'summary.date': 'Date',
+  'summary.time': 'Time',
+  'summary.address': 'Address',
+  'summary.birthDate': 'Date of birth',
+  'summary.guardian': 'Responsible adult',
+  'summary.guardianValue': '{name} (ID {dni})',
+  'summary.medication': 'Medication',
+  'summary.anticoagulants': 'Anticoagulants',
+  'summary.pregnancy': 'Pregnancy',
+  'summary.notes': 'Notes',
+  'summary.consent': 'Consent',
+  'summary.consentValue': 'Given on {date} (version {version})',
+
+  'booking.steps.identification': 'Identification',
+  'booking.steps.patient': 'Your details',
+  'booking.steps.appointment': 'Treatment and date',
+  'booking.steps.review': 'Review',
+  'booking.title': 'Book an appointment',
+  'booking.subtitle': 'Fill in your details to book your appointment',
+  'booking.staffTitle': 'Front desk booking',
+  'booking.staffSubtitle': 'Extra or walk-in appointment: the minimum notice does not apply',
+  'booking.slotExpired': 'Your temporary hold on the {time} slot expired and we refreshed the available times.',
+  'booking.slotTaken': 'The {time} slot was just booked by another patient.',
+  'booking.timeWithLocal': '{time} ({local} in your time zone)',
+  'booking.confirmedTitle': 'Appointment confirmed!',
+  'booking.confirmedText': 'Your appointment has been booked. You will get a WhatsApp reminder the day before.',
+  'booking.confirmationCode': 'Confirmation code',
+  'booking.eventProfessional': 'Professional: {name}',
+  'booking.eventCode': 'Confirmation code: {code}',
+  'booking.shareText': 'I have a {type} appointment at {clinic} on {date} at {time}.',
+  'booking.shareAddress': 'Address: {address}.',
+  'booking.shareCode': 'Code: {code}.',
+  'booking.bookAnother': 'Book another appointment',
+  'booking.draftRestored': 'We restored the details you entered last time.',
+  'booking.startOver': 'Start over',
+  'booking.offer': 'An appointment from the waiting list opened up for you: {date} at {time}.',
+  'booking.offerDeadline': 'Confirm it before {time}; after that it is offered to the next person.',
+  'booking.dni': 'DNI',
+  'booking.dniPlaceholder': 'E.g. 12345678',
+  'booking.searchingPatient': 'Looking up patient',
+  'booking.patientFound': 'Patient found. Your details were filled in automatically.',
+  'booking.myAppointments': 'View, reschedule or cancel my appointments',
+  'booking.patientNotFound': 'Patient not found. You can continue as a new patient.',
+  'booking.forWhom': 'Who is the appointment for?',
+  'booking.forSelf': 'For me',
+  'booking.forDependent': 'For a dependent',
+  'booking.forDependentHint': 'Enter your own ID number: you will be listed as the responsible adult and reminders go to your phone.',
+  'booking.guardianTitle': 'Your details as the responsible adult',
+  'booking.name': 'Full name',
+  'booking.namePlaceholder': 'Jane Smith',
+  'booking.phone': 'Phone',
+  'booking.phonePlaceholder': 'E.g. 0381 15 1234567',
+  'booking.whatsappHint': 'We will message you on WhatsApp at {phone}',
+  'booking.obraSocial': 'Health insurance',
+  'booking.affiliate': 'Member number',
+  'booking.saveMedical':
+    'Also save your health answers on this device if you leave before finishing. If you leave this unchecked, only your contact details and chosen appointment are saved.',
+  'booking.professional': 'Professional',
+  'booking.professionalPlaceholder': 'Choose who you would like to see',
+  'booking.notCovered': '{obraSocial} does not cover {type}. You can still book it and pay as a private patient.',
+  'booking.notCoveredReview': '{obraSocial} does not cover this treatment: it is paid as a private patient.',
+  'booking.nearestSlots': 'Closest times:',
+  'booking.noSlotsLeft': 'There are no times left on this date. Try another day.',
+  'booking.waitlistNoSlots': 'If no other day works for you, we will let you know when an appointment opens up.',
+  'booking.waitlistPrompt': 'Can\'t find a time that works for you?',
+  'booking.hold': 'We are holding {time} for you for {countdown}. Confirm the appointment before it runs out.',
+  'booking.previous': 'Back',
+  'booking.next': 'Next',
+  'booking.creating': 'Booking appointment...',
+  'booking.confirm': 'Confirm appointment',
+
+  'dependents.label': 'Who is being seen?',
+  'dependents.new': 'Someone else',
+  'dependents.confirmIdentity': 'Enter the ID number and date of birth of {name}: the clinic checks them against its records.',
+  'dependents.dni': 'ID number of the person being seen',
+  'dependents.name': 'Full name of the person being seen',
+  'dependents.birthDate': 'Date of birth',
+
+  'medical.title': 'Health',
+  'medical.intro': 'Only the clinic team reads these answers before the visit.',
+  'medical.previous': 'You already answered this questionnaire at an earlier visit. To protect your data we do not show it here: answer it again and it will replace the previous one.',
+  'medical.allergies': 'Allergies',
+  'medical.allergy.penicilina': 'Penicillin',
+  'medical.allergy.latex': 'Latex',
+  'medical.allergy.anestesicos': 'Local anesthetics',
+  'medical.noAllergies': 'No known allergies',
+  'medical.otherAllergies': 'Other allergies',
+  'medical.conditions': 'Illnesses or conditions',
+  'medical.condition.diabetes': 'Diabetes',
+  'medical.condition.hipertension': 'High blood pressure',
+  'medical.condition.cardiopatia': 'Heart disease',
+  'medical.condition.coagulacion': 'Bleeding disorders',
+  'medical.condition.asma': 'Asthma',
+  'medical.condition.epilepsia': 'Epilepsy',
+  'medical.condition.hepatitis': 'Hepatitis',
+  'medical.noConditions': 'No illnesses or conditions',
+  'medical.otherConditions': 'Other illnesses, surgeries or treatments',
+  'medical.medication': 'Current medication',
+  'medical.medicationPlaceholder': 'Name and dose of each medicine',
+  'medical.noMedication': 'Takes no medication',
+  'medical.anticoagulants': 'Takes anticoagulants or daily aspirin?',
+  'medical.anticoagulantsHint': 'Acenocoumarol, warfarin, clopidogrel, rivaroxaban, aspirin…',
+  'medical.pregnancy': 'Currently pregnant?',
+  'medical.answer.si': 'Yes',
+  'medical.answer.no': 'No',
+  'medical.answer.noAplica': 'Not applicable',
+  'medical.notes': 'Anything else the dentist should know',
+  'medical.incomplete':
+    'Please answer every question. If there is nothing to report, check the matching option (for example, "No known allergies").',
+
+  'consent.text':
+    'I agree that {clinic} may record and use the health data in this form solely for dental care, in accordance with Argentine Personal Data Protection Law 25.326. I can request access to, correction or deletion of the data at any time.',
+  'consent.staffText':
+    'The patient or their guardian agreed that {clinic} may record and use this health data solely for dental care, in accordance with Argentine Personal Data Protection Law 25.326.',
+  'consent.required': 'We cannot book the appointment without this consent.',
+
+  'outbox.pendingTitle': 'Your appointment is not confirmed yet',
+  'outbox.pendingText':
+    'We could not send it because of a connection problem. It is saved on this device and we will resend it as soon as the connection is back, while this page is open or the next time you open it.',
+  'outbox.pendingWarning': 'Until you see the confirmation the time slot is not reserved and someone else could take it.',
+  'outbox.retry': 'Retry now',
+  'outbox.sending': 'Sending...',
+  'outbox.pending': 'Appointment waiting to be sent: {type}, {date} at {time}. It is not confirmed yet.',
+  'outbox.confirmed': "{name}'s appointment was confirmed: {type}, {date} at {time}.",
+  'outbox.code': 'Code {code}',
+  'outbox.failed': "We could not book {name}'s appointment ({type}, {date} at {time}). {reason}",
+  'outbox.reason.slotLost': 'The time slot was no longer available: please book another one.',
+  'outbox.reason.expired': 'The time slot passed before the connection came back: please book another one.',
+  'outbox.reason.medicalMissing':
+    'Your health answers were not saved on this device and we cannot send it without them: please book again.',
+  'outbox.dismiss': 'Dismiss notice',
+
+  'myAppointments.title': 'My appointments',
+  'myAppointments.subtitle': 'View, reschedule or cancel your appointments',
+  'myAppointments.rescheduledTitle': 'Appointment rescheduled!',
+  'myAppointments.cancelledTitle': 'Appointment cancelled!',
+  'myAppointments.rescheduledText': 'Your appointment has been rescheduled. You will get a WhatsApp reminder the day before.',
+  'myAppointments.cancelledText': 'Your appointment has been cancelled. The time is now free for another patient.',
+  'myAppointments.backToList': 'Back to my appointments',
+  'myAppointments.backToBooking': 'Back to booking',
+  'myAppointments.loading': 'Looking up your appointments...',
+  'myAppointments.empty': 'You have no upcoming appointments.',
+  'myAppointments.reschedule': 'Reschedule',
+  'myAppointments.cancel': 'Cancel',
+  'myAppointments.confirmCancelTitle': 'Cancel this appointment?',
+  'myAppointments.confirmCancelText': 'If you cancel it, the time will be free for another patient.',
+  'myAppointments.cancelling': 'Cancelling appointment...',
+  'myAppointments.confirmCancel': 'Yes, cancel appointment',
+  'myAppointments.rescheduleTitle': 'Reschedule appointment',
+  'myAppointments.continue': 'Continue',
+  'myAppointments.confirmRescheduleTitle': 'Confirm the change?',
+  'myAppointments.current': 'Current appointment',
+  'myAppointments.new': 'New appointment',
+  'myAppointments.pickAnother': 'Choose another time',
+  'myAppointments.rescheduling': 'Rescheduling...',
+  'myAppointments.confirmReschedule': 'Confirm change'
+};
+
+export default messages;
@@ -0,0 +1,286 @@
+// Catálogo de referencia: las claves que falten en otros idiomas se muestran con este texto
+const messages = {
+  'common.time': '{time} hs',
+  'common.minutes': '{count} min',
+  'common.newTab': ' (se abre en una pestaña nueva)',
+
+  'language.label': 'Idioma',
+
+  'config.loadError': 'No pudimos cargar los tratamientos disponibles.',
+  'config.retry': 'Reintentar',
+  'config.loading': 'Cargando agenda...',
+
+  'errors.timeout': 'El servidor tardó demasiado en responder. Intentá nuevamente.',
+  'errors.network': 'No pudimos conectarnos. Revisá tu conexión e intentá nuevamente.',
+  'errors.invalidResponse': 'Recibimos una respuesta inválida del servidor.',
+  'errors.cancelled': 'Solicitud cancelada',
+  'errors.checkPatient': 'Error al verificar el paciente. Intenta nuevamente.',
+  'errors.createAppointment': 'Error al crear el turno. Intenta nuevamente.',
+  'errors.listAppointments': 'Error al consultar tus turnos. Intenta nuevamente.',
+  'errors.cancelAppointment': 'Error al cancelar el turno. Intenta nuevamente.',
+  'errors.rescheduleAppointment': 'Error al reprogramar el turno. Intenta nuevamente.',
+  'errors.joinWaitlist': 'No pudimos anotarte en la lista de espera. Intenta nuevamente.',
+  'errors.loadOffer': 'No pudimos consultar el turno ofrecido.',
+  'errors.offerGone':
+    'El turno que te ofrecimos ya no está disponible o venció el plazo para confirmarlo. Podés elegir otro horario.',
+
+  'validation.dniRequired': 'Ingresá tu DNI.',
+  'validation.dniLength': 'El DNI debe tener 7 u 8 dígitos.',
+  'validation.dniLeadingZero': 'Revisá el DNI: no puede empezar con 0.',
+  'validation.phoneRequired': 'Ingresá un teléfono de contacto.',
+  'validation.phoneNotArgentine': 'Ingresá un número de Argentina para recibir el recordatorio por WhatsApp.',
+  'validation.phoneFormat': 'Ingresá el número con código de área, p. ej. {example}.',
+  'validation.affiliateRequired': '{obraSocial} requiere el número de afiliado.',
+  'validation.affiliateFormat': 'El número de afiliado no tiene el formato de {obraSocial}.',
+  'validation.affiliateFormatExample': 'El número de afiliado no tiene el formato de {obraSocial} (ej: {example}).',
+  'validation.dependentDniRequired': 'Ingresá el DNI de quien se atiende.',
+  'validation.dependentSameDni': 'Es tu DNI: elegí "Para mí" o ingresá el de tu familiar.',
+  'validation.birthDateRequired': 'Ingresá la fecha de nacimiento.',
+  'validation.birthDateInvalid': 'Revisá la fecha de nacimiento.',
+  'validation.birthDateFuture': 'La fecha de nacimiento no puede ser posterior a hoy.',
+
+  'schedule.closed': 'Consultorio cerrado',
+  'schedule.holiday': 'Feriado',
+  'schedule.unavailable': 'Sin atención',
+
+  'dates.localTimeOtherDay': '{time} del {day}',
+  'dates.weekdays': ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'],
+
+  'cost.covered': 'Sin cargo con tu obra social',
+  'cost.copay': 'Coseguro {amount}',
+
+  'professionals.any': 'Cualquier profesional disponible',
+
+  'wizard.label': 'Progreso de la reserva',
+  'wizard.progress': 'Paso {current} de {total}',
+  'wizard.done': ' (completado)',
+
+  'types.label': 'Tipo de turno',
+  'types.searchPlaceholder': 'Buscá un tratamiento',
+  'types.searchLabel': 'Buscar tipo de turno',
+  'types.found': { one: '{count} tratamiento encontrado', other: '{count} tratamientos encontrados' },
+  'types.noResults': 'No encontramos tratamientos con "{query}".',
+  'types.childrenOnly': 'Solo niños',
+  'types.requiresConsulta': 'Si es tu primera visita, reservá primero una consulta.',
+  'types.childrenOnlyForDependent': 'Es un tratamiento para niños: reservalo eligiendo "Para un familiar a cargo" en el primer paso.',
+  'types.childrenOnlyMaxAge': 'Solo para pacientes de hasta {age} años.',
+
+  'prep.title': 'Cómo prepararte para el turno',
+
+  'obraSocial.placeholder': 'Buscá tu obra social',
+  'obraSocial.noResults': 'No encontramos esa obra social. Elegí "Particular" si no figura.',
+
+  'calendar.label': 'Fecha',
+  'calendar.previousMonth': 'Mes anterior',
+  'calendar.nextMonth': 'Mes siguiente',
+  'calendar.loading': 'Consultando disponibilidad',
+  'calendar.weekdays': ['Lu', 'Ma', 'Mi', 'Ju', 'Vi', 'Sá', 'Do'],
+  'calendar.status.available': 'disponible',
+  'calendar.status.few': 'pocos horarios',
+  'calendar.status.full': 'sin horarios',
+  'calendar.status.closed': 'sin atención',
+  'calendar.slotCount': { one: '{count} horario disponible', other: '{count} horarios disponibles' },
+  'calendar.legend.available': 'Disponible',
+  'calendar.legend.few': 'Pocos horarios',
+  'calendar.legend.full': 'Completo',
+  'calendar.legend.blocked': 'Feriado o cerrado',
+  'calendar.selected': 'Fecha seleccionada',
+
+  'slots.label': 'Horario disponible',
+  'slots.localNote': 'Los horarios son los del consultorio. Debajo de cada uno ves a qué hora es donde estás.',
+  'slots.loading': 'Cargando horarios disponibles...',
+  'slots.localTime': '{time} tu hora',
+  'slots.empty': 'No hay horarios disponibles para esta fecha y tipo de turno.',
+  'slots.select': 'Seleccioná un horario para continuar.',
+
+  'share.addToCalendar': 'Agregar al calendario',
+  'share.whatsapp': 'Compartir por WhatsApp',
+
+  'waitlist.title': 'Lista de espera para {type}',
+  'waitlist.joined':
+    'Te anotamos en la lista de espera para {type}. Si se libera un turno que te sirva, te avisamos por WhatsApp al {phone} con un enlace para confirmarlo.',
+  'waitlist.from': 'Desde',
+  'waitlist.to': 'Hasta',
+  'waitlist.days': 'Días que podés venir',
+  'waitlist.times': 'Horarios',
+  'waitlist.range': '{label} ({from} a {to} hs)',
+  'waitlist.ranges.manana': 'Mañana',
+  'waitlist.ranges.tarde': 'Tarde',
+  'waitlist.cancel': 'Cancelar',
+  'waitlist.join': 'Anotarme en lista de espera',
+  'waitlist.errors.range': 'Indicá desde y hasta qué fecha podés venir.',
+  'waitlist.errors.order': 'La fecha "hasta" tiene que ser posterior a la fecha "desde".',
+  'waitlist.errors.days': 'Elegí al menos un día de la semana.',
+  'waitlist.errors.ranges': 'Elegí al menos una franja horaria.',
+
+  'summary.patient': 'Paciente',
+  'summary.dni': 'DNI',
+  'summary.whatsapp': 'WhatsApp',
+  'summary.obraSocial': 'Obra social',
+  'summary.affiliate': 'N° de afiliado',
+  'summary.allergies': 'Alergias',
+  'summary.history': 'Antecedentes',
+  'summary.type': 'Tipo',
+  'summary.duration': 'Duración',
+  'summary.cost': 'Costo',
+  'summary.professional': 'Profesional',
+  'summary.date': 'Fecha',
+  'summary.time': 'Hora',
+  'summary.address': 'Dirección',
+  'summary.birthDate': 'Fecha de nacimiento',
+  'summary.guardian': 'Responsable',
+  'summary.guardianValue': '{name} (DNI {dni})',
+  'summary.medication': 'Medicación',
+  'summary.anticoagulants': 'Anticoagulantes',
+  'summary.pregnancy': 'Embarazo',
+  'summary.notes': 'Observaciones',
+  'summary.consent': 'Consentimiento',
+  'summary.consentValue': 'Aceptado el {date} (versión {version})',
+
+  'booking.steps.identification': 'Identificación',
+  'booking.steps.patient': 'Tus datos',
+  'booking.steps.appointment': 'Tratamiento y fecha',
+  'booking.steps.review': 'Revisión',
+  'booking.title': 'Agendar turno',
+  'booking.subtitle': 'Completá los datos para reservar tu cita',
+  'booking.staffTitle': 'Turno en recepción',
+  'booking.staffSubtitle': 'Sobreturno o paciente sin turno: no se aplica la anticipación mínima',
+  'booking.slotExpired': 'La reserva temporal de las {time} hs venció y actualizamos los horarios disponibles.',
+  'booking.slotTaken': 'El horario de las {time} hs acaba de ser reservado por otro paciente.',
+  'booking.timeWithLocal': '{time} hs ({local} en tu zona horaria)',
+  'booking.confirmedTitle': '¡Turno confirmado!',
+  'booking.confirmedText': 'Tu turno ha sido agendado exitosamente. Recibirás un recordatorio por WhatsApp un día antes.',
+  'booking.confirmationCode': 'Código de confirmación',
+  'booking.eventProfessional': 'Profesional: {name}',
+  'booking.eventCode': 'Código de confirmación: {code}',
+  'booking.shareText': 'Tengo turno de {type} en {clinic} el {date} a las {time} hs.',
+  'booking.shareAddress': 'Dirección: {address}.',
+  'booking.shareCode': 'Código: {code}.',
+  'booking.bookAnother': 'Agendar otro turno',
+  'booking.draftRestored': 'Recuperamos los datos que habías cargado la última vez.',
+  'booking.startOver': 'Empezar de nuevo',
+  'booking.offer': 'Se liberó un turno de la lista de espera para vos: {date} a las {time} hs.',
+  'booking.offerDeadline': 'Confirmalo antes de las {time} hs; después se le ofrece a la siguiente persona.',
+  'booking.dni': 'DNI',
+  'booking.dniPlaceholder': 'Ej: 12345678',
+  'booking.searchingPatient': 'Buscando paciente',
+  'booking.patientFound': 'Paciente encontrado. Datos completados automáticamente.',
+  'booking.myAppointments': 'Ver, reprogramar o cancelar mis turnos',
+  'booking.patientNotFound': 'Paciente no encontrado. Podés continuar como paciente nuevo.',
+  'booking.forWhom': '¿Para quién es el turno?',
+  'booking.forSelf': 'Para mí',
+  'booking.forDependent': 'Para un familiar a cargo',
+  'booking.forDependentHint': 'Ingresá tu DNI: vas a figurar como responsable y los recordatorios llegan a tu teléfono.',
+  'booking.guardianTitle': 'Tus datos como responsable',
+  'booking.name': 'Nombre completo',
+  'booking.namePlaceholder': 'Juan Pérez',
+  'booking.phone': 'Teléfono',
+  'booking.phonePlaceholder': 'Ej: 0381 15 1234567',
+  'booking.whatsappHint': 'Te vamos a escribir por WhatsApp al {phone}',
+  'booking.obraSocial': 'Obra social',
+  'booking.affiliate': 'N° de afiliado',
+  'booking.saveMedical':
+    'Guardar también las respuestas de salud en este dispositivo si salís antes de terminar. Si no lo marcás, solo se guardan tus datos de contacto y el turno elegido.',
+  'booking.professional': 'Profesional',
+  'booking.professionalPlaceholder': 'Seleccioná con quién querés atenderte',
+  'booking.notCovered': '{obraSocial} no cubre {type}. Podés reservar igual y abonarlo de forma particular.',
+  'booking.notCoveredReview': '{obraSocial} no cubre este tratamiento: se abona de forma particular.',
+  'booking.nearestSlots': 'Horarios más cercanos:',
+  'booking.noSlotsLeft': 'No quedan horarios para esta fecha. Probá con otro día.',
+  'booking.waitlistNoSlots': 'Si no te sirve otro día, te avisamos cuando se libere un turno.',
+  'booking.waitlistPrompt': '¿No encontrás un horario que te sirva?',
+  'booking.hold': 'Reservamos las {time} hs para vos durante {countdown}. Confirmá el turno antes de que venza.',
+  'booking.previous': 'Anterior',
+  'booking.next': 'Siguiente',
+  'booking.creating': 'Creando turno...',
+  'booking.confirm': 'Confirmar turno',
+
+  'dependents.label': '¿Quién se atiende?',
+  'dependents.new': 'Otra persona',
+  'dependents.confirmIdentity': 'Ingresá el DNI y la fecha de nacimiento de {name}: el consultorio los compara con los que tiene registrados.',
+  'dependents.dni': 'DNI de quien se atiende',
+  'dependents.name': 'Nombre completo de quien se atiende',
+  'dependents.birthDate': 'Fecha de nacimiento',
+
+  'medical.title': 'Salud',
+  'medical.intro': 'Las respuestas las lee solo el equipo del consultorio antes de la atención.',
+  'medical.previous': 'Ya respondiste este cuestionario en una visita anterior. Para cuidar tus datos no lo mostramos acá: respondelo de nuevo y reemplaza al anterior.',
+  'medical.allergies': 'Alergias',
+  'medical.allergy.penicilina': 'Penicilina',
+  'medical.allergy.latex': 'Látex',
+  'medical.allergy.anestesicos': 'Anestésicos locales',
+  'medical.noAllergies': 'Sin alergias conocidas',
+  'medical.otherAllergies': 'Otras alergias',
+  'medical.conditions': 'Enfermedades o condiciones',
+  'medical.condition.diabetes': 'Diabetes',
+  'medical.condition.hipertension': 'Hipertensión',
+  'medical.condition.cardiopatia': 'Enfermedad cardíaca',
+  'medical.condition.coagulacion': 'Problemas de coagulación',
+  'medical.condition.asma': 'Asma',
+  'medical.condition.epilepsia': 'Epilepsia',
+  'medical.condition.hepatitis': 'Hepatitis',
+  'medical.noConditions': 'Ninguna enfermedad ni condición',
+  'medical.otherConditions': 'Otras enfermedades, cirugías o tratamientos',
+  'medical.medication': 'Medicación actual',
+  'medical.medicationPlaceholder': 'Nombre y dosis de cada medicamento',
+  'medical.noMedication': 'No toma medicación',
+  'medical.anticoagulants': '¿Toma anticoagulantes o aspirina todos los días?',
+  'medical.anticoagulantsHint': 'Acenocumarol, warfarina, clopidogrel, rivaroxabán, aspirina…',
+  'medical.pregnancy': '¿Hay un embarazo en curso?',
+  'medical.answer.si': 'Sí',
+  'medical.answer.no': 'No',
+  'medical.answer.noAplica': 'No corresponde',
+  'medical.notes': 'Algo más que el odontólogo deba saber',
+  'medical.incomplete':
+    'Respondé todas las preguntas. Si no hay nada que indicar, marcalo con la opción correspondiente (por ejemplo, "Sin alergias conocidas").',
+
+  'consent.text':
+    'Acepto que {clinic} registre y use los datos de salud de este formulario solo para la atención odontológica, conforme a la Ley 25.326 de Protección de Datos Personales. Puedo pedir acceso, corrección o supresión de los datos en cualquier momento.',
+  'consent.staffText':
+    'El paciente o su responsable aceptó que {clinic} registre y use estos datos de salud solo para la atención odontológica, conforme a la Ley 25.326 de Protección de Datos Personales.',
+  'consent.required': 'Sin este consentimiento no podemos registrar el turno.',
+
+  'outbox.pendingTitle': 'Tu turno todavía no está confirmado',
+  'outbox.pendingText':
+    'No pudimos enviarlo por un problema de conexión. Quedó guardado en este dispositivo y lo reenviamos solos apenas vuelva la conexión, mientras esta página esté abierta o la próxima vez que la abras.',
+  'outbox.pendingWarning': 'Hasta que veas la confirmación el horario no está reservado y otra persona podría tomarlo.',
+  'outbox.retry': 'Reintentar ahora',
+  'outbox.sending': 'Enviando...',
+  'outbox.pending': 'Turno pendiente de envío: {type}, {date} a las {time}. Todavía no está confirmado.',
+  'outbox.confirmed': 'Se confirmó el turno de {name}: {type}, {date} a las {time}.',
+  'outbox.code': 'Código {code}',
+  'outbox.failed': 'No pudimos registrar el turno de {name} ({type}, {date} a las {time}). {reason}',
+  'outbox.reason.slotLost': 'El horario ya no estaba disponible: reservá otro.',
+  'outbox.reason.expired': 'El horario pasó sin que vuelva la conexión: reservá otro.',
+  'outbox.reason.medicalMissing':
+    'Tus respuestas de salud no quedaron guardadas en este dispositivo y sin ellas no podemos enviarlo: volvé a reservar el turno.',
+  'outbox.dismiss': 'Cerrar aviso',
+
+  'myAppointments.title': 'Mis turnos',
+  'myAppointments.subtitle': 'Consultá, reprogramá o cancelá tus turnos',
+  'myAppointments.rescheduledTitle': '¡Turno reprogramado!',
+  'myAppointments.cancelledTitle': '¡Turno cancelado!',
+  'myAppointments.rescheduledText':
+    'Tu turno ha sido reprogramado exitosamente. Recibirás un recordatorio por WhatsApp un día antes.',
+  'myAppointments.cancelledText': 'Tu turno ha sido cancelado exitosamente. El horario quedó libre para otro paciente.',
+  'myAppointments.backToList': 'Volver a mis turnos',
+  'myAppointments.backToBooking': 'Volver a agendar turno',
+  'myAppointments.loading': 'Buscando tus turnos...',
+  'myAppointments.empty': 'No tenés turnos próximos agendados.',
+  'myAppointments.reschedule': 'Reprogramar',
+  'myAppointments.cancel': 'Cancelar',
+  'myAppointments.confirmCancelTitle': '¿Cancelar este turno?',
+  'myAppointments.confirmCancelText': 'Si lo cancelás, el horario quedará libre para otro paciente.',
+  'myAppointments.cancelling': 'Cancelando turno...',
+  'myAppointments.confirmCancel': 'Sí, cancelar turno',
+  'myAppointments.rescheduleTitle': 'Reprogramar turno',
+  'myAppointments.continue': 'Continuar',
+  'myAppointments.confirmRescheduleTitle': '¿Confirmás el cambio?',
+  'myAppointments.current': 'Turno actual',
+  'myAppointments.new': 'Nuevo turno',
+  'myAppointments.pickAnother': 'Elegir otro horario',
+  'myAppointments.rescheduling': 'Reprogramando...',
+  'myAppointments.confirmReschedule': 'Confirmar cambio'
+};
+
+export default messages;
@@ -0,0 +1,285 @@
+const messages = {
+  'common.time': '{time}',
+  'common.minutes': '{count} min',
+  'common.newTab': ' (abre em uma nova aba)',
+
+  'language.label': 'Idioma',
+
+  'config.loadError': 'Não foi possível carregar os tratamentos disponíveis.',
+  'config.retry': 'Tentar novamente',
+  'config.loading': 'Carregando agenda...',
+
+  'errors.timeout': 'O servidor demorou demais para responder. Tente novamente.',
+  'errors.network': 'Não foi possível conectar. Verifique sua conexão e tente novamente.',
+  'errors.invalidResponse': 'Recebemos uma resposta inválida do servidor.',
+  'errors.cancelled': 'Solicitação cancelada',
+  'errors.checkPatient': 'Erro ao verificar o paciente. Tente novamente.',
+  'errors.createAppointment': 'Erro ao agendar a consulta. Tente novamente.',
+  'errors.listAppointments': 'Erro ao consultar suas consultas. Tente novamente.',
+  'errors.cancelAppointment': 'Erro ao cancelar a consulta. Tente novamente.',
+  'errors.rescheduleAppointment': 'Erro ao remarcar a consulta. Tente novamente.',
+  'errors.joinWaitlist': 'Não foi possível incluir você na lista de espera. Tente novamente.',
+  'errors.loadOffer': 'Não foi possível consultar o horário oferecido.',
+  'errors.offerGone':
+    'O horário que oferecemos não está mais disponível ou o prazo para confirmá-lo terminou. Você pode escolher outro horário.',
+
+  'validation.dniRequired': 'Informe seu DNI (documento argentino).',
+  'validation.dniLength': 'O DNI deve ter 7 ou 8 dígitos.',
+  'validation.dniLeadingZero': 'Confira o DNI: ele não pode começar com 0.',
+  'validation.phoneRequired': 'Informe um telefone de contato.',
+  'validation.phoneNotArgentine': 'Informe um número da Argentina para receber o lembrete pelo WhatsApp.',
+  'validation.phoneFormat': 'Informe o número com o código de área, por exemplo {example}.',
+  'validation.affiliateRequired': '{obraSocial} exige o número de associado.',
+  'validation.affiliateFormat': 'O número de associado não tem o formato de {obraSocial}.',
+  'validation.affiliateFormatExample': 'O número de associado não tem o formato de {obraSocial} (ex.: {example}).',
+  'validation.dependentDniRequired': 'Informe o documento de quem será atendido.',
+  'validation.dependentSameDni': 'Esse é o seu documento: escolha "Para mim" ou informe o do seu familiar.',
+  'validation.birthDateRequired': 'Informe a data de nascimento.',
+  'validation.birthDateInvalid': 'Confira a data de nascimento.',
+  'validation.birthDateFuture': 'A data de nascimento não pode ser posterior a hoje.',
+
+  'schedule.closed': 'Consultório fechado',
+  'schedule.holiday': 'Feriado',
+  'schedule.unavailable': 'Sem atendimento',
+
+  'dates.localTimeOtherDay': '{time} de {day}',
+  'dates.weekdays': ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'],
+
+  'cost.covered': 'Sem custo com seu convênio',
+  'cost.copay': 'Coparticipação {amount}',
+
+  'professionals.any': 'Qualquer profissional disponível',
+
+  'wizard.label': 'Progresso do agendamento',
+  'wizard.progress': 'Etapa {current} de {total}',
+  'wizard.done': ' (concluída)',
+
+  'types.label': 'Tipo de consulta',
+  'types.searchPlaceholder': 'Busque um tratamento',
+  'types.searchLabel': 'Buscar tipo de consulta',
+  'types.found': { one: '{count} tratamento encontrado', other: '{count} tratamentos encontrados' },
+  'types.noResults': 'Não encontramos tratamentos com "{query}".',
+  'types.childrenOnly': 'Só crianças',
+  'types.requiresConsulta': 'Se for sua primeira visita, agende antes uma consulta.',
+  'types.childrenOnlyForDependent': 'É um tratamento para crianças: agende escolhendo "Para um dependente" na primeira etapa.',
+  'types.childrenOnlyMaxAge': 'Somente para pacientes de até {age} anos.',
+
+  'prep.title': 'Como se preparar para a consulta',
+
+  'obraSocial.placeholder': 'Busque seu convênio',
+  'obraSocial.noResults': 'Não encontramos esse convênio. Escolha "Particular" se ele não estiver na lista.',
+
+  'calendar.label': 'Data',
+  'calendar.previousMonth': 'Mês anterior',
+  'calendar.nextMonth': 'Próximo mês',
+  'calendar.loading': 'Consultando disponibilidade',
+  'calendar.weekdays': ['Se', 'Te', 'Qa', 'Qi', 'Sx', 'Sá', 'Do'],
+  'calendar.status.available': 'disponível',
+  'calendar.status.few': 'poucos horários',
+  'calendar.status.full': 'sem horários',
+  'calendar.status.closed': 'sem atendimento',
+  'calendar.slotCount': { one: '{count} horário disponível', other: '{count} horários disponíveis' },
+  'calendar.legend.available': 'Disponível',
+  'calendar.legend.few': 'Poucos horários',
+  'calendar.legend.full': 'Lotado',
+  'calendar.legend.blocked': 'Feriado ou fechado',
+  'calendar.selected': 'Data selecionada',
+
+  'slots.label': 'Horário disponível',
+  'slots.localNote': 'Os horários são os do consultório. Abaixo de cada um você vê que horas serão onde você está.',
+  'slots.loading': 'Carregando horários disponíveis...',
+  'slots.localTime': '{time} no seu horário',
+  'slots.empty': 'Não há horários disponíveis para esta data e tipo de consulta.',
+  'slots.select': 'Selecione um horário para continuar.',
+
+  'share.addToCalendar': 'Adicionar à agenda',
+  'share.whatsapp': 'Compartilhar no WhatsApp',
+
+  'waitlist.title': 'Lista de espera para {type}',
+  'waitlist.joined':
+    'Você entrou na lista de espera para {type}. Se abrir um horário que sirva para você, avisaremos pelo WhatsApp no {phone} com um link para confirmá-lo.',
+  'waitlist.from': 'De',
+  'waitlist.to': 'Até',
+  'waitlist.days': 'Dias em que você pode vir',
+  'waitlist.times': 'Horários',
+  'waitlist.range': '{label} ({from} às {to})',
+  'waitlist.ranges.manana': 'Manhã',
+  'waitlist.ranges.tarde': 'Tarde',
+  'waitlist.cancel': 'Cancelar',
+  'waitlist.join': 'Entrar na lista de espera',
+  'waitlist.errors.range': 'Informe entre quais datas você pode vir.',
+  'waitlist.errors.order': 'A data "até" precisa ser posterior à data "de".',
+  'waitlist.errors.days': 'Escolha pelo menos um dia da semana.',
+  'waitlist.errors.ranges': 'Escolha pelo menos um período do dia.',
+
+  'summary.patient': 'Paciente',
+  'summary.dni': 'DNI',
+  'summary.whatsapp': 'WhatsApp',
+  'summary.obraSocial': 'Convênio',
+  'summary.affiliate': 'Nº de associado',
+  'summary.allergies': 'Alergias',
+  'summary.history': 'Histórico médico',
+  'summary.type': 'Tipo',
+  'summary.duration': 'Duração',
+  'summary.cost': 'Custo',
+  'summary.professional': 'Profissional',
+  'summary.date': 'Data',
+  'summary.time': 'Horário',
+  'summary.address': 'Endereço',
+  'summary.birthDate': 'Data de nascimento',
+  'summary.guardian': 'Responsável',
+  'summary.guardianValue': '{name} (documento {dni})',
+  'summary.medication': 'Medicação',
+  'summary.anticoagulants': 'Anticoagulantes',
+  'summary.pregnancy': 'Gravidez',
+  'summary.notes': 'Observações',
+  'summary.consent': 'Consentimento',
+  'summary.consentValue': 'Dado em {date} (versão {version})',
+
+  'booking.steps.identification': 'Identificação',
+  'booking.steps.patient': 'Seus dados',
+  'booking.steps.appointment': 'Tratamento e data',
+  'booking.steps.review': 'Revisão',
+  'booking.title': 'Agendar consulta',
+  'booking.subtitle': 'Preencha seus dados para reservar sua consulta',
+  'booking.staffTitle': 'Agendamento na recepção',
+  'booking.staffSubtitle': 'Encaixe ou paciente sem horário: a antecedência mínima não se aplica',
+  'booking.slotExpired': 'A reserva temporária das {time} expirou e atualizamos os horários disponíveis.',
+  'booking.slotTaken': 'O horário das {time} acabou de ser reservado por outro paciente.',
+  'booking.timeWithLocal': '{time} ({local} no seu fuso horário)',
+  'booking.confirmedTitle': 'Consulta confirmada!',
+  'booking.confirmedText': 'Sua consulta foi agendada com sucesso. Você receberá um lembrete pelo WhatsApp um dia antes.',
+  'booking.confirmationCode': 'Código de confirmação',
+  'booking.eventProfessional': 'Profissional: {name}',
+  'booking.eventCode': 'Código de confirmação: {code}',
+  'booking.shareText': 'Tenho consulta de {type} em {clinic} em {date} às {time}.',
+  'booking.shareAddress': 'Endereço: {address}.',
+  'booking.shareCode': 'Código: {code}.',
+  'booking.bookAnother': 'Agendar outra consulta',
+  'booking.draftRestored': 'Recuperamos os dados que você preencheu da última vez.',
+  'booking.startOver': 'Começar de novo',
+  'booking.offer': 'Abriu um horário da lista de espera para você: {date} às {time}.',
+  'booking.offerDeadline': 'Confirme antes das {time}; depois ele será oferecido à próxima pessoa.',
+  'booking.dni': 'DNI',
+  'booking.dniPlaceholder': 'Ex.: 12345678',
+  'booking.searchingPatient': 'Buscando paciente',
+  'booking.patientFound': 'Paciente encontrado. Dados preenchidos automaticamente.',
+  'booking.myAppointments': 'Ver, remarcar ou cancelar minhas consultas',
+  'booking.patientNotFound': 'Paciente não encontrado. Você pode continuar como paciente novo.',
+  'booking.forWhom': 'Para quem é a consulta?',
+  'booking.forSelf': 'Para mim',
+  'booking.forDependent': 'Para um dependente',
+  'booking.forDependentHint': 'Informe o seu documento: você ficará como responsável e os lembretes chegam no seu telefone.',
+  'booking.guardianTitle': 'Seus dados como responsável',
+  'booking.name': 'Nome completo',
+  'booking.namePlaceholder': 'João Silva',
+  'booking.phone': 'Telefone',
+  'booking.phonePlaceholder': 'Ex.: 0381 15 1234567',
+  'booking.whatsappHint': 'Vamos escrever para você pelo WhatsApp no {phone}',
+  'booking.obraSocial': 'Convênio',
+  'booking.affiliate': 'Nº de associado',
+  'booking.saveMedical':
+    'Salvar também as respostas de saúde neste dispositivo se você sair antes de terminar. Se não marcar, só seus dados de contato e o horário escolhido são salvos.',
+  'booking.professional': 'Profissional',
+  'booking.professionalPlaceholder': 'Selecione com quem você quer ser atendido',
+  'booking.notCovered': '{obraSocial} não cobre {type}. Você pode agendar mesmo assim e pagar como particular.',
+  'booking.notCoveredReview': '{obraSocial} não cobre este tratamento: ele é pago como particular.',
+  'booking.nearestSlots': 'Horários mais próximos:',
+  'booking.noSlotsLeft': 'Não há mais horários nesta data. Tente outro dia.',
+  'booking.waitlistNoSlots': 'Se nenhum outro dia servir, avisamos quando abrir um horário.',
+  'booking.waitlistPrompt': 'Não encontrou um horário que sirva?',
+  'booking.hold': 'Reservamos as {time} para você por {countdown}. Confirme a consulta antes que expire.',
+  'booking.previous': 'Voltar',
+  'booking.next': 'Próximo',
+  'booking.creating': 'Agendando consulta...',
+  'booking.confirm': 'Confirmar consulta',
+
+  'dependents.label': 'Quem será atendido?',
+  'dependents.new': 'Outra pessoa',
+  'dependents.confirmIdentity': 'Informe o DNI e a data de nascimento de {name}: o consultório confere com os dados que tem registrados.',
+  'dependents.dni': 'Documento de quem será atendido',
+  'dependents.name': 'Nome completo de quem será atendido',
+  'dependents.birthDate': 'Data de nascimento',
+
+  'medical.title': 'Saúde',
+  'medical.intro': 'Só a equipe do consultório lê estas respostas antes do atendimento.',
+  'medical.previous': 'Você já respondeu este questionário em uma consulta anterior. Para proteger seus dados, ele não é exibido aqui: responda de novo e ele substituirá o anterior.',
+  'medical.allergies': 'Alergias',
+  'medical.allergy.penicilina': 'Penicilina',
+  'medical.allergy.latex': 'Látex',
+  'medical.allergy.anestesicos': 'Anestésicos locais',
+  'medical.noAllergies': 'Sem alergias conhecidas',
+  'medical.otherAllergies': 'Outras alergias',
+  'medical.conditions': 'Doenças ou condições',
+  'medical.condition.diabetes': 'Diabetes',
+  'medical.condition.hipertension': 'Hipertensão',
+  'medical.condition.cardiopatia': 'Doença cardíaca',
+  'medical.condition.coagulacion': 'Problemas de coagulação',
+  'medical.condition.asma': 'Asma',
+  'medical.condition.epilepsia': 'Epilepsia',
+  'medical.condition.hepatitis': 'Hepatite',
+  'medical.noConditions': 'Nenhuma doença ou condição',
+  'medical.otherConditions': 'Outras doenças, cirurgias ou tratamentos',
+  'medical.medication': 'Medicação atual',
+  'medical.medicationPlaceholder': 'Nome e dose de cada medicamento',
+  'medical.noMedication': 'Não toma medicação',
+  'medical.anticoagulants': 'Toma anticoagulantes ou aspirina todos os dias?',
+  'medical.anticoagulantsHint': 'Acenocumarol, varfarina, clopidogrel, rivaroxabana, aspirina…',
+  'medical.pregnancy': 'Há uma gravidez em curso?',
+  'medical.answer.si': 'Sim',
+  'medical.answer.no': 'Não',
+  'medical.answer.noAplica': 'Não se aplica',
+  'medical.notes': 'Algo mais que o dentista deva saber',
+  'medical.incomplete':
+    'Responda todas as perguntas. Se não houver nada a informar, marque a opção correspondente (por exemplo, "Sem alergias conhecidas").',
+
+  'consent.text':
+    'Aceito que {clinic} registre e use os dados de saúde deste formulário apenas para o atendimento odontológico, conforme a Lei 25.326 de Proteção de Dados Pessoais da Argentina. Posso pedir acesso, correção ou exclusão dos dados a qualquer momento.',
+  'consent.staffText':
+    'O paciente ou seu responsável aceitou que {clinic} registre e use estes dados de saúde apenas para o atendimento odontológico, conforme a Lei 25.326 de Proteção de Dados Pessoais da Argentina.',
+  'consent.required': 'Sem este consentimento não podemos registrar a consulta.',
+
+  'outbox.pendingTitle': 'Sua consulta ainda não está confirmada',
+  'outbox.pendingText':
+    'Não foi possível enviá-la por um problema de conexão. Ela ficou salva neste dispositivo e será reenviada assim que a conexão voltar, enquanto esta página estiver aberta ou na próxima vez que você abri-la.',
+  'outbox.pendingWarning': 'Até você ver a confirmação, o horário não está reservado e outra pessoa pode ocupá-lo.',
+  'outbox.retry': 'Tentar agora',
+  'outbox.sending': 'Enviando...',
+  'outbox.pending': 'Consulta aguardando envio: {type}, {date} às {time}. Ainda não está confirmada.',
+  'outbox.confirmed': 'A consulta de {name} foi confirmada: {type}, {date} às {time}.',
+  'outbox.code': 'Código {code}',
+  'outbox.failed': 'Não foi possível agendar a consulta de {name} ({type}, {date} às {time}). {reason}',
+  'outbox.reason.slotLost': 'O horário não estava mais disponível: agende outro.',
+  'outbox.reason.expired': 'O horário passou antes de a conexão voltar: agende outro.',
+  'outbox.reason.medicalMissing':
+    'Suas respostas de saúde não foram salvas neste dispositivo e sem elas não podemos enviá-la: agende novamente.',
+  'outbox.dismiss': 'Fechar aviso',
+
+  'myAppointments.title': 'Minhas consultas',
+  'myAppointments.subtitle': 'Consulte, remarque ou cancele suas consultas',
+  'myAppointments.rescheduledTitle': 'Consulta remarcada!',
+  'myAppointments.cancelledTitle': 'Consulta cancelada!',
+  'myAppointments.rescheduledText':
+    'Sua consulta foi remarcada com sucesso. Você receberá um lembrete pelo WhatsApp um dia antes.',
+  'myAppointments.cancelledText': 'Sua consulta foi cancelada com sucesso. O horário ficou livre para outro paciente.',
+  'myAppointments.backToList': 'Voltar para minhas consultas',
+  'myAppointments.backToBooking': 'Voltar para o agendamento',
+  'myAppointments.loading': 'Buscando suas consultas...',
+  'myAppointments.empty': 'Você não tem consultas agendadas.',
+  'myAppointments.reschedule': 'Remarcar',
+  'myAppointments.cancel': 'Cancelar',
+  'myAppointments.confirmCancelTitle': 'Cancelar esta consulta?',
+  'myAppointments.confirmCancelText': 'Se você cancelar, o horário ficará livre para outro paciente.',
+  'myAppointments.cancelling': 'Cancelando consulta...',
+  'myAppointments.confirmCancel': 'Sim, cancelar consulta',
+  'myAppointments.rescheduleTitle': 'Remarcar consulta',
+  'myAppointments.continue': 'Continuar',
+  'myAppointments.confirmRescheduleTitle': 'Confirma a alteração?',
+  'myAppointments.current': 'Consulta atual',
+  'myAppointments.new': 'Nova consulta',
+  'myAppointments.pickAnother': 'Escolher outro horário',
+  'myAppointments.rescheduling': 'Remarcando...',
+  'myAppointments.confirmReschedule': 'Confirmar alteração'
+};
+
+export default messages;
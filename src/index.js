@@ -2,10 +2,30 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import AdminApp from './AdminApp';
+import I18nProvider from './i18n/I18nProvider';
+import { register as registerServiceWorker } from './serviceWorkerRegistration';
+import { resolveTenant, tenantManifestUrl } from './utils/tenant';
+
+const tenant = resolveTenant();
+// Recepción vive en /admin (o /c/<slug>/admin); serve -s devuelve index.html para cualquier ruta. Su interfaz queda en español
+const isAdminRoute = window.location.pathname.replace(/\/+$/, '') === `${tenant.basePath}/admin`;
+
+// Al instalar la app de un consultorio tiene que abrir en su ruta y no en la raíz
+document.querySelector('link[rel="manifest"]')?.setAttribute('href', tenantManifestUrl(tenant));
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {isAdminRoute ? (
+      <AdminApp tenant={tenant} />
+    ) : (
+      <I18nProvider>
+        <App tenant={tenant} />
+      </I18nProvider>
+    )}
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// App instalable y usable sin conexión: los turnos que no se pudieron enviar quedan en la bandeja de salida
+registerServiceWorker();
@@ -0,0 +1,46 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+// react-scripts build lo compila con la lista de archivos del build (self.__WB_MANIFEST): la app abre sin conexión.
+// Turnos, horarios y pacientes no se cachean nunca; lo que no se pudo enviar queda en la bandeja de salida (utils/outbox)
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Cualquier ruta de la app (/admin, /c/<slug>) se resuelve con index.html, como hace serve -s
+const FILE_EXTENSION = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !FILE_EXTENSION.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Configuración del consultorio: catálogo de tratamientos, clinic.json (con sus obras sociales), agenda y profesionales.
+// Se prefiere la versión del servidor y sin conexión se usa la última que se pudo leer
+const CONFIG_FILES = ['appointment_types.json', 'clinic.json', 'schedule.json', 'professionals.json'];
+const CONFIG_WEBHOOKS = ['get-appointment-types', 'get-schedule', 'get-professionals'];
+registerRoute(
+  ({ request, url }) => {
+    const name = url.pathname.split('/').pop();
+    if (url.origin === self.location.origin) return CONFIG_FILES.includes(name);
+    return request.method === 'GET' && url.pathname.includes('/webhook/') && CONFIG_WEBHOOKS.includes(name);
+  },
+  new NetworkFirst({
+    cacheName: 'clinic-config',
+    networkTimeoutSeconds: 5,
+    plugins: [new ExpirationPlugin({ maxEntries: 50, maxAgeSeconds: 30 * 24 * 60 * 60 })]
+  })
+);
+
+// Los estilos salen del CDN de Tailwind (public/index.html): sin ellos la app offline se ve sin formato
+registerRoute(
+  ({ url }) => url.origin === 'https://cdn.tailwindcss.com',
+  new StaleWhileRevalidate({
+    cacheName: 'tailwind-cdn',
+    plugins: [new ExpirationPlugin({ maxEntries: 5 })]
+  })
+);
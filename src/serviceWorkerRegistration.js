@@ -0,0 +1,14 @@
+// Solo en el build de producción: en desarrollo el service worker serviría código viejo mientras se edita.
+// Una versión nueva se activa cuando se cierran todas las pestañas de la app
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // Con PUBLIC_URL en otro dominio (CDN) el service worker no puede controlar la página
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(err => {
+      console.error('Error registering service worker:', err);
+    });
+  });
+}
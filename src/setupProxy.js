@@ -0,0 +1,22 @@
+// Solo lo usa `npm start` (react-scripts lo carga en el servidor de desarrollo; no entra en el build).
+// Sirve los consultorios de ejemplo de mock-server/tenants en /tenants/<slug>/, como si estuvieran en public/tenants:
+// con `npm run mock` corriendo, /c/sonrisas se puede probar sin que se publique con la app
+const fs = require('fs');
+const path = require('path');
+
+const TENANTS_DIR = path.join(__dirname, '..', 'mock-server', 'tenants');
+const TENANT_FILE = /^\/([a-z0-9-]+)\/([a-z_]+\.json)$/;
+
+module.exports = function setupProxy(app) {
+  app.use('/tenants', (req, res, next) => {
+    const match = req.path.match(TENANT_FILE);
+    if (!match) return next();
+    const file = path.join(TENANTS_DIR, match[1], match[2]);
+    return fs.readFile(file, (err, content) => {
+      if (err) return next();
+      res.setHeader('Content-Type', match[2] === 'manifest.json' ? 'application/manifest+json' : 'application/json');
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.end(content);
+    });
+  });
+};
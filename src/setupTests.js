@@ -0,0 +1,2 @@
+// jest-dom agrega matchers como toBeInTheDocument o toBeDisabled
+import '@testing-library/jest-dom';
@@ -0,0 +1,39 @@
+import { tenantStorageKey } from './tenant';
+
+// La sesión de recepción vive en sessionStorage: se pierde al cerrar la pestaña del navegador compartido
+const SESSION_KEY = 'turnos-booking:admin-session:v1';
+const sessionKey = () => tenantStorageKey(SESSION_KEY);
+
+function getStorage() {
+  try {
+    return window.sessionStorage;
+  } catch (err) {
+    return null;
+  }
+}
+
+export function loadAdminSession(now = Date.now()) {
+  const storage = getStorage();
+  if (!storage) return null;
+  try {
+    const session = JSON.parse(storage.getItem(sessionKey()));
+    if (!session || !session.token || !(session.expiresAt > now)) {
+      storage.removeItem(sessionKey());
+      return null;
+    }
+    return session;
+  } catch (err) {
+    storage.removeItem(sessionKey());
+    return null;
+  }
+}
+
+export function saveAdminSession(session) {
+  const storage = getStorage();
+  if (storage) storage.setItem(sessionKey(), JSON.stringify(session));
+}
+
+export function clearAdminSession() {
+  const storage = getStorage();
+  if (storage) storage.removeItem(sessionKey());
+}
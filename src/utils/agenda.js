@@ -0,0 +1,43 @@
+import { addDays, dateValueInZone, parseDateValue, timeInZone } from './dates';
+
+export const STATUS_LABELS = {
+  confirmado: 'Pendiente',
+  asistio: 'Asistió',
+  ausente: 'No vino'
+};
+
+// Fecha y horarios del turno en la zona del consultorio, no en la del equipo de recepción
+export function entryTimes(entry, timeZone) {
+  const start = new Date(entry.fechaHora);
+  const end = new Date(start.getTime() + entry.duracion * 60 * 1000);
+  return { fecha: dateValueInZone(start, timeZone), hora: timeInZone(start, timeZone), fin: timeInZone(end, timeZone) };
+}
+
+// Semana de lunes a domingo que contiene la fecha
+export function weekRange(value) {
+  const offset = (parseDateValue(value).getDay() + 6) % 7;
+  const from = addDays(value, -offset);
+  const days = Array.from({ length: 7 }, (_, i) => addDays(from, i));
+  return { from, to: days[6], days };
+}
+
+export function entriesForDay(entries, fecha, timeZone) {
+  return entries.filter(e => entryTimes(e, timeZone).fecha === fecha);
+}
+
+// Turnos agrupados por horario de inicio, en orden: [{ hora, entries }]
+export function groupByStartTime(entries, timeZone) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const { hora } = entryTimes(entry, timeZone);
+    groups.set(hora, [...(groups.get(hora) || []), entry]);
+  });
+  return Array.from(groups, ([hora, items]) => ({ hora, entries: items })).sort((a, b) => a.hora.localeCompare(b.hora));
+}
+
+export function countByStatus(entries) {
+  return entries.reduce(
+    (counts, e) => ({ ...counts, [e.estado]: counts[e.estado] + 1 }),
+    { confirmado: 0, asistio: 0, ausente: 0 }
+  );
+}
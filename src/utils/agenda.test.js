@@ -0,0 +1,65 @@
+import { countByStatus, entriesForDay, entryTimes, groupByStartTime, weekRange } from './agenda';
+
+const BUENOS_AIRES = 'America/Argentina/Buenos_Aires';
+
+const entry = (id, fechaHora, duracion = 30, estado = 'confirmado') => ({ id, fechaHora, duracion, estado });
+
+describe('entryTimes', () => {
+  test('reads date, start and end in the clinic timezone', () => {
+    expect(entryTimes(entry('a', '2026-10-20T10:00:00-03:00', 45), BUENOS_AIRES)).toEqual({
+      fecha: '2026-10-20',
+      hora: '10:00',
+      fin: '10:45'
+    });
+    // 01:30 UTC del 21 todavía es el 20 en el consultorio
+    expect(entryTimes(entry('b', '2026-10-21T01:30:00Z'), BUENOS_AIRES)).toEqual({ fecha: '2026-10-20', hora: '22:30', fin: '23:00' });
+  });
+});
+
+describe('weekRange', () => {
+  test('goes from Monday to Sunday', () => {
+    const week = weekRange('2026-10-21');
+    expect(week).toMatchObject({ from: '2026-10-19', to: '2026-10-25' });
+    expect(week.days).toHaveLength(7);
+    expect(weekRange('2026-10-25').from).toBe('2026-10-19');
+    expect(weekRange('2026-10-19').to).toBe('2026-10-25');
+  });
+});
+
+describe('entriesForDay and groupByStartTime', () => {
+  const entries = [
+    entry('late', '2026-10-20T11:00:00-03:00'),
+    entry('walk-in', '2026-10-20T09:30:00-03:00', 15),
+    entry('early', '2026-10-20T09:30:00-03:00', 45),
+    entry('night', '2026-10-21T01:30:00Z'),
+    entry('next-day', '2026-10-21T09:00:00-03:00')
+  ];
+
+  test('keeps the appointments of the day in the clinic timezone', () => {
+    expect(entriesForDay(entries, '2026-10-20', BUENOS_AIRES).map(e => e.id)).toEqual(['late', 'walk-in', 'early', 'night']);
+    expect(entriesForDay(entries, '2026-10-21', BUENOS_AIRES).map(e => e.id)).toEqual(['next-day']);
+  });
+
+  test('groups overlapping appointments by start time, in order', () => {
+    const groups = groupByStartTime(entriesForDay(entries, '2026-10-20', BUENOS_AIRES), BUENOS_AIRES);
+    expect(groups.map(g => [g.hora, g.entries.map(e => e.id)])).toEqual([
+      ['09:30', ['walk-in', 'early']],
+      ['11:00', ['late']],
+      ['22:30', ['night']]
+    ]);
+  });
+});
+
+describe('countByStatus', () => {
+  test('counts each status, starting from zero', () => {
+    expect(countByStatus([])).toEqual({ confirmado: 0, asistio: 0, ausente: 0 });
+    expect(
+      countByStatus([
+        entry('a', '2026-10-20T09:00:00-03:00', 30, 'asistio'),
+        entry('b', '2026-10-20T09:30:00-03:00', 30, 'ausente'),
+        entry('c', '2026-10-20T10:00:00-03:00', 30, 'asistio'),
+        entry('d', '2026-10-20T10:30:00-03:00')
+      ])
+    ).toEqual({ confirmado: 1, asistio: 2, ausente: 1 });
+  });
+});
@@ -0,0 +1,131 @@
+import { DEFAULT_LOCALE, pickTranslation, translate } from '../i18n';
+import { PARTICULAR, isTypeCovered, normalizeText } from './obrasSociales';
+
+export const DEFAULT_CATEGORIES = [
+  { id: 'preventivo', name: 'Preventivo', translations: { en: { name: 'Preventive' }, 'pt-BR': { name: 'Preventivo' } } },
+  { id: 'restaurador', name: 'Restaurador', translations: { en: { name: 'Restorative' }, 'pt-BR': { name: 'Restaurador' } } },
+  { id: 'estetico', name: 'Estético', translations: { en: { name: 'Cosmetic' }, 'pt-BR': { name: 'Estético' } } }
+];
+
+// Edad hasta la que se atiende un tratamiento "solo niños" si el catálogo no indica maxAge
+export const CHILDREN_MAX_AGE = 12;
+
+const OTHER_CATEGORY = {
+  id: 'otros',
+  name: 'Otros tratamientos',
+  translations: { en: { name: 'Other treatments' }, 'pt-BR': { name: 'Outros tratamentos' } }
+};
+
+const toAmount = (value) => (value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+// { en: { name, description, prepInstructions }, 'pt-BR': {...} }; lo que falte queda en español
+function normalizeTranslations(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+  return Object.entries(raw).reduce((translations, [locale, value]) => {
+    if (!value || typeof value !== 'object') return translations;
+    translations[locale] = {
+      ...(value.name || value.nombre ? { name: value.name || value.nombre } : {}),
+      ...(value.description ? { description: value.description } : {}),
+      ...(Array.isArray(value.prepInstructions) ? { prepInstructions: value.prepInstructions.filter(Boolean) } : {})
+    };
+    return translations;
+  }, {});
+}
+
+function normalizeCopays(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+  return Object.entries(raw).reduce((copays, [id, value]) => {
+    const amount = toAmount(value);
+    if (amount !== null) copays[id] = amount;
+    return copays;
+  }, {});
+}
+
+function normalizeAgeLimit(t) {
+  const childrenOnly = !!t.childrenOnly;
+  const maxAge = toAmount(t.maxAge ?? t.edadMaxima);
+  return { childrenOnly, maxAge: childrenOnly ? maxAge ?? CHILDREN_MAX_AGE : null };
+}
+
+export function normalizeAppointmentTypes(raw) {
+  const data = Array.isArray(raw) ? { types: raw } : raw && typeof raw === 'object' ? raw : {};
+  const categories = Array.isArray(data.categories)
+    ? data.categories
+        .filter(c => c && c.id)
+        .map(c => ({ id: c.id, name: c.name || c.nombre || c.id, translations: normalizeTranslations(c.translations) }))
+    : DEFAULT_CATEGORIES;
+  const types = (Array.isArray(data.types) ? data.types : [])
+    .map(t => ({
+      id: t.id,
+      name: t.name || t.nombre || '',
+      category: t.category || t.categoria || OTHER_CATEGORY.id,
+      duration: Number(t.duration || t.duracion) || 0,
+      description: t.description || '',
+      price: toAmount(t.price),
+      copays: normalizeCopays(t.copays),
+      prepInstructions: Array.isArray(t.prepInstructions) ? t.prepInstructions.filter(Boolean) : [],
+      firstVisitRequiresConsulta: !!t.firstVisitRequiresConsulta,
+      ...normalizeAgeLimit(t),
+      translations: normalizeTranslations(t.translations)
+    }))
+    .filter(t => t.id && t.name && t.duration > 0);
+  return { categories, types };
+}
+
+// Copia del catálogo con los textos en el idioma del paciente; tipoTurnoNombre se sigue enviando con el del catálogo original
+export function localizeAppointmentTypes({ categories, types }, locale) {
+  if (locale === DEFAULT_LOCALE) return { categories, types };
+  const localize = item => ({ ...item, ...pickTranslation(item.translations, locale) });
+  return { categories: categories.map(localize), types: types.map(localize) };
+}
+
+export function findAppointmentType(types, id) {
+  return types.find(t => t.id === id) || null;
+}
+
+// Con obra social se muestra el coseguro (o que está cubierto); sin cobertura, el arancel particular
+export function getTypeCost(type, obraSocial) {
+  if (!type) return null;
+  if (obraSocial && obraSocial.id !== PARTICULAR.id && isTypeCovered(obraSocial, type.id)) {
+    const copay = obraSocial.id in type.copays ? type.copays[obraSocial.id] : type.copays.default;
+    if (copay === undefined) return null;
+    return copay === 0 ? { kind: 'covered' } : { kind: 'copay', amount: copay };
+  }
+  return type.price === null ? null : { kind: 'price', amount: type.price };
+}
+
+export function formatCost(cost, locale = DEFAULT_LOCALE) {
+  if (!cost) return '';
+  if (cost.kind === 'covered') return translate(locale, 'cost.covered');
+  const amount = cost.amount.toLocaleString(locale, { style: 'currency', currency: 'ARS', maximumFractionDigits: 0 });
+  return cost.kind === 'copay' ? translate(locale, 'cost.copay', { amount }) : amount;
+}
+
+// Por qué el paciente no puede reservar el tratamiento, o '' si puede. Los de niños se reservan como familiar a cargo
+// (age es la edad que tendrá el día del turno; null cuando el turno es para quien completa el formulario) y los que
+// requieren diagnóstico previo, después de una consulta
+export function getTypeRestriction(type, { isNewPatient = false, age = null } = {}) {
+  if (!type) return '';
+  if (type.childrenOnly && (age === null || age > type.maxAge)) return 'childrenOnly';
+  if (type.firstVisitRequiresConsulta && isNewPatient) return 'requiresConsulta';
+  return '';
+}
+
+export function filterAppointmentTypes(types, query) {
+  const q = normalizeText(query);
+  if (!q) return types;
+  return types.filter(t => normalizeText(`${t.name} ${t.description}`).includes(q));
+}
+
+export function groupTypesByCategory(types, categories, locale = DEFAULT_LOCALE) {
+  const known = categories.map(c => c.id);
+  const other = { ...OTHER_CATEGORY, ...pickTranslation(OTHER_CATEGORY.translations, locale) };
+  const withOther = known.includes(OTHER_CATEGORY.id) ? categories : [...categories, other];
+  const groups = withOther.map(category => ({
+    ...category,
+    types: types.filter(t =>
+      t.category === category.id || (category.id === OTHER_CATEGORY.id && !known.includes(t.category))
+    )
+  }));
+  return groups.filter(g => g.types.length > 0);
+}
@@ -0,0 +1,110 @@
+// Exportación de turnos a calendarios: archivo .ics (RFC 5545), enlace de Google Calendar y texto para WhatsApp
+const PRODUCT_ID = '-//turnos-booking//ES';
+const MAX_LINE_OCTETS = 75;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function toUtcStamp(date) {
+  return (
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+  );
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+}
+
+// Las líneas de más de 75 octetos se cortan y continúan con un espacio, sin partir caracteres multibyte
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function eventBounds(start, durationMinutes) {
+  const startDate = new Date(start);
+  return { startDate, endDate: new Date(startDate.getTime() + durationMinutes * 60 * 1000) };
+}
+
+// start es el fechaHora ISO con offset que se envía a n8n. Inicio y fin van en UTC: el calendario del paciente los
+// muestra en su hora local sin depender de una definición de la zona del consultorio (y de su horario de verano)
+export function buildIcs({ uid, start, durationMinutes, title, description, location, alarmMinutes = 120, now = new Date() }) {
+  const { startDate, endDate } = eventBounds(start, durationMinutes);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${escapeText(uid)}`,
+    `DTSTAMP:${toUtcStamp(now)}`,
+    `DTSTART:${toUtcStamp(startDate)}`,
+    `DTEND:${toUtcStamp(endDate)}`,
+    `SUMMARY:${escapeText(title)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    'STATUS:CONFIRMED',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(title)}`,
+    `TRIGGER:-PT${alarmMinutes}M`,
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+}
+
+export function buildGoogleCalendarUrl({ start, durationMinutes, title, description, location, timeZone }) {
+  const { startDate, endDate } = eventBounds(start, durationMinutes);
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: title,
+    dates: `${toUtcStamp(startDate)}/${toUtcStamp(endDate)}`,
+    ctz: timeZone
+  });
+  if (description) params.set('details', description);
+  if (location) params.set('location', location);
+  return `https://calendar.google.com/calendar/render?${params.toString()}`;
+}
+
+export function buildWhatsAppShareUrl(text) {
+  return `https://wa.me/?text=${encodeURIComponent(text)}`;
+}
+
+export function downloadIcs(fileName, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: 'text/calendar;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,85 @@
+import { buildGoogleCalendarUrl, buildIcs } from './calendar';
+
+const EVENT = {
+  uid: 'apt-1@turnos-booking',
+  start: '2026-10-20T10:00:00-03:00',
+  durationMinutes: 45,
+  title: 'Turno: Limpieza',
+  description: 'Código AB12CD',
+  location: 'San Martín 850, San Miguel de Tucumán',
+  timeZone: 'America/Argentina/Buenos_Aires',
+  now: new Date('2026-10-19T12:00:00Z')
+};
+
+const linesOf = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('buildIcs', () => {
+  test('writes the event in UTC with CRLF line endings and no timezone definition', () => {
+    const ics = buildIcs(EVENT);
+    const lines = linesOf(ics);
+
+    expect(ics.endsWith('\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/\n/);
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('DTSTAMP:20261019T120000Z');
+    expect(lines).toContain('DTSTART:20261020T130000Z');
+    expect(lines).toContain('DTEND:20261020T134500Z');
+    expect(ics).not.toMatch(/VTIMEZONE|TZID/);
+  });
+
+  test('keeps the right instant in zones with daylight saving time', () => {
+    const lines = linesOf(buildIcs({ ...EVENT, start: '2026-07-15T09:00:00-04:00', timeZone: 'America/New_York' }));
+    expect(lines).toContain('DTSTART:20260715T130000Z');
+    const winter = linesOf(buildIcs({ ...EVENT, start: '2026-01-15T09:00:00-05:00', timeZone: 'America/New_York' }));
+    expect(winter).toContain('DTSTART:20260115T140000Z');
+  });
+
+  test('adds a display alarm before the appointment', () => {
+    const lines = linesOf(buildIcs(EVENT));
+    const alarm = lines.slice(lines.indexOf('BEGIN:VALARM'), lines.indexOf('END:VALARM') + 1);
+    expect(alarm).toEqual(['BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Turno: Limpieza', 'TRIGGER:-PT120M', 'END:VALARM']);
+    expect(linesOf(buildIcs({ ...EVENT, alarmMinutes: 30 }))).toContain('TRIGGER:-PT30M');
+  });
+
+  test('escapes commas, semicolons, backslashes and newlines', () => {
+    const lines = linesOf(buildIcs({ ...EVENT, title: 'Caries; control, a\\b', description: 'Línea 1\nLínea 2' }));
+    expect(lines).toContain('SUMMARY:Caries\\; control\\, a\\\\b');
+    expect(lines).toContain('DESCRIPTION:Línea 1\\nLínea 2');
+    expect(lines).toContain('LOCATION:San Martín 850\\, San Miguel de Tucumán');
+  });
+
+  test('leaves out the description and location when there are none', () => {
+    const ics = buildIcs({ ...EVENT, description: '', location: '' });
+    expect(ics).not.toMatch(/LOCATION/);
+    expect(linesOf(ics).filter(line => line.startsWith('DESCRIPTION:'))).toEqual(['DESCRIPTION:Turno: Limpieza']);
+  });
+
+  test('folds lines longer than 75 octets without splitting multibyte characters', () => {
+    const description = 'Traé los estudios previos y llegá diez minutos antes: ñandú, acción, corazón. '.repeat(4);
+    const ics = buildIcs({ ...EVENT, description });
+    const physical = ics.split('\r\n');
+
+    physical.forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+    expect(physical.filter(line => line.startsWith(' ')).length).toBeGreaterThan(3);
+    expect(linesOf(ics)).toContain(`DESCRIPTION:${description.replace(/,/g, '\\,')}`);
+  });
+});
+
+describe('buildGoogleCalendarUrl', () => {
+  test('sends the UTC range with the clinic timezone and the details', () => {
+    const url = new URL(buildGoogleCalendarUrl(EVENT));
+    expect(url.origin + url.pathname).toBe('https://calendar.google.com/calendar/render');
+    expect(url.searchParams.get('action')).toBe('TEMPLATE');
+    expect(url.searchParams.get('dates')).toBe('20261020T130000Z/20261020T134500Z');
+    expect(url.searchParams.get('ctz')).toBe('America/Argentina/Buenos_Aires');
+    expect(url.searchParams.get('text')).toBe('Turno: Limpieza');
+    expect(url.searchParams.get('details')).toBe('Código AB12CD');
+    expect(url.searchParams.get('location')).toBe('San Martín 850, San Miguel de Tucumán');
+  });
+
+  test('omits the optional fields', () => {
+    const url = new URL(buildGoogleCalendarUrl({ ...EVENT, description: '', location: '' }));
+    expect(url.searchParams.has('details')).toBe(false);
+    expect(url.searchParams.has('location')).toBe(false);
+  });
+});
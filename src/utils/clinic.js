@@ -0,0 +1,38 @@
+import { DEFAULT_TIMEZONE, isValidTimeZone } from './dates';
+import { normalizeTheme } from './theme';
+
+export const DEFAULT_CLINIC = {
+  name: 'Consultorio Odontológico',
+  address: '',
+  timezone: DEFAULT_TIMEZONE,
+  areaCode: '',
+  logo: '',
+  n8nBaseUrl: '',
+  theme: normalizeTheme()
+};
+
+// El logo tiene que ser una URL absoluta o una ruta desde la raíz: las relativas se romperían bajo /c/<slug>/
+function normalizeLogo(value) {
+  return typeof value === 'string' && /^(https?:\/\/|\/)/.test(value) ? value : '';
+}
+
+// Característica telefónica del consultorio, para completar los números que el paciente carga sin ella
+function normalizeAreaCode(value) {
+  const digits = String(value || '').replace(/\D/g, '').replace(/^0/, '');
+  return /^[1-9]\d{1,3}$/.test(digits) ? digits : '';
+}
+
+export function normalizeClinic(raw) {
+  const data = raw && typeof raw === 'object' ? raw : {};
+  const n8nBaseUrl = data.n8nBaseUrl || data.webhookBaseUrl;
+  return {
+    name: data.name || data.nombre || DEFAULT_CLINIC.name,
+    address: data.address || data.direccion || DEFAULT_CLINIC.address,
+    // Una zona mal escrita rompería todos los cálculos de fechas, así que se descarta
+    timezone: isValidTimeZone(data.timezone) ? data.timezone : DEFAULT_CLINIC.timezone,
+    areaCode: normalizeAreaCode(data.areaCode || data.caracteristica),
+    logo: normalizeLogo(data.logo),
+    n8nBaseUrl: typeof n8nBaseUrl === 'string' && /^https?:\/\//.test(n8nBaseUrl) ? n8nBaseUrl : '',
+    theme: normalizeTheme(data.theme)
+  };
+}
@@ -0,0 +1,130 @@
+// Fechas "YYYY-MM-DD" y horarios "HH:MM" son siempre hora de pared del consultorio: los instantes
+// (Date, ISO con offset) se calculan con su zona horaria y nunca con la del navegador del paciente
+import { DEFAULT_LOCALE, translate } from '../i18n';
+
+export const DEFAULT_TIMEZONE = 'America/Argentina/Buenos_Aires';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Componentes numéricos de un instante visto desde la zona indicada
+export function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  return parts.reduce(
+    (acc, part) => (part.type === 'literal' ? acc : { ...acc, [part.type]: Number(part.value) }),
+    {}
+  );
+}
+
+// Minutos que la zona está adelantada respecto de UTC en ese instante (Argentina: -180)
+export function getTimeZoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((wallAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+export function formatUtcOffset(minutes) {
+  const sign = minutes >= 0 ? '+' : '-';
+  return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+}
+
+// Instante en que en la zona del consultorio son fecha y hora; si el offset cambia entre medio
+// (horario de verano) se corrige con el offset vigente en el resultado
+export function zonedDateTimeToDate(fecha, hora, timeZone) {
+  const [y, m, d] = fecha.split('-').map(Number);
+  const [hh, mm] = hora.split(':').map(Number);
+  const wallAsUtc = Date.UTC(y, m - 1, d, hh, mm);
+  const guess = wallAsUtc - getTimeZoneOffset(new Date(wallAsUtc), timeZone) * 60000;
+  return new Date(wallAsUtc - getTimeZoneOffset(new Date(guess), timeZone) * 60000);
+}
+
+// fechaHora que se envía a n8n: hora de pared del consultorio con el offset de su zona
+export function buildAppointmentISO(fecha, hora, timeZone = DEFAULT_TIMEZONE) {
+  const offset = getTimeZoneOffset(zonedDateTimeToDate(fecha, hora, timeZone), timeZone);
+  return `${fecha}T${hora}:00${formatUtcOffset(offset)}`;
+}
+
+export function dateValueInZone(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+export function timeInZone(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+export function toDateValue(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+// Date local a medianoche: sirve para aritmética de calendario (día de semana, meses), no como instante
+export function parseDateValue(value) {
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function addDays(value, days) {
+  const d = parseDateValue(value);
+  d.setDate(d.getDate() + days);
+  return toDateValue(d);
+}
+
+// Años cumplidos en una fecha; las dos en YYYY-MM-DD
+export function ageOn(birthDate, onDate) {
+  const [by, bm, bd] = birthDate.split('-').map(Number);
+  const [y, m, d] = onDate.split('-').map(Number);
+  return y - by - (m < bm || (m === bm && d < bd) ? 1 : 0);
+}
+
+export function formatDateLabel(d, locale = DEFAULT_LOCALE) {
+  return d.toLocaleDateString(locale, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+export function formatMonthLabel(d, locale = DEFAULT_LOCALE) {
+  return d.toLocaleDateString(locale, { month: 'long', year: 'numeric' });
+}
+
+export function formatAppointmentDateTime(iso, timeZone = DEFAULT_TIMEZONE, locale = DEFAULT_LOCALE) {
+  const d = new Date(iso);
+  return {
+    fechaLabel: formatDateLabel(parseDateValue(dateValueInZone(d, timeZone)), locale),
+    hora: timeInZone(d, timeZone)
+  };
+}
+
+// Horario del consultorio traducido a la zona del paciente; vacío si en ese momento ambas coinciden
+export function formatLocalTime(fecha, hora, timeZone, localTimeZone = browserTimeZone(), locale = DEFAULT_LOCALE) {
+  const instant = zonedDateTimeToDate(fecha, hora, timeZone);
+  if (getTimeZoneOffset(instant, timeZone) === getTimeZoneOffset(instant, localTimeZone)) return '';
+  const localDate = dateValueInZone(instant, localTimeZone);
+  const localTime = timeInZone(instant, localTimeZone);
+  if (localDate === fecha) return localTime;
+  const day = parseDateValue(localDate).toLocaleDateString(locale, { weekday: 'long', day: 'numeric' });
+  return translate(locale, 'dates.localTimeOtherDay', { time: localTime, day });
+}
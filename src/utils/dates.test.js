@@ -0,0 +1,155 @@
+import {
+  addDays,
+  ageOn,
+  buildAppointmentISO,
+  dateValueInZone,
+  formatAppointmentDateTime,
+  formatDateLabel,
+  formatLocalTime,
+  formatUtcOffset,
+  getTimeZoneOffset,
+  isValidTimeZone,
+  parseDateValue,
+  timeInZone,
+  toDateValue,
+  zonedDateTimeToDate
+} from './dates';
+
+const BUENOS_AIRES = 'America/Argentina/Buenos_Aires';
+const NEW_YORK = 'America/New_York';
+
+describe('getTimeZoneOffset', () => {
+  test('Argentina is UTC-3 all year', () => {
+    expect(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), BUENOS_AIRES)).toBe(-180);
+    expect(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), BUENOS_AIRES)).toBe(-180);
+  });
+
+  test('follows daylight saving time', () => {
+    expect(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), NEW_YORK)).toBe(-300);
+    expect(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), NEW_YORK)).toBe(-240);
+  });
+
+  test('handles offsets that are not whole hours', () => {
+    expect(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'Asia/Kolkata')).toBe(330);
+    expect(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/St_Johns')).toBe(-150);
+  });
+});
+
+describe('formatUtcOffset', () => {
+  test('formats sign, hours and minutes', () => {
+    expect(formatUtcOffset(-180)).toBe('-03:00');
+    expect(formatUtcOffset(330)).toBe('+05:30');
+    expect(formatUtcOffset(-150)).toBe('-02:30');
+    expect(formatUtcOffset(0)).toBe('+00:00');
+  });
+});
+
+describe('zonedDateTimeToDate', () => {
+  test('converts clinic wall time to the right instant', () => {
+    expect(zonedDateTimeToDate('2026-10-20', '09:30', BUENOS_AIRES).toISOString()).toBe('2026-10-20T12:30:00.000Z');
+  });
+
+  test('late slots land on the next UTC day without shifting the clinic day', () => {
+    expect(zonedDateTimeToDate('2026-10-20', '22:00', BUENOS_AIRES).toISOString()).toBe('2026-10-21T01:00:00.000Z');
+  });
+
+  test('uses the offset in force on that date', () => {
+    expect(zonedDateTimeToDate('2026-03-07', '10:00', NEW_YORK).toISOString()).toBe('2026-03-07T15:00:00.000Z');
+    expect(zonedDateTimeToDate('2026-03-09', '10:00', NEW_YORK).toISOString()).toBe('2026-03-09T14:00:00.000Z');
+  });
+});
+
+describe('buildAppointmentISO', () => {
+  test('keeps the chosen date and time and appends the clinic offset', () => {
+    expect(buildAppointmentISO('2026-10-20', '09:30', BUENOS_AIRES)).toBe('2026-10-20T09:30:00-03:00');
+  });
+
+  test('does not move the first slot of the month to the previous day', () => {
+    expect(buildAppointmentISO('2026-11-01', '00:30', BUENOS_AIRES)).toBe('2026-11-01T00:30:00-03:00');
+  });
+
+  test('uses the daylight saving offset when the clinic zone has one', () => {
+    expect(buildAppointmentISO('2026-01-12', '09:00', NEW_YORK)).toBe('2026-01-12T09:00:00-05:00');
+    expect(buildAppointmentISO('2026-07-13', '09:00', NEW_YORK)).toBe('2026-07-13T09:00:00-04:00');
+  });
+
+  test('defaults to the Argentine clinic timezone', () => {
+    expect(buildAppointmentISO('2026-10-20', '18:00')).toBe('2026-10-20T18:00:00-03:00');
+  });
+});
+
+describe('dateValueInZone and timeInZone', () => {
+  const instant = new Date('2026-10-20T02:15:00Z');
+
+  test('read the instant as wall time of the given zone', () => {
+    expect(dateValueInZone(instant, BUENOS_AIRES)).toBe('2026-10-19');
+    expect(timeInZone(instant, BUENOS_AIRES)).toBe('23:15');
+    expect(dateValueInZone(instant, 'UTC')).toBe('2026-10-20');
+    expect(timeInZone(instant, 'Asia/Kolkata')).toBe('07:45');
+  });
+});
+
+describe('formatAppointmentDateTime', () => {
+  test('shows the appointment in clinic time', () => {
+    expect(formatAppointmentDateTime('2026-10-20T01:00:00Z', BUENOS_AIRES)).toEqual({
+      fechaLabel: 'lunes, 19 de octubre de 2026',
+      hora: '22:00'
+    });
+  });
+});
+
+describe('formatLocalTime', () => {
+  test('is empty when the patient shares the clinic offset', () => {
+    expect(formatLocalTime('2026-10-20', '09:00', BUENOS_AIRES, BUENOS_AIRES)).toBe('');
+    expect(formatLocalTime('2026-10-20', '09:00', BUENOS_AIRES, 'America/Sao_Paulo')).toBe('');
+  });
+
+  test('translates the slot to the patient zone', () => {
+    expect(formatLocalTime('2026-10-20', '09:00', BUENOS_AIRES, 'Europe/Madrid')).toBe('14:00');
+    expect(formatLocalTime('2026-10-20', '09:00', BUENOS_AIRES, 'America/Bogota')).toBe('07:00');
+  });
+
+  test('names the day when the local time falls on another date', () => {
+    expect(formatLocalTime('2026-10-20', '21:00', BUENOS_AIRES, 'Europe/Madrid')).toBe('02:00 del miércoles 21');
+  });
+});
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA names and rejects anything else', () => {
+    expect(isValidTimeZone(BUENOS_AIRES)).toBe(true);
+    expect(isValidTimeZone('America/Tucuman_Capital')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+});
+
+describe('calendar date helpers', () => {
+  test('toDateValue and parseDateValue round-trip', () => {
+    expect(toDateValue(new Date(2026, 0, 5))).toBe('2026-01-05');
+    expect(toDateValue(parseDateValue('2026-12-31'))).toBe('2026-12-31');
+    expect(parseDateValue('2026-10-19').getDay()).toBe(1);
+  });
+
+  test('parseDateValue does not read the value as UTC midnight', () => {
+    const d = parseDateValue('2026-10-01');
+    expect([d.getFullYear(), d.getMonth(), d.getDate()]).toEqual([2026, 9, 1]);
+  });
+
+  test('addDays crosses months, years and leap days', () => {
+    expect(addDays('2026-10-31', 1)).toBe('2026-11-01');
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addDays('2028-02-28', 1)).toBe('2028-02-29');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+    expect(addDays('2026-10-19', 14)).toBe('2026-11-02');
+  });
+
+  test('ageOn counts the birthday as a completed year', () => {
+    expect(ageOn('2014-10-20', '2026-10-19')).toBe(11);
+    expect(ageOn('2014-10-20', '2026-10-20')).toBe(12);
+    expect(ageOn('2014-11-05', '2026-10-30')).toBe(11);
+  });
+
+  test('formatDateLabel writes the date in Spanish', () => {
+    expect(formatDateLabel(parseDateValue('2026-10-20'))).toBe('martes, 20 de octubre de 2026');
+  });
+});
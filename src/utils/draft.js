@@ -0,0 +1,54 @@
+import { tenantStorageKey } from './tenant';
+
+const DRAFT_KEY = 'turnos-booking:draft:v1';
+const draftKey = () => tenantStorageKey(DRAFT_KEY);
+const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MEDICAL_FIELDS = ['historiaClinica', 'dependienteHistoriaClinica'];
+
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (err) {
+    // Modo privado o almacenamiento bloqueado: el formulario funciona igual, sin borrador
+    return null;
+  }
+}
+
+export function loadDraft() {
+  const storage = getStorage();
+  if (!storage) return null;
+  try {
+    const draft = JSON.parse(storage.getItem(draftKey()));
+    if (!draft || typeof draft.formData !== 'object' || !draft.formData) return null;
+    if (!draft.savedAt || Date.now() - draft.savedAt > DRAFT_MAX_AGE_MS) {
+      storage.removeItem(draftKey());
+      return null;
+    }
+    return {
+      formData: draft.formData,
+      step: Number(draft.step) || 0,
+      saveMedical: !!draft.saveMedical
+    };
+  } catch (err) {
+    storage.removeItem(draftKey());
+    return null;
+  }
+}
+
+// El horario no se guarda: la reserva temporal no sobrevive a una recarga
+export function saveDraft({ formData, step, saveMedical }) {
+  const storage = getStorage();
+  if (!storage) return;
+  const data = { ...formData, hora: '' };
+  if (!saveMedical) MEDICAL_FIELDS.forEach(field => delete data[field]);
+  try {
+    storage.setItem(draftKey(), JSON.stringify({ formData: data, step, saveMedical, savedAt: Date.now() }));
+  } catch (err) {
+    console.error('Error saving draft:', err);
+  }
+}
+
+export function clearDraft() {
+  const storage = getStorage();
+  if (storage) storage.removeItem(draftKey());
+}
@@ -0,0 +1,104 @@
+import { DEFAULT_LOCALE, translate } from '../i18n';
+
+// Subirla cada vez que cambie la redacción de consent.text o consent.staffText en algún catálogo:
+// n8n guarda qué versión aceptó cada paciente
+export const CONSENT_VERSION = '2026-10';
+
+export const ALLERGIES = ['penicilina', 'latex', 'anestesicos'];
+export const CONDITIONS = ['diabetes', 'hipertension', 'cardiopatia', 'coagulacion', 'asma', 'epilepsia', 'hepatitis'];
+export const YES_NO = ['si', 'no'];
+export const PREGNANCY_ANSWERS = ['si', 'no', 'noAplica'];
+
+// Nada viene respondido por defecto: un "Ninguna" que el paciente no marcó es un falso negativo para el odontólogo
+export const EMPTY_MEDICAL_HISTORY = {
+  alergias: [],
+  otrasAlergias: '',
+  sinAlergias: false,
+  condiciones: [],
+  otrasCondiciones: '',
+  sinCondiciones: false,
+  medicacion: '',
+  sinMedicacion: false,
+  anticoagulantes: '',
+  embarazo: '',
+  observaciones: ''
+};
+
+const pick = (value, allowed) => (allowed.includes(value) ? value : '');
+const textOf = (value) => (typeof value === 'string' ? value.trim() : '');
+const idsOf = (value, allowed) => (Array.isArray(value) ? allowed.filter(id => value.includes(id)) : []);
+
+// Respuestas guardadas en n8n o en el borrador; lo que no se reconoce queda sin responder
+export function normalizeMedicalHistory(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const alergias = idsOf(raw.alergias, ALLERGIES);
+  const otrasAlergias = textOf(raw.otrasAlergias);
+  const condiciones = idsOf(raw.condiciones, CONDITIONS);
+  const otrasCondiciones = textOf(raw.otrasCondiciones);
+  const medicacion = textOf(raw.medicacion);
+  return {
+    alergias,
+    otrasAlergias,
+    sinAlergias: raw.sinAlergias === true && alergias.length === 0 && !otrasAlergias,
+    condiciones,
+    otrasCondiciones,
+    sinCondiciones: raw.sinCondiciones === true && condiciones.length === 0 && !otrasCondiciones,
+    medicacion,
+    sinMedicacion: raw.sinMedicacion === true && !medicacion,
+    anticoagulantes: pick(raw.anticoagulantes, YES_NO),
+    embarazo: pick(raw.embarazo, PREGNANCY_ANSWERS),
+    observaciones: textOf(raw.observaciones)
+  };
+}
+
+export function isMedicalHistoryComplete(history) {
+  return !!(
+    (history.sinAlergias || history.alergias.length > 0 || history.otrasAlergias.trim()) &&
+    (history.sinCondiciones || history.condiciones.length > 0 || history.otrasCondiciones.trim()) &&
+    (history.sinMedicacion || history.medicacion.trim()) &&
+    history.anticoagulantes &&
+    history.embarazo
+  );
+}
+
+// Marcar una opción desmarca el "ninguna" de esa pregunta
+export function toggleAnswer(history, field, id) {
+  const noneField = field === 'alergias' ? 'sinAlergias' : 'sinCondiciones';
+  const selected = history[field].includes(id) ? history[field].filter(x => x !== id) : [...history[field], id];
+  return { ...history, [field]: selected, [noneField]: false };
+}
+
+export function describeMedicalHistory(history, locale = DEFAULT_LOCALE) {
+  const list = (ids, prefix, other) =>
+    [...ids.map(id => translate(locale, `${prefix}.${id}`)), other.trim()].filter(Boolean).join(', ');
+  return {
+    alergias: history.sinAlergias
+      ? translate(locale, 'medical.noAllergies')
+      : list(history.alergias, 'medical.allergy', history.otrasAlergias),
+    condiciones: history.sinCondiciones
+      ? translate(locale, 'medical.noConditions')
+      : list(history.condiciones, 'medical.condition', history.otrasCondiciones),
+    medicacion: history.sinMedicacion ? translate(locale, 'medical.noMedication') : history.medicacion.trim(),
+    anticoagulantes: history.anticoagulantes ? translate(locale, `medical.answer.${history.anticoagulantes}`) : '',
+    embarazo: history.embarazo ? translate(locale, `medical.answer.${history.embarazo}`) : '',
+    observaciones: history.observaciones.trim()
+  };
+}
+
+// alergias y antecedentes siguen yendo como texto para los flujos de n8n que los leen; en el idioma del consultorio
+export function medicalHistoryToText(history) {
+  const d = describeMedicalHistory(history);
+  const line = (key, value) => (value ? `${translate(DEFAULT_LOCALE, key)}: ${value}` : '');
+  return {
+    alergias: d.alergias,
+    antecedentes: [
+      d.condiciones,
+      line('summary.medication', d.medicacion),
+      line('summary.anticoagulants', d.anticoagulantes),
+      line('summary.pregnancy', d.embarazo),
+      d.observaciones
+    ]
+      .filter(Boolean)
+      .join('. ')
+  };
+}
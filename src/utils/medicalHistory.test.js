@@ -0,0 +1,61 @@
+import {
+  EMPTY_MEDICAL_HISTORY,
+  isMedicalHistoryComplete,
+  medicalHistoryToText,
+  normalizeMedicalHistory,
+  toggleAnswer
+} from './medicalHistory';
+
+const ANSWERED = {
+  ...EMPTY_MEDICAL_HISTORY,
+  sinAlergias: true,
+  sinCondiciones: true,
+  sinMedicacion: true,
+  anticoagulantes: 'no',
+  embarazo: 'noAplica'
+};
+
+describe('normalizeMedicalHistory', () => {
+  test('keeps known answers and drops the rest', () => {
+    expect(
+      normalizeMedicalHistory({
+        alergias: ['latex', 'mariscos'],
+        condiciones: 'diabetes',
+        medicacion: ' Enalapril 10 mg ',
+        sinMedicacion: true,
+        anticoagulantes: 'tal vez',
+        embarazo: 'no'
+      })
+    ).toEqual({
+      ...EMPTY_MEDICAL_HISTORY,
+      alergias: ['latex'],
+      medicacion: 'Enalapril 10 mg',
+      embarazo: 'no'
+    });
+    expect(normalizeMedicalHistory(null)).toBeNull();
+  });
+
+  test('does not keep "none" together with an answer', () => {
+    expect(normalizeMedicalHistory({ sinAlergias: true, otrasAlergias: 'Ibuprofeno' }).sinAlergias).toBe(false);
+  });
+});
+
+describe('isMedicalHistoryComplete', () => {
+  test('needs an explicit answer to every question', () => {
+    expect(isMedicalHistoryComplete(EMPTY_MEDICAL_HISTORY)).toBe(false);
+    expect(isMedicalHistoryComplete(ANSWERED)).toBe(true);
+    expect(isMedicalHistoryComplete({ ...ANSWERED, embarazo: '' })).toBe(false);
+    expect(isMedicalHistoryComplete(toggleAnswer({ ...ANSWERED, sinAlergias: true }, 'alergias', 'latex'))).toBe(true);
+  });
+});
+
+describe('medicalHistoryToText', () => {
+  test('writes the answers in Spanish for the n8n flows that read text', () => {
+    const answers = { ...ANSWERED, medicacion: 'Acenocumarol', sinMedicacion: false, anticoagulantes: 'si' };
+    const history = toggleAnswer(answers, 'alergias', 'penicilina');
+    expect(medicalHistoryToText(history)).toEqual({
+      alergias: 'Penicilina',
+      antecedentes: 'Ninguna enfermedad ni condición. Medicación: Acenocumarol. Anticoagulantes: Sí. Embarazo: No corresponde'
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import OBRAS_SOCIALES_DATA from '../data/obras_sociales.json';
+import { DEFAULT_LOCALE, pickTranslation, translate } from '../i18n';
+
+export const PARTICULAR = {
+  id: 'particular',
+  name: 'Particular',
+  label: 'Particular (sin obra social)',
+  aliases: ['sin obra social', 'ninguna', 'no tengo'],
+  requiresAffiliateNumber: false,
+  affiliatePattern: null,
+  affiliateExample: '',
+  coveredTypes: null,
+  translations: {
+    en: { label: 'Private (no health insurance)', aliases: ['private', 'none', 'no insurance'] },
+    'pt-BR': { label: 'Particular (sem convênio)', aliases: ['sem convenio', 'nenhum', 'nao tenho'] }
+  }
+};
+
+// affiliatePattern y affiliateExample quedan en null mientras no se conozca el formato real del carnet de cada
+// obra social: solo se pide que el número no esté vacío. Lo mismo con coveredTypes: sin la cobertura real no se avisa
+// que un tratamiento no está cubierto. Cada consultorio puede definirlos en su clinic.json
+export const OBRAS_SOCIALES = [PARTICULAR, ...OBRAS_SOCIALES_DATA];
+
+function normalizeObraSocial(raw) {
+  return {
+    id: String(raw.id),
+    name: String(raw.name),
+    aliases: Array.isArray(raw.aliases) ? raw.aliases : [],
+    requiresAffiliateNumber: !!raw.requiresAffiliateNumber,
+    affiliatePattern: raw.affiliatePattern || null,
+    affiliateExample: raw.affiliateExample || '',
+    coveredTypes: Array.isArray(raw.coveredTypes) ? raw.coveredTypes : null,
+    ...(raw.translations ? { translations: raw.translations } : {})
+  };
+}
+
+// Obras sociales que acepta el consultorio (obrasSociales en clinic.json): ids de src/data/obras_sociales.json
+// u objetos con la definición completa, que también pueden pisar a una del listado. Particular siempre está
+export function normalizeObrasSociales(raw) {
+  if (!Array.isArray(raw)) return OBRAS_SOCIALES;
+  const accepted = raw
+    .map(entry => {
+      if (typeof entry === 'string') return OBRAS_SOCIALES_DATA.find(o => o.id === entry) || null;
+      if (!entry || typeof entry !== 'object' || !entry.id) return null;
+      const merged = { ...OBRAS_SOCIALES_DATA.find(o => o.id === entry.id), ...entry };
+      return merged.name ? normalizeObraSocial(merged) : null;
+    })
+    .filter(o => o && o.id !== PARTICULAR.id);
+  return [PARTICULAR, ...accepted];
+}
+
+export function normalizeText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function normalizeAffiliateNumber(value) {
+  return (value || '').replace(/[\s./-]/g, '').toUpperCase();
+}
+
+// El name es el que se envía a n8n; en otros idiomas solo cambia lo que ve el paciente
+export function getObraSocialLabel(obraSocial, locale = DEFAULT_LOCALE) {
+  if (!obraSocial) return '';
+  const translated = pickTranslation(obraSocial.translations, locale);
+  return translated.label || translated.name || obraSocial.label || obraSocial.name;
+}
+
+export function findObraSocial(id, obrasSociales = OBRAS_SOCIALES) {
+  return obrasSociales.find(o => o.id === id) || null;
+}
+
+// Busca por nombre o alias; sirve para mapear el texto libre que devuelve check-patient
+export function matchObraSocial(text, obrasSociales = OBRAS_SOCIALES) {
+  const query = normalizeText(text);
+  if (!query) return null;
+  const candidates = o => [o.name, o.label, ...(o.aliases || [])].filter(Boolean).map(normalizeText);
+  return (
+    obrasSociales.find(o => candidates(o).includes(query)) ||
+    obrasSociales.find(o => candidates(o).some(c => query.startsWith(`${c} `))) ||
+    null
+  );
+}
+
+export function filterObrasSociales(query, locale = DEFAULT_LOCALE, obrasSociales = OBRAS_SOCIALES) {
+  const q = normalizeText(query);
+  if (!q) return obrasSociales;
+  return obrasSociales.filter(o => {
+    const translated = pickTranslation(o.translations, locale);
+    return [o.name, o.label, ...(o.aliases || []), translated.label, translated.name, ...(translated.aliases || [])]
+      .filter(Boolean)
+      .some(c => normalizeText(c).includes(q));
+  });
+}
+
+export function validateAffiliateNumber(obraSocial, value, locale = DEFAULT_LOCALE) {
+  if (!obraSocial || !obraSocial.requiresAffiliateNumber) return '';
+  const normalized = normalizeAffiliateNumber(value);
+  const params = { obraSocial: getObraSocialLabel(obraSocial, locale), example: obraSocial.affiliateExample };
+  if (!normalized) return translate(locale, 'validation.affiliateRequired', params);
+  if (obraSocial.affiliatePattern && !new RegExp(obraSocial.affiliatePattern).test(normalized)) {
+    return translate(locale, obraSocial.affiliateExample ? 'validation.affiliateFormatExample' : 'validation.affiliateFormat', params);
+  }
+  return '';
+}
+
+export function isTypeCovered(obraSocial, typeId) {
+  if (!obraSocial || !typeId || !Array.isArray(obraSocial.coveredTypes)) return true;
+  return obraSocial.coveredTypes.includes(typeId);
+}
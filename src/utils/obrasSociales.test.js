@@ -0,0 +1,27 @@
+import { findObraSocial, isTypeCovered, normalizeObrasSociales, validateAffiliateNumber } from './obrasSociales';
+
+describe('validateAffiliateNumber', () => {
+  test('only asks for a number when the insurer format is unknown', () => {
+    const swiss = findObraSocial('swiss_medical');
+    expect(validateAffiliateNumber(swiss, '')).toMatch(/afiliado/);
+    expect(validateAffiliateNumber(swiss, '80 012345/67-A')).toBe('');
+  });
+
+  test('checks the format a clinic defines in its clinic.json', () => {
+    const [, custom] = normalizeObrasSociales([{ id: 'swiss_medical', affiliatePattern: '^[0-9]{11}$', affiliateExample: '80012345678' }]);
+    expect(validateAffiliateNumber(custom, '6123')).toMatch(/80012345678/);
+    expect(validateAffiliateNumber(custom, '800 123 456 78')).toBe('');
+  });
+});
+
+describe('isTypeCovered', () => {
+  test('does not warn while the insurer coverage is unknown', () => {
+    expect(isTypeCovered(findObraSocial('swiss_medical'), 'carillas')).toBe(true);
+  });
+
+  test('uses the coverage a clinic defines in its clinic.json', () => {
+    const [, custom] = normalizeObrasSociales([{ id: 'swiss_medical', coveredTypes: ['consulta', 'limpieza'] }]);
+    expect(isTypeCovered(custom, 'limpieza')).toBe(true);
+    expect(isTypeCovered(custom, 'carillas')).toBe(false);
+  });
+});
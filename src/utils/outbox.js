@@ -0,0 +1,100 @@
+import { tenantStorageKey } from './tenant';
+
+// Turnos que no se pudieron enviar por falta de conexión. Se guardan en el dispositivo con su clave de idempotencia
+// (la misma que lleva el payload) para que n8n no duplique el turno si un reintento llega dos veces
+const OUTBOX_KEY = 'turnos-booking:outbox:v1';
+const outboxKey = () => tenantStorageKey(OUTBOX_KEY);
+
+// Como en el borrador, los datos de salud solo se escriben en el dispositivo si el paciente lo pidió (saveMedical);
+// si no, el payload completo queda en memoria y el turno solo se puede reenviar desde esta misma pestaña
+const MEDICAL_FIELDS = ['alergias', 'antecedentes', 'historiaClinica', 'consentimiento'];
+const memoryPayloads = new Map();
+
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (err) {
+    return null;
+  }
+}
+
+export function createIdempotencyKey() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+export function loadOutbox() {
+  const storage = getStorage();
+  if (!storage) return [];
+  try {
+    const entries = JSON.parse(storage.getItem(outboxKey()));
+    return Array.isArray(entries) ? entries.filter(entry => entry && entry.id && entry.status) : [];
+  } catch (err) {
+    storage.removeItem(outboxKey());
+    return [];
+  }
+}
+
+function saveOutbox(entries) {
+  const storage = getStorage();
+  if (!storage) return false;
+  try {
+    if (entries.length === 0) storage.removeItem(outboxKey());
+    else storage.setItem(outboxKey(), JSON.stringify(entries));
+    return true;
+  } catch (err) {
+    console.error('Error saving outbox:', err);
+    return false;
+  }
+}
+
+// Devuelve null si el navegador no deja guardar: sin bandeja de salida el turno no puede quedar pendiente
+export function queueAppointment(payload, { keepMedical = false } = {}) {
+  // Cuando se reenvía, la reserva temporal del horario ya venció: el turno se pide sin ella
+  const resend = { ...payload };
+  delete resend.holdToken;
+  const stored = { ...resend };
+  if (!keepMedical) MEDICAL_FIELDS.forEach(field => delete stored[field]);
+  const entry = {
+    id: payload.idempotencyKey,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    payload: stored,
+    medicalStored: keepMedical,
+    summary: {
+      nombre: payload.nombre,
+      tipoTurnoNombre: payload.tipoTurnoNombre,
+      fechaHora: payload.fechaHora,
+      timezone: payload.timezone
+    }
+  };
+  const entries = loadOutbox().filter(e => e.id !== entry.id);
+  if (!saveOutbox([...entries, entry])) return null;
+  memoryPayloads.set(entry.id, resend);
+  return entry;
+}
+
+// Lo que se reenvía a n8n; null si los datos de salud no se guardaron y la pestaña que los tenía ya se cerró
+export function outboxPayload(entry) {
+  if (memoryPayloads.has(entry.id)) return memoryPayloads.get(entry.id);
+  return entry.medicalStored ? entry.payload : null;
+}
+
+// Una vez que n8n respondió ya no hace falta el payload: los datos de salud no quedan guardados en el dispositivo.
+// reason: 'slotLost' | 'expired' | 'medicalMissing' cuando el turno no se pudo registrar por algo conocido
+export function resolveOutboxEntry(id, changes) {
+  memoryPayloads.delete(id);
+  saveOutbox(loadOutbox().map(entry => (entry.id === id ? { ...entry, ...changes, payload: null } : entry)));
+}
+
+// Un turno cuyo horario ya pasó no se reenvía más
+export function expireOutboxEntries(now = new Date()) {
+  loadOutbox()
+    .filter(entry => entry.status === 'pending' && new Date(entry.summary.fechaHora) <= now)
+    .forEach(entry => resolveOutboxEntry(entry.id, { status: 'failed', reason: 'expired' }));
+}
+
+export function removeOutboxEntry(id) {
+  memoryPayloads.delete(id);
+  saveOutbox(loadOutbox().filter(entry => entry.id !== id));
+}
@@ -0,0 +1,90 @@
+import {
+  expireOutboxEntries,
+  loadOutbox,
+  outboxPayload,
+  queueAppointment,
+  removeOutboxEntry,
+  resolveOutboxEntry
+} from './outbox';
+
+const PAYLOAD = {
+  idempotencyKey: 'key-1',
+  dni: '30111222',
+  nombre: 'Ana Pérez',
+  tipoTurnoNombre: 'Consulta',
+  fechaHora: '2026-10-20T10:00:00-03:00',
+  timezone: 'America/Argentina/Buenos_Aires',
+  alergias: 'Sin alergias conocidas',
+  antecedentes: 'Ninguna enfermedad ni condición',
+  historiaClinica: { sinAlergias: true },
+  consentimiento: { aceptado: true, version: '2026-10' }
+};
+
+const storedEntries = () => JSON.parse(localStorage.getItem('turnos-booking:outbox:v1'));
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('queueAppointment', () => {
+  test('queues each booking once under its idempotency key', () => {
+    queueAppointment(PAYLOAD);
+    queueAppointment(PAYLOAD);
+    expect(loadOutbox()).toEqual([expect.objectContaining({ id: 'key-1', status: 'pending' })]);
+  });
+
+  test('keeps the health data in memory only unless the patient chose to save it', () => {
+    const entry = queueAppointment(PAYLOAD);
+    const [stored] = storedEntries();
+    expect(stored.payload).toEqual({
+      idempotencyKey: 'key-1',
+      dni: '30111222',
+      nombre: 'Ana Pérez',
+      tipoTurnoNombre: 'Consulta',
+      fechaHora: '2026-10-20T10:00:00-03:00',
+      timezone: 'America/Argentina/Buenos_Aires'
+    });
+    expect(outboxPayload(entry)).toEqual(PAYLOAD);
+    // Después de recargar la página los datos de salud ya no están: no se puede reenviar
+    jest.isolateModules(() => {
+      expect(require('./outbox').outboxPayload(stored)).toBeNull();
+    });
+
+    removeOutboxEntry('key-1');
+    queueAppointment(PAYLOAD, { keepMedical: true });
+    expect(outboxPayload(storedEntries()[0])).toEqual(PAYLOAD);
+  });
+
+  test('drops the slot hold, which has expired by the time the booking is resent', () => {
+    const entry = queueAppointment({ ...PAYLOAD, holdToken: 'hold-1' }, { keepMedical: true });
+    expect(outboxPayload(entry)).toEqual(PAYLOAD);
+    expect(storedEntries()[0].payload).not.toHaveProperty('holdToken');
+  });
+});
+
+describe('resolveOutboxEntry', () => {
+  test('drops the payload once n8n answered', () => {
+    queueAppointment(PAYLOAD, { keepMedical: true });
+    resolveOutboxEntry('key-1', { status: 'confirmed', confirmation: { confirmationCode: 'AB12CD' } });
+    const [entry] = loadOutbox();
+    expect(entry).toMatchObject({ status: 'confirmed', payload: null, summary: { nombre: 'Ana Pérez', tipoTurnoNombre: 'Consulta' } });
+    expect(outboxPayload(entry)).toBeNull();
+
+    removeOutboxEntry('key-1');
+    expect(localStorage.getItem('turnos-booking:outbox:v1')).toBeNull();
+  });
+});
+
+describe('expireOutboxEntries', () => {
+  test('gives up on pending bookings whose time already passed', () => {
+    queueAppointment(PAYLOAD);
+    queueAppointment({ ...PAYLOAD, idempotencyKey: 'key-2', fechaHora: '2026-10-22T10:00:00-03:00' });
+
+    expireOutboxEntries(new Date('2026-10-20T13:00:00Z'));
+
+    expect(loadOutbox()).toEqual([
+      expect.objectContaining({ id: 'key-1', status: 'failed', reason: 'expired', payload: null }),
+      expect.objectContaining({ id: 'key-2', status: 'pending' })
+    ]);
+  });
+});
@@ -0,0 +1,47 @@
+export const ANY_PROFESSIONAL = {
+  id: 'cualquiera',
+  name: 'Cualquier profesional disponible',
+  appointmentTypes: null
+};
+
+export function normalizeProfessionals(raw) {
+  const items = Array.isArray(raw) ? raw : (raw && raw.professionals) || [];
+  return items
+    .map(p => ({
+      id: p.id,
+      name: p.name || p.nombre || '',
+      appointmentTypes: Array.isArray(p.appointmentTypes) ? p.appointmentTypes : p.tiposTurno || null
+    }))
+    .filter(p => p.id && p.name);
+}
+
+export function findProfessional(professionals, id) {
+  return professionals.find(p => p.id === id) || null;
+}
+
+export function offersType(professional, typeId) {
+  return !Array.isArray(professional.appointmentTypes) || professional.appointmentTypes.includes(typeId);
+}
+
+// Profesionales cuyos turnos se consultan: la elegida o, en modo "cualquiera", todas las que hacen ese tipo
+export function getCandidateProfessionals(professionals, profesionalId, typeId) {
+  if (professionals.length === 0) return [];
+  if (professionals.length === 1) return professionals;
+  if (profesionalId === ANY_PROFESSIONAL.id) return professionals.filter(p => !typeId || offersType(p, typeId));
+  const professional = findProfessional(professionals, profesionalId);
+  return professional ? [professional] : [];
+}
+
+export function filterTypesForProfessionals(types, candidates) {
+  if (candidates.length === 0) return types;
+  return types.filter(t => candidates.some(p => offersType(p, t.id)));
+}
+
+export function mergeSlotOwners(slotsByProfessional) {
+  return slotsByProfessional.reduce((owners, { profesionalId, slots }) => {
+    slots.forEach(slot => {
+      owners[slot] = [...(owners[slot] || []), profesionalId].filter(Boolean);
+    });
+    return owners;
+  }, {});
+}
@@ -0,0 +1,77 @@
+import {
+  DEFAULT_TIMEZONE,
+  addDays,
+  dateValueInZone,
+  formatDateLabel,
+  parseDateValue,
+  toDateValue,
+  zonedDateTimeToDate
+} from './dates';
+import { DEFAULT_LOCALE, translate } from '../i18n';
+
+export const DEFAULT_SCHEDULE = {
+  workDays: [1, 2, 3, 4], // Lunes a Jueves
+  horizonDays: 14,
+  minLeadHours: 24,
+  holidays: [],
+  blockedDates: [],
+  exceptions: []
+};
+
+export function normalizeSchedule(raw) {
+  const data = raw && typeof raw === 'object' ? raw : {};
+  const list = (value) => (Array.isArray(value) ? value : []);
+  return {
+    workDays: Array.isArray(data.workDays) ? data.workDays.map(Number) : DEFAULT_SCHEDULE.workDays,
+    horizonDays: Number(data.horizonDays) > 0 ? Number(data.horizonDays) : DEFAULT_SCHEDULE.horizonDays,
+    minLeadHours: Number(data.minLeadHours) >= 0 ? Number(data.minLeadHours) : DEFAULT_SCHEDULE.minLeadHours,
+    holidays: list(data.holidays).filter(h => h && h.date),
+    blockedDates: list(data.blockedDates).filter(b => b && b.date),
+    exceptions: list(data.exceptions).filter(e => e && e.from && e.to)
+  };
+}
+
+function findException(schedule, value) {
+  return schedule.exceptions.find(e => e.from <= value && value <= e.to) || null;
+}
+
+// Estado de un día según la configuración: null si no se atiende, { available, reason } si se muestra
+export function getDayStatus(schedule, date, locale = DEFAULT_LOCALE) {
+  const value = toDateValue(date);
+  const exception = findException(schedule, value);
+  const workDays = exception && Array.isArray(exception.workDays) ? exception.workDays : schedule.workDays;
+  if (!workDays.includes(date.getDay())) return null;
+
+  // Los motivos cargados en la agenda se muestran tal cual; los genéricos se traducen
+  if (exception && exception.closed) {
+    return { available: false, reason: exception.reason || translate(locale, 'schedule.closed') };
+  }
+  const holiday = schedule.holidays.find(h => h.date === value);
+  if (holiday) return { available: false, reason: holiday.reason || translate(locale, 'schedule.holiday') };
+  const blocked = schedule.blockedDates.find(b => b.date === value);
+  if (blocked) return { available: false, reason: blocked.reason || translate(locale, 'schedule.unavailable') };
+  return { available: true, reason: '' };
+}
+
+// Días reservables contados desde "hoy" en la zona del consultorio
+export function getScheduleDates(schedule, { timeZone = DEFAULT_TIMEZONE, now = new Date(), locale = DEFAULT_LOCALE } = {}) {
+  const dates = [];
+  const earliest = now.getTime() + schedule.minLeadHours * 60 * 60 * 1000;
+  const today = dateValueInZone(now, timeZone);
+  for (let i = 0; i <= schedule.horizonDays; i++) {
+    const value = addDays(today, i);
+    const dayEnd = zonedDateTimeToDate(addDays(value, 1), '00:00', timeZone);
+    if (dayEnd.getTime() <= earliest) continue;
+
+    const d = parseDateValue(value);
+    const status = getDayStatus(schedule, d, locale);
+    if (!status) continue;
+    dates.push({ value, label: formatDateLabel(d, locale), ...status });
+  }
+  return dates;
+}
+
+export function filterSlotsByLeadTime(schedule, fecha, slots, { timeZone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  const earliest = now.getTime() + schedule.minLeadHours * 60 * 60 * 1000;
+  return slots.filter(slot => zonedDateTimeToDate(fecha, slot, timeZone).getTime() >= earliest);
+}
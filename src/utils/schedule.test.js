@@ -0,0 +1,81 @@
+import { filterSlotsByLeadTime, getDayStatus, getScheduleDates, normalizeSchedule } from './schedule';
+import { parseDateValue } from './dates';
+
+const BUENOS_AIRES = 'America/Argentina/Buenos_Aires';
+
+describe('getScheduleDates', () => {
+  const schedule = {
+    workDays: [1, 2, 3, 4],
+    horizonDays: 3,
+    minLeadHours: 0,
+    holidays: [],
+    blockedDates: [],
+    exceptions: []
+  };
+
+  test('"today" is the clinic date even when it is already tomorrow in UTC', () => {
+    // Lunes 19 a las 23:00 en Tucumán, martes 20 a las 02:00 UTC
+    const now = new Date('2026-10-20T02:00:00Z');
+    const dates = getScheduleDates(schedule, { timeZone: BUENOS_AIRES, now });
+    expect(dates.map(d => d.value)).toEqual(['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22']);
+    expect(dates[0].label).toBe('lunes, 19 de octubre de 2026');
+  });
+
+  test('skips days that end before the minimum lead time', () => {
+    const now = new Date('2026-10-19T12:00:00Z'); // lunes 09:00 en Tucumán
+    const dates = getScheduleDates({ ...schedule, minLeadHours: 24 }, { timeZone: BUENOS_AIRES, now });
+    expect(dates[0].value).toBe('2026-10-20');
+  });
+
+  test('keeps holidays and blocked days visible but not bookable', () => {
+    const now = new Date('2026-11-23T12:00:00Z');
+    const dates = getScheduleDates(
+      {
+        ...schedule,
+        holidays: [{ date: '2026-11-23', reason: 'Día de la Soberanía Nacional' }],
+        blockedDates: [{ date: '2026-11-25' }]
+      },
+      { timeZone: BUENOS_AIRES, now }
+    );
+    expect(dates).toEqual([
+      expect.objectContaining({ value: '2026-11-23', available: false, reason: 'Día de la Soberanía Nacional' }),
+      expect.objectContaining({ value: '2026-11-24', available: true }),
+      expect.objectContaining({ value: '2026-11-25', available: false, reason: 'Sin atención' }),
+      expect.objectContaining({ value: '2026-11-26', available: true })
+    ]);
+  });
+});
+
+describe('filterSlotsByLeadTime', () => {
+  const schedule = normalizeSchedule({ minLeadHours: 2 });
+
+  test('the lead time is measured against clinic wall time', () => {
+    const now = new Date('2026-10-20T12:00:00Z'); // 09:00 en Tucumán
+    const slots = filterSlotsByLeadTime(schedule, '2026-10-20', ['10:30', '11:00', '11:30'], { timeZone: BUENOS_AIRES, now });
+    expect(slots).toEqual(['11:00', '11:30']);
+  });
+});
+
+describe('getDayStatus', () => {
+  const schedule = normalizeSchedule({
+    workDays: [1, 2, 3, 4],
+    exceptions: [
+      { from: '2026-12-21', to: '2026-12-31', workDays: [1, 2], reason: 'Horario de verano' },
+      { from: '2027-01-04', to: '2027-01-15', closed: true, reason: 'Vacaciones' }
+    ]
+  });
+
+  test('ignores days the clinic does not work', () => {
+    expect(getDayStatus(schedule, parseDateValue('2026-10-23'))).toBeNull();
+    expect(getDayStatus(schedule, parseDateValue('2026-10-22'))).toEqual({ available: true, reason: '' });
+  });
+
+  test('applies the work days of an exception range', () => {
+    expect(getDayStatus(schedule, parseDateValue('2026-12-23'))).toBeNull();
+    expect(getDayStatus(schedule, parseDateValue('2026-12-22'))).toEqual({ available: true, reason: '' });
+  });
+
+  test('marks closed exception ranges as not bookable', () => {
+    expect(getDayStatus(schedule, parseDateValue('2027-01-05'))).toEqual({ available: false, reason: 'Vacaciones' });
+  });
+});
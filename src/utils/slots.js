@@ -0,0 +1,20 @@
+function toMinutes(slot) {
+  const [hh, mm] = slot.split(':').map(Number);
+  return hh * 60 + mm;
+}
+
+export function findNearestSlots(slots, target, count = 3) {
+  if (!target) return slots.slice(0, count);
+  const targetMinutes = toMinutes(target);
+  return slots
+    .filter(slot => slot !== target)
+    .sort((a, b) => Math.abs(toMinutes(a) - targetMinutes) - Math.abs(toMinutes(b) - targetMinutes))
+    .slice(0, count)
+    .sort();
+}
+
+export function formatCountdown(seconds) {
+  const mm = Math.floor(seconds / 60);
+  const ss = String(seconds % 60).padStart(2, '0');
+  return `${mm}:${ss}`;
+}
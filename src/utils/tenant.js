@@ -0,0 +1,31 @@
+// Un mismo build atiende a varios consultorios: cada uno se identifica por un slug en la ruta
+// (/c/<slug>) o en el subdominio (<slug>.REACT_APP_TENANT_DOMAIN). Sin slug se usa la configuración de public/
+const PUBLIC_URL = process.env.PUBLIC_URL || '';
+const SUBDOMAIN_PATTERN = /^[a-z0-9-]+$/;
+
+export function resolveTenant(location = window.location, domain = process.env.REACT_APP_TENANT_DOMAIN || '') {
+  const path = location.pathname.startsWith(PUBLIC_URL) ? location.pathname.slice(PUBLIC_URL.length) : location.pathname;
+  const match = path.match(/^\/c\/([^/]+)/);
+  if (match) {
+    return { slug: decodeURIComponent(match[1]).toLowerCase(), basePath: `${PUBLIC_URL}/c/${match[1]}` };
+  }
+  const suffix = `.${domain.toLowerCase().replace(/^\.+/, '')}`;
+  const host = (location.hostname || '').toLowerCase();
+  if (domain && host.endsWith(suffix)) {
+    const slug = host.slice(0, -suffix.length);
+    if (SUBDOMAIN_PATTERN.test(slug)) return { slug, basePath: PUBLIC_URL };
+  }
+  return { slug: null, basePath: PUBLIC_URL };
+}
+
+// Cada consultorio se instala como su propia app: public/tenants/<slug>/manifest.json tiene start_url y scope en
+// /c/<slug>/ (relativos al manifest, así funcionan con cualquier PUBLIC_URL). Sin slug se usa el de public/
+export function tenantManifestUrl(tenant = resolveTenant()) {
+  const dir = tenant.slug ? `/tenants/${encodeURIComponent(tenant.slug)}` : '';
+  return `${PUBLIC_URL}${dir}/manifest.json`;
+}
+
+// Borradores y sesiones de recepción no se comparten entre consultorios del mismo dominio
+export function tenantStorageKey(key, tenant = resolveTenant()) {
+  return tenant.slug ? `${key}:${tenant.slug}` : key;
+}
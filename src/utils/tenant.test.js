@@ -0,0 +1,42 @@
+import { resolveTenant, tenantManifestUrl, tenantStorageKey } from './tenant';
+
+const at = (url) => {
+  const { pathname, hostname } = new URL(url);
+  return { pathname, hostname };
+};
+
+describe('resolveTenant', () => {
+  test('reads the clinic slug from /c/<slug>', () => {
+    expect(resolveTenant(at('https://turnos.example.com/c/Sonrisas/admin'))).toEqual({
+      slug: 'sonrisas',
+      basePath: '/c/Sonrisas'
+    });
+  });
+
+  test('reads the clinic slug from the subdomain of the configured domain', () => {
+    expect(resolveTenant(at('https://sonrisas.turnos.example.com/admin'), 'turnos.example.com')).toEqual({
+      slug: 'sonrisas',
+      basePath: ''
+    });
+  });
+
+  test('falls back to the default clinic', () => {
+    expect(resolveTenant(at('https://turnos.example.com/'), 'turnos.example.com')).toEqual({ slug: null, basePath: '' });
+    expect(resolveTenant(at('https://sonrisas.turnos.example.com/'))).toEqual({ slug: null, basePath: '' });
+    expect(resolveTenant(at('https://a.b.turnos.example.com/'), 'turnos.example.com')).toEqual({ slug: null, basePath: '' });
+  });
+});
+
+describe('tenantStorageKey', () => {
+  test('keeps the key of the default clinic and scopes the others', () => {
+    expect(tenantStorageKey('turnos-booking:draft:v1', { slug: null })).toBe('turnos-booking:draft:v1');
+    expect(tenantStorageKey('turnos-booking:draft:v1', { slug: 'sonrisas' })).toBe('turnos-booking:draft:v1:sonrisas');
+  });
+});
+
+describe('tenantManifestUrl', () => {
+  test('uses the manifest of the clinic directory, or the default one without a slug', () => {
+    expect(tenantManifestUrl({ slug: 'sonrisas' })).toBe('/tenants/sonrisas/manifest.json');
+    expect(tenantManifestUrl({ slug: null })).toBe('/manifest.json');
+  });
+});
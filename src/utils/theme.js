@@ -0,0 +1,38 @@
+// Tonos que usa la interfaz. En public/index.html las clases teal-* leen las variables de primary y las blue-* las de accent
+export const THEME_SHADES = {
+  primary: ['50', '100', '200', '300', '500', '600', '700', '800', '900'],
+  accent: ['50', '600', '700']
+};
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// { primary: { 600: '#0d9488', ... }, accent: { ... } }; los tonos que faltan quedan con los colores por defecto
+export function normalizeTheme(raw) {
+  const data = raw && typeof raw === 'object' ? raw : {};
+  return Object.fromEntries(
+    Object.entries(THEME_SHADES).map(([palette, shades]) => {
+      const colors = data[palette] && typeof data[palette] === 'object' ? data[palette] : {};
+      return [palette, Object.fromEntries(shades.filter(shade => HEX_COLOR.test(colors[shade])).map(shade => [shade, colors[shade]]))];
+    })
+  );
+}
+
+// Tailwind espera los canales separados por espacios para poder aplicar opacidades (bg-teal-50/50)
+export function hexToRgbChannels(hex) {
+  const digits = hex.slice(1);
+  const full = digits.length === 3 ? digits.split('').map(d => d + d).join('') : digits;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16)).join(' ');
+}
+
+export function applyTheme(theme, root = document.documentElement) {
+  Object.entries(THEME_SHADES).forEach(([palette, shades]) => {
+    shades.forEach(shade => {
+      const color = theme[palette][shade];
+      const property = `--color-${palette}-${shade}`;
+      if (color) root.style.setProperty(property, hexToRgbChannels(color));
+      else root.style.removeProperty(property);
+    });
+  });
+  const meta = document.querySelector('meta[name="theme-color"]');
+  if (meta && theme.primary['600']) meta.setAttribute('content', theme.primary['600']);
+}
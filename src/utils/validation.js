@@ -0,0 +1,101 @@
+import { DEFAULT_LOCALE, translate } from '../i18n';
+import { ageOn, parseDateValue, toDateValue } from './dates';
+
+// Códigos de área de 3 dígitos; el 11 es el único de 2 y el resto son de 4
+const THREE_DIGIT_AREA_CODES = [
+  '220', '221', '223', '230', '236', '237', '249', '260', '261', '263', '264', '266', '280', '291', '294', '297',
+  '298', '299', '336', '341', '342', '343', '345', '348', '351', '353', '358', '362', '364', '370', '376', '379',
+  '380', '381', '383', '385', '387', '388'
+];
+
+// Número nacional argentino sin 0 ni 15: código de área + abonado siempre suman 10 dígitos
+const NATIONAL_LENGTH = 10;
+
+export function normalizeDni(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+export function validateDni(value, locale = DEFAULT_LOCALE) {
+  const dni = normalizeDni(value);
+  if (!dni) return translate(locale, 'validation.dniRequired');
+  if (dni.length < 7 || dni.length > 8) return translate(locale, 'validation.dniLength');
+  if (dni.startsWith('0')) return translate(locale, 'validation.dniLeadingZero');
+  return '';
+}
+
+export function isValidDni(value) {
+  return validateDni(value) === '';
+}
+
+const MAX_AGE = 120;
+
+// today es la fecha del consultorio (YYYY-MM-DD): el turno se da según su calendario
+export function validateBirthDate(value, today, locale = DEFAULT_LOCALE) {
+  if (!value) return translate(locale, 'validation.birthDateRequired');
+  const valid = /^\d{4}-\d{2}-\d{2}$/.test(value) && toDateValue(parseDateValue(value)) === value;
+  if (!valid || ageOn(value, today) > MAX_AGE) return translate(locale, 'validation.birthDateInvalid');
+  if (value > today) return translate(locale, 'validation.birthDateFuture');
+  return '';
+}
+
+function areaCodeLength(digits) {
+  if (digits.startsWith('11')) return 2;
+  if (THREE_DIGIT_AREA_CODES.includes(digits.slice(0, 3))) return 3;
+  return 4;
+}
+
+// Acepta formatos como "0381 15 123-4567", "381 4123456", "15 1234567" o "+54 9 381 1234567".
+// areaCode es la característica del consultorio (areaCode en clinic.json): sin ella no se completan los números locales
+export function parseArgentinePhone(value, locale = DEFAULT_LOCALE, areaCode = '') {
+  const raw = String(value || '').trim();
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) return { e164: '', areaCode: '', number: '', error: translate(locale, 'validation.phoneRequired') };
+
+  const international = raw.startsWith('+') || digits.startsWith('00');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (international || (digits.startsWith('54') && digits.length > NATIONAL_LENGTH)) {
+    if (!digits.startsWith('54')) {
+      return { e164: '', areaCode: '', number: '', error: translate(locale, 'validation.phoneNotArgentine') };
+    }
+    digits = digits.slice(2);
+    if (digits.startsWith('9') && digits.length === NATIONAL_LENGTH + 1) digits = digits.slice(1);
+  } else if (digits.startsWith('0')) {
+    digits = digits.slice(1);
+  }
+
+  // Número local sin característica: se completa con la del consultorio
+  const localLength = NATIONAL_LENGTH - areaCode.length;
+  if (areaCode && digits.startsWith('15') && digits.length === localLength + 2) {
+    digits = areaCode + digits.slice(2);
+  } else if (areaCode && digits.length === localLength) {
+    digits = areaCode + digits;
+  }
+
+  const areaLength = areaCodeLength(digits);
+  if (digits.length === NATIONAL_LENGTH + 2 && digits.slice(areaLength, areaLength + 2) === '15') {
+    digits = digits.slice(0, areaLength) + digits.slice(areaLength + 2);
+  }
+
+  if (digits.length !== NATIONAL_LENGTH || !/^[1-3]/.test(digits)) {
+    return {
+      e164: '',
+      areaCode: '',
+      number: '',
+      error: translate(locale, 'validation.phoneFormat', {
+        example: areaCode ? `${areaCode} 15 ${'1234567'.slice(0, localLength)}` : '11 15 1234-5678'
+      })
+    };
+  }
+
+  // WhatsApp necesita el 9 de celular en el formato internacional
+  return {
+    e164: `+549${digits}`,
+    areaCode: digits.slice(0, areaLength),
+    number: digits.slice(areaLength),
+    error: ''
+  };
+}
+
+export function formatArgentinePhone({ areaCode, number }) {
+  return areaCode ? `+54 9 ${areaCode} ${number}` : '';
+}
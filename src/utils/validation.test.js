@@ -0,0 +1,81 @@
+import { parseArgentinePhone, validateBirthDate, validateDni } from './validation';
+
+const TUCUMAN = { e164: '+5493811234567', areaCode: '381', number: '1234567', error: '' };
+
+describe('parseArgentinePhone', () => {
+  test('drops the 0 and the 15 of the national format', () => {
+    expect(parseArgentinePhone('0381 15 123-4567')).toEqual(TUCUMAN);
+    expect(parseArgentinePhone('381 1234567')).toEqual(TUCUMAN);
+  });
+
+  test('accepts the international format with +54 or 00 54', () => {
+    expect(parseArgentinePhone('+54 9 381 1234567')).toEqual(TUCUMAN);
+    expect(parseArgentinePhone('+54 381 1234567')).toEqual(TUCUMAN);
+    expect(parseArgentinePhone('00 54 9 381 1234567')).toEqual(TUCUMAN);
+  });
+
+  test('completes local numbers with the area code of the clinic', () => {
+    expect(parseArgentinePhone('15 1234567', 'es-AR', '381')).toEqual(TUCUMAN);
+    expect(parseArgentinePhone('123-4567', 'es-AR', '381')).toEqual(TUCUMAN);
+    expect(parseArgentinePhone('15 1234567').error).toBe('Ingresá el número con código de área, p. ej. 11 15 1234-5678.');
+    expect(parseArgentinePhone('15 123', 'es-AR', '381').error).toBe(
+      'Ingresá el número con código de área, p. ej. 381 15 1234567.'
+    );
+  });
+
+  test('reads Buenos Aires numbers with their 2-digit area code', () => {
+    const buenosAires = { e164: '+5491123456789', areaCode: '11', number: '23456789', error: '' };
+    expect(parseArgentinePhone('011 15 2345-6789', 'es-AR', '381')).toEqual(buenosAires);
+    expect(parseArgentinePhone('11 2345 6789', 'es-AR', '381')).toEqual(buenosAires);
+    expect(parseArgentinePhone('+54 9 11 2345-6789')).toEqual(buenosAires);
+  });
+
+  test('reads 4-digit area codes', () => {
+    expect(parseArgentinePhone('03865 15 421234')).toMatchObject({ e164: '+5493865421234', areaCode: '3865', number: '421234' });
+  });
+
+  test('rejects numbers from other countries', () => {
+    const notArgentine = 'Ingresá un número de Argentina para recibir el recordatorio por WhatsApp.';
+    expect(parseArgentinePhone('+1 415 555 0100').error).toBe(notArgentine);
+    expect(parseArgentinePhone('0034 612 345 678').error).toBe(notArgentine);
+    expect(parseArgentinePhone('+1 415 555 0100').e164).toBe('');
+  });
+
+  test('asks for a number when empty', () => {
+    expect(parseArgentinePhone('  ').error).toBe('Ingresá un teléfono de contacto.');
+  });
+});
+
+describe('validateDni', () => {
+  test('accepts 7 and 8 digits, with or without dots', () => {
+    expect(validateDni('1234567')).toBe('');
+    expect(validateDni('30111222')).toBe('');
+    expect(validateDni('30.111.222')).toBe('');
+  });
+
+  test('rejects other lengths and a leading zero', () => {
+    expect(validateDni('')).toBe('Ingresá tu DNI.');
+    expect(validateDni('301112223')).toBe('El DNI debe tener 7 u 8 dígitos.');
+    expect(validateDni('123456')).toBe('El DNI debe tener 7 u 8 dígitos.');
+    expect(validateDni('01234567')).toBe('Revisá el DNI: no puede empezar con 0.');
+  });
+});
+
+describe('validateBirthDate', () => {
+  const TODAY = '2026-10-19';
+
+  test('accepts a past date, including today', () => {
+    expect(validateBirthDate('2015-05-10', TODAY)).toBe('');
+    expect(validateBirthDate(TODAY, TODAY)).toBe('');
+  });
+
+  test('rejects future dates', () => {
+    expect(validateBirthDate('2026-10-20', TODAY)).toBe('La fecha de nacimiento no puede ser posterior a hoy.');
+  });
+
+  test('rejects dates that do not exist or are implausibly old', () => {
+    expect(validateBirthDate('', TODAY)).toBe('Ingresá la fecha de nacimiento.');
+    expect(validateBirthDate('2015-02-30', TODAY)).toBe('Revisá la fecha de nacimiento.');
+    expect(validateBirthDate('1890-01-01', TODAY)).toBe('Revisá la fecha de nacimiento.');
+  });
+});
@@ -0,0 +1,37 @@
+import { DEFAULT_LOCALE, translate } from '../i18n';
+import { formatDateLabel, parseDateValue } from './dates';
+
+// El nombre de cada franja está en los catálogos como waitlist.ranges.<id>
+export const TIME_RANGES = [
+  { id: 'manana', desde: '08:00', hasta: '13:00' },
+  { id: 'tarde', desde: '13:00', hasta: '20:00' }
+];
+
+export const DEFAULT_RANGE_DAYS = 14;
+
+export function validateWaitlistPreferences({ desde, hasta, dias, franjas }, locale = DEFAULT_LOCALE) {
+  if (!desde || !hasta) return translate(locale, 'waitlist.errors.range');
+  if (desde > hasta) return translate(locale, 'waitlist.errors.order');
+  if (dias.length === 0) return translate(locale, 'waitlist.errors.days');
+  if (franjas.length === 0) return translate(locale, 'waitlist.errors.ranges');
+  return '';
+}
+
+// El turno ofrecido puede caer dentro de la anticipación mínima: n8n lo apartó para esta persona
+export function includeOfferedDate(dates, offer, locale = DEFAULT_LOCALE) {
+  if (!offer || dates.some(d => d.value === offer.fecha)) return dates;
+  const offered = { value: offer.fecha, label: formatDateLabel(parseDateValue(offer.fecha), locale), available: true, reason: '' };
+  return [...dates, offered].sort((a, b) => a.value.localeCompare(b.value));
+}
+
+// Devuelve horarios y dueños con el turno ofrecido incluido cuando coincide con la fecha y el tratamiento elegidos
+export function includeOfferedSlot(slots, owners, offer, { fecha, tipoTurno }) {
+  if (!offer || offer.fecha !== fecha || offer.tipoTurno !== tipoTurno) return { slots, owners };
+  const ids = owners[offer.hora] || [];
+  return {
+    slots: slots.includes(offer.hora) ? slots : [...slots, offer.hora].sort(),
+    owners: offer.profesionalId && !ids.includes(offer.profesionalId)
+      ? { ...owners, [offer.hora]: [...ids, offer.profesionalId] }
+      : owners
+  };
+}